@@ -3,22 +3,148 @@
 module.exports = {
   // ========== TopstepX Configuration ==========
 
-  // TopstepX API Base URL
-  API_ENDPOINT: 'https://api.topstepx.com',
+  // Prop firms running the ProjectX Gateway API - the user picks one during API key setup
+  // apiEndpoint: REST base URL, userHubUrl: SignalR account updates, marketHubUrl: SignalR market data
+  BROKER_PROFILES: {
+    topstepx: {
+      name: 'TopstepX',
+      apiEndpoint: 'https://api.topstepx.com',
+      userHubUrl: 'https://rtc.topstepx.com/hubs/user',
+      marketHubUrl: 'https://rtc.topstepx.com/hubs/market',
+      apiKeyHelpUrl: 'https://topstepx.com/api-keys'
+    },
+    alphaticks: {
+      name: 'Alpha Futures',
+      apiEndpoint: 'https://api.alphaticks.projectx.com',
+      userHubUrl: 'https://rtc.alphaticks.projectx.com/hubs/user',
+      marketHubUrl: 'https://rtc.alphaticks.projectx.com/hubs/market',
+      apiKeyHelpUrl: null
+    },
+    blueguardian: {
+      name: 'Blue Guardian Futures',
+      apiEndpoint: 'https://api.blueguardianfutures.projectx.com',
+      userHubUrl: 'https://rtc.blueguardianfutures.projectx.com/hubs/user',
+      marketHubUrl: 'https://rtc.blueguardianfutures.projectx.com/hubs/market',
+      apiKeyHelpUrl: null
+    },
+    fundingfutures: {
+      name: 'Funding Futures',
+      apiEndpoint: 'https://api.fundingfutures.projectx.com',
+      userHubUrl: 'https://rtc.fundingfutures.projectx.com/hubs/user',
+      marketHubUrl: 'https://rtc.fundingfutures.projectx.com/hubs/market',
+      apiKeyHelpUrl: null
+    },
+    thefuturesdesk: {
+      name: 'The Futures Desk',
+      apiEndpoint: 'https://api.thefuturesdesk.projectx.com',
+      userHubUrl: 'https://rtc.thefuturesdesk.projectx.com/hubs/user',
+      marketHubUrl: 'https://rtc.thefuturesdesk.projectx.com/hubs/market',
+      apiKeyHelpUrl: null
+    },
+    tradeify: {
+      name: 'Tradeify',
+      apiEndpoint: 'https://api.tradeify.projectx.com',
+      userHubUrl: 'https://rtc.tradeify.projectx.com/hubs/user',
+      marketHubUrl: 'https://rtc.tradeify.projectx.com/hubs/market',
+      apiKeyHelpUrl: null
+    }
+  },
 
-  // TopstepX User Hub URL (SignalR for real-time account updates)
-  USER_HUB_URL: 'https://rtc.topstepx.com/hubs/user',
-
-  // TopstepX Market Hub URL (SignalR for market data - if needed later)
-  MARKET_HUB_URL: 'https://rtc.topstepx.com/hubs/market',
+  // Profile used for credentials saved before broker profiles existed
+  DEFAULT_BROKER_PROFILE: 'topstepx',
 
   // Token lifetime configuration
   TOKEN_LIFETIME_MS: 23.5 * 60 * 60 * 1000, // 23.5 hours with 30min buffer
+  TOKEN_REFRESH_MARGIN_MS: 30 * 60 * 1000, // refresh 30min before the token's own expiry
 
   // Connection settings
   RECONNECT_INTERVAL_MS: 5000, // 5 seconds
   KEEP_ALIVE_INTERVAL_MS: 10000, // 10 seconds
 
+  // Pre-trade risk limits applied to every account unless overridden from the account card's Limits editor
+  // (0/null disables a rule; tradingHours has no editor and is only set through the set-risk-limits IPC call)
+  RISK_DEFAULTS: {
+    maxPositionPerSymbol: 5, // Contracts held in any one contract
+    maxOpenContracts: 10, // Contracts held across all contracts
+    maxOrdersPerMinute: 10, // Orders sent per rolling minute
+    allowedSymbols: [], // Root symbols this account may trade (empty = all)
+    tradingHours: null, // e.g. { timezone: 'America/Chicago', start: '08:30', end: '15:00', days: [1, 2, 3, 4, 5] }
+    dailyLossLimit: 1000, // Dollars lost since the start-of-day balance (ACCOUNT_SIZE_LOSS_LIMITS takes precedence)
+    maxTrailingDrawdown: 2000, // Dollars below the account's high-water mark (ACCOUNT_SIZE_LOSS_LIMITS takes precedence)
+    drawdownWarningBuffer: 250, // Warn when this close to either limit
+    drawdownTripBuffer: 50 // Disable, cancel and flatten when this close to either limit
+  },
+
+  // Topstep loss limits by account size, matched against the account name (e.g. "50KTC-V2-...")
+  // Accounts whose name has no size use RISK_DEFAULTS - check against the firm's rules for each account type
+  ACCOUNT_SIZE_LOSS_LIMITS: {
+    '50K': { dailyLossLimit: 1000, maxTrailingDrawdown: 2000 },
+    '100K': { dailyLossLimit: 2000, maxTrailingDrawdown: 3000 },
+    '150K': { dailyLossLimit: 3000, maxTrailingDrawdown: 4500 }
+  },
+
+  // Trading session calendar (all times America/Chicago)
+  SESSION_BLOCK_ENTRIES_OUTSIDE_HOURS: true, // Reject entries while CME is closed or past the cutoff
+  SESSION_FLATTEN_TIME: '15:10', // Topstep cutoff - entries stop and positions are flattened here
+  SESSION_AUTO_FLATTEN_ENABLED: true, // Flatten every account at SESSION_FLATTEN_TIME
+  SESSION_EARLY_CLOSE_FLATTEN_LEAD_MINUTES: 10, // On early-close days, cut off this long before the close
+  SESSION_CHECK_INTERVAL_MS: 30 * 1000, // How often the flatten time is checked
+
+  // CME equity/energy/metals holiday schedule keyed by trading day - check against the CME calendar each year
+  CME_HOLIDAYS: [
+    { date: '2026-01-01', name: "New Year's Day", type: 'closed' },
+    { date: '2026-01-19', name: 'Martin Luther King Jr. Day', type: 'early', closeTime: '12:00' },
+    { date: '2026-02-16', name: "Presidents' Day", type: 'early', closeTime: '12:00' },
+    { date: '2026-04-03', name: 'Good Friday', type: 'closed' },
+    { date: '2026-05-25', name: 'Memorial Day', type: 'early', closeTime: '12:00' },
+    { date: '2026-06-19', name: 'Juneteenth', type: 'early', closeTime: '12:00' },
+    { date: '2026-07-03', name: 'Independence Day (observed)', type: 'early', closeTime: '12:00' },
+    { date: '2026-09-07', name: 'Labor Day', type: 'early', closeTime: '12:00' },
+    { date: '2026-11-26', name: 'Thanksgiving', type: 'early', closeTime: '12:00' },
+    { date: '2026-11-27', name: 'Day after Thanksgiving', type: 'early', closeTime: '12:15' },
+    { date: '2026-12-24', name: 'Christmas Eve', type: 'early', closeTime: '12:15' },
+    { date: '2026-12-25', name: 'Christmas Day', type: 'closed' },
+    { date: '2027-01-01', name: "New Year's Day", type: 'closed' },
+    { date: '2027-01-18', name: 'Martin Luther King Jr. Day', type: 'early', closeTime: '12:00' },
+    { date: '2027-02-15', name: "Presidents' Day", type: 'early', closeTime: '12:00' },
+    { date: '2027-03-26', name: 'Good Friday', type: 'closed' },
+    { date: '2027-05-31', name: 'Memorial Day', type: 'early', closeTime: '12:00' },
+    { date: '2027-06-18', name: 'Juneteenth (observed)', type: 'early', closeTime: '12:00' },
+    { date: '2027-07-05', name: 'Independence Day (observed)', type: 'early', closeTime: '12:00' },
+    { date: '2027-09-06', name: 'Labor Day', type: 'early', closeTime: '12:00' },
+    { date: '2027-11-25', name: 'Thanksgiving', type: 'early', closeTime: '12:00' },
+    { date: '2027-11-26', name: 'Day after Thanksgiving', type: 'early', closeTime: '12:15' },
+    { date: '2027-12-24', name: 'Christmas (observed)', type: 'closed' }
+  ],
+
+  // Market Hub quotes - watchlist symbols stay subscribed alongside held contracts
+  MARKET_DATA_WATCHLIST: ['ES', 'NQ'],
+  MARKET_DATA_FIRST_QUOTE_TIMEOUT_MS: 1000, // How long the price guard waits for a symbol that was not streaming yet
+  MARKET_DATA_UI_THROTTLE_MS: 250, // At most one quote per contract per 250ms to the dashboard
+  POSITION_VALUATION_INTERVAL_MS: 1000, // How often open positions are marked to market
+  INSTRUMENT_LOOKUP_RETRY_MS: 60 * 1000, // A contract whose tick size/value could not be looked up is asked for again after this
+
+  // Realized PnL ledger (FIFO round trips built from fills)
+  COMMISSION_PER_CONTRACT: 0, // Per contract per side, on top of the broker's trade fees (for firms that bill it separately)
+  PNL_DISCREPANCY_TOLERANCE: 0.01, // Flag computed vs broker PnL differences larger than this (USD)
+  PNL_ACCOUNT_CHECK_DELAY_MS: 3000, // Account PnL is compared this long after the broker's last balance update (its trade can arrive later)
+
+  // Bracket stop-loss: retried this many times before the unprotected entry is flattened
+  BRACKET_STOP_RETRY_ATTEMPTS: 3,
+  BRACKET_STOP_RETRY_DELAY_MS: 1000,
+
+  // Paper trading: market and stop fills are moved this many ticks against the order
+  PAPER_SLIPPAGE_TICKS: 1,
+
+  // Master switch on launch until changed in the dashboard: 'restore' (last state, disarmed after a crash),
+  // 'disarmed' (always start disarmed) or 'manual' (start disarmed and ask to arm)
+  TRADING_STARTUP_POLICY: 'manual',
+
+  // Contract roll calendar
+  CONTRACT_ROLL_DAYS_BEFORE_EXPIRY: 8, // Move to the next contract 8 days before the front month expires
+  CONTRACT_CACHE_TTL_MS: 60 * 60 * 1000, // Re-check resolved contracts hourly
+  CONTRACT_FALLBACK_CACHE_TTL_MS: 60 * 1000, // Calendar-derived contracts have no details (tick size) - ask the API again after a minute
+
   // ========== CortexAlgo Cloud API Configuration ==========
 
   // Admin API Base URL (for HTTP requests)
@@ -32,6 +158,22 @@ module.exports = {
   // Note: Socket.IO automatically handles protocol conversion (https -> wss, http -> ws)
   ADMIN_WS_URL: process.env.ADMIN_WS_URL || 'https://api.cortexalgo.com',
 
+  // How long processed directive IDs are remembered for duplicate detection
+  DIRECTIVE_JOURNAL_RETENTION_DAYS: 7,
+
+  // Pre-execution directive guards (0 disables a guard)
+  DIRECTIVE_MAX_AGE_MS: 5000, // Reject directives issued more than 5 seconds ago
+  DIRECTIVE_MAX_PRICE_DEVIATION_TICKS: 20, // Reject if market has moved more than 20 ticks from the directive price
+  DIRECTIVE_REQUIRE_MARKET_PRICE: false, // true = reject priced directives the deviation check cannot run on (no live quote or no tick size)
+  DIRECTIVE_GUARDS_CHECK_EXITS: false, // Exits always execute - a late exit is safer than an open position
+
+  // Execution queue - directives for one account run strictly in order
+  EXECUTION_QUEUE_MAX_DEPTH: 10, // Refuse directives once this many are waiting or running for an account
+  EXECUTION_QUEUE_MAX_TOTAL: 50, // Refuse directives once this many are queued across all accounts
+
+  // Execution reports kept while the cloud socket is down (oldest dropped beyond this)
+  EXECUTION_REPORT_QUEUE_MAX: 500,
+
   // Telemetry reporting interval (30 seconds)
   TELEMETRY_INTERVAL_MS: 30 * 1000,
 
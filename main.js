@@ -1,12 +1,28 @@
 // main.js - The heart of the Electron App (Main Process)
 
-const { app, BrowserWindow, Tray, Menu, ipcMain, safeStorage, shell } = require('electron');
+const { app, BrowserWindow, Tray, Menu, ipcMain, safeStorage, shell, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const config = require('./config');
 const topstepClient = require('./services/topstepClient');
+const orderExecutionService = require('./services/orderExecutionService');
 const cloudApiService = require('./services/cloudApiService');
 const UpdateManager = require('./services/updateManager');
 const securityService = require('./services/securityService');
+const directiveJournal = require('./services/directiveJournal');
+const bracketManager = require('./services/bracketManager');
+const directiveGuards = require('./services/directiveGuards');
+const executionReporter = require('./services/executionReporter');
+const riskEngine = require('./services/riskEngine');
+const drawdownMonitor = require('./services/drawdownMonitor');
+const sessionCalendar = require('./services/sessionCalendar');
+const executionQueue = require('./services/executionQueue');
+const brokerProfiles = require('./services/brokerProfiles');
+const marketDataService = require('./services/marketDataService');
+const positionValuation = require('./services/positionValuation');
+const tradeJournal = require('./services/tradeJournal');
+const pnlLedger = require('./services/pnlLedger');
+const tradingState = require('./services/tradingState');
 const keytar = require('keytar');
 
 let tray = null;
@@ -15,9 +31,15 @@ let activationWindow = null;
 let apiKeyWindow = null;
 let updateManager = null;
 let currentPnl = 0;
+let currentUnrealizedPnl = 0;
+let valuationTimer = null;
+let valuationRunning = false;
 let topstepAccounts = [];
 let isTopstepInitialized = false;
 let cloudConnectionState = 'disconnected'; // Track cloud connection separately
+let startupArmingApplied = false; // Startup policy runs once per launch, not on every TopstepX re-init
+let armingPrompt = null; // Open arming confirmation, shared by concurrent arm requests
+const quoteSentAt = new Map(); // contractId -> last time a quote went to the renderer
 
 // Credentials configuration
 const SERVICE_NAME = 'CortexAlgo';
@@ -26,6 +48,13 @@ const CLOUD_ACCESS_TOKEN_ACCOUNT = 'cloud_access_token';
 const CLOUD_BOT_ID_ACCOUNT = 'cloud_bot_id';
 const CLOUD_DEVICE_FINGERPRINT_ACCOUNT = 'cloud_device_fingerprint';
 const CREDENTIALS_FILE = path.join(app.getPath('userData'), 'topstepx_credentials.enc');
+const DIRECTIVE_JOURNAL_FILE = path.join(app.getPath('userData'), 'directive_journal.jsonl');
+const TRADE_JOURNAL_DIR = path.join(app.getPath('userData'), 'trade_journal');
+const BRACKETS_FILE = path.join(app.getPath('userData'), 'brackets.json');
+const RISK_LIMITS_FILE = path.join(app.getPath('userData'), 'risk_limits.json');
+const DRAWDOWN_STATE_FILE = path.join(app.getPath('userData'), 'drawdown_state.json');
+const TRADING_STATE_FILE = path.join(app.getPath('userData'), 'trading_state.json');
+const SESSION_MARKER_FILE = path.join(app.getPath('userData'), 'session.lock');
 
 // Application State Management
 const APP_STATES = {
@@ -88,10 +117,10 @@ async function deleteCloudTokens() {
   }
 }
 
-// Store TopstepX credentials using electron.safeStorage (encrypted)
-function storeTopstepXCredentials(username, apiKey) {
+// Store TopstepX logins using electron.safeStorage (encrypted)
+function storeTopstepXLogins(logins) {
   try {
-    const credentials = JSON.stringify({ username, apiKey });
+    const credentials = JSON.stringify({ logins });
     const encrypted = safeStorage.encryptString(credentials);
     fs.writeFileSync(CREDENTIALS_FILE, encrypted);
     return true;
@@ -101,19 +130,67 @@ function storeTopstepXCredentials(username, apiKey) {
   }
 }
 
-// Retrieve TopstepX credentials using electron.safeStorage (decrypted)
-function getTopstepXCredentials() {
+// Retrieve TopstepX logins using electron.safeStorage (decrypted)
+// Files saved before multi-login support hold a single {username, apiKey, brokerProfile}
+// Throws if the file exists but cannot be decrypted or parsed
+function readTopstepXLogins() {
+  if (!fs.existsSync(CREDENTIALS_FILE)) {
+    return [];
+  }
+  const encrypted = fs.readFileSync(CREDENTIALS_FILE);
+  const decrypted = JSON.parse(safeStorage.decryptString(encrypted));
+  const logins = Array.isArray(decrypted.logins) ? decrypted.logins : [decrypted];
+
+  return logins
+    .filter(login => login.username && login.apiKey)
+    .map(login => {
+      const brokerProfile = login.brokerProfile || brokerProfiles.DEFAULT_PROFILE_ID;
+      return { ...login, brokerProfile, loginId: login.loginId || buildLoginId(brokerProfile, login.username) };
+    });
+}
+
+// Saved TopstepX logins, or none if the file cannot be read (read-only callers)
+function getTopstepXLogins() {
   try {
-    if (!fs.existsSync(CREDENTIALS_FILE)) {
-      return null;
-    }
-    const encrypted = fs.readFileSync(CREDENTIALS_FILE);
-    const decrypted = safeStorage.decryptString(encrypted);
-    return JSON.parse(decrypted);
+    return readTopstepXLogins();
   } catch (error) {
     console.error('Failed to get TopstepX credentials:', error);
+    return [];
+  }
+}
+
+// Add a TopstepX login, replacing any saved login for the same firm and username
+// An unreadable file is left alone - rewriting it would delete every other saved key
+function saveTopstepXLogin(username, apiKey, brokerProfile) {
+  const login = { loginId: buildLoginId(brokerProfile, username), username, apiKey, brokerProfile };
+
+  let logins;
+  try {
+    logins = readTopstepXLogins().filter(existing => existing.loginId !== login.loginId);
+  } catch (error) {
+    console.error('Saved TopstepX credentials could not be read - not overwriting them:', error);
     return null;
   }
+
+  return storeTopstepXLogins([...logins, login]) ? login : null;
+}
+
+// Remove a saved TopstepX login (refuses to rewrite a file that could not be read)
+function removeTopstepXLogin(loginId) {
+  let logins;
+  try {
+    logins = readTopstepXLogins();
+  } catch (error) {
+    console.error('Saved TopstepX credentials could not be read - not overwriting them:', error);
+    return false;
+  }
+
+  return storeTopstepXLogins(logins.filter(login => login.loginId !== loginId));
+}
+
+// Logins are identified by firm and username, so re-entering a key replaces it
+function buildLoginId(brokerProfile, username) {
+  return `${brokerProfile}:${username.toLowerCase()}`;
 }
 
 // Delete stored TopstepX credentials
@@ -132,8 +209,7 @@ function deleteTopstepXCredentials() {
 // Check if user has completed activation
 async function isActivated() {
   const cloudTokens = await getCloudTokens();
-  const credentials = getTopstepXCredentials();
-  return cloudTokens !== null && credentials !== null && credentials.username && credentials.apiKey;
+  return cloudTokens !== null && getTopstepXLogins().length > 0;
 }
 
 // ========== Window Creation Functions ==========
@@ -317,6 +393,47 @@ function buildTrayMenu() {
       label: `Daily PNL: ${currentPnl.toLocaleString('en-US', { style: 'currency', currency: 'USD' })}`,
       enabled: false
     });
+    menuTemplate.push({
+      label: `Unrealized PNL: ${currentUnrealizedPnl.toLocaleString('en-US', { style: 'currency', currency: 'USD' })}`,
+      enabled: false
+    });
+  }
+
+  // Market session (closed, maintenance break, past cutoff)
+  if (currentState === APP_STATES.CONNECTED) {
+    const session = sessionCalendar.getSessionStatus();
+    if (!session.entriesAllowed) {
+      menuTemplate.push({
+        label: `Market: ${session.reason}`,
+        enabled: false
+      });
+    }
+  }
+
+  // Broker logins that failed to connect
+  if (isTopstepInitialized) {
+    const loginStates = topstepClient.getLoginStates();
+    getTopstepXLogins()
+      .filter(login => loginStates[login.loginId] === 'error')
+      .forEach(login => {
+        menuTemplate.push({
+          label: `⚠️ Login failed: ${login.username} (${login.brokerProfile})`,
+          enabled: false
+        });
+      });
+  }
+
+  // Loss-limit warnings and trips
+  if (isTopstepInitialized) {
+    drawdownMonitor.getAllStatuses()
+      .filter(status => status.status !== drawdownMonitor.DRAWDOWN_STATUS.OK)
+      .forEach(status => {
+        const icon = status.status === drawdownMonitor.DRAWDOWN_STATUS.TRIPPED ? '🛑' : '⚠️';
+        menuTemplate.push({
+          label: `${icon} Account ${status.accountId}: ${status.reason}`,
+          enabled: false
+        });
+      });
   }
 
   menuTemplate.push({ type: 'separator' });
@@ -333,6 +450,28 @@ function buildTrayMenu() {
     });
   }
 
+  // Emergency action - cancel everything and close every position
+  if (isTopstepInitialized) {
+    menuTemplate.push({
+      label: 'Flatten All Positions...',
+      click: async () => {
+        const { response } = await dialog.showMessageBox({
+          type: 'warning',
+          buttons: ['Flatten All', 'Cancel'],
+          defaultId: 1,
+          cancelId: 1,
+          title: 'Flatten All',
+          message: 'Disable trading, cancel all working orders and close all positions on every account?'
+        });
+
+        if (response === 0) {
+          const result = await executeFlattenAll('tray');
+          console.log('[Main] Flatten All from tray:', result);
+        }
+      }
+    });
+  }
+
   if (currentState === APP_STATES.DEACTIVATED) {
     menuTemplate.push({
       label: 'Visit Billing Portal...',
@@ -350,7 +489,7 @@ function buildTrayMenu() {
       enabled: false  // Placeholder for future implementation
     });
     menuTemplate.push({
-      label: 'Change TopstepX API Key...',
+      label: 'Manage Broker Logins...',
       click: () => {
         createApiKeyWindow();
       }
@@ -406,9 +545,9 @@ async function initializeCloudApi() {
         console.log('[Main] Cloud command received:', commandData);
         handleCloudCommand(commandData);
       },
-      onTradeDirective: (directiveData) => {
+      onTradeDirective: async (directiveData) => {
         console.log('[Main] Trade directive received:', directiveData);
-        handleTradeDirective(directiveData);
+        await handleTradeDirective(directiveData);
       },
       onConnectionStateChanged: (state) => {
         console.log('[Main] Cloud connection state:', state);
@@ -491,20 +630,40 @@ function handleCloudCommand(commandData) {
     case 'SET_TRADING_STATUS':
       console.log('[Main] Applying kill switch from cloud:', payload.enabled);
 
-      // Apply kill switch to TopstepX
+      // Apply kill switch to TopstepX (arming after a crash waits for local confirmation)
       if (isTopstepInitialized) {
-        topstepClient.setMasterKillSwitch(payload.enabled);
+        setTradingArmed(payload.enabled, 'cloud').then((result) => {
+          if (result.success) {
+            console.log(`[Main] Kill switch ${payload.enabled ? 'DISABLED' : 'ACTIVATED'} by cloud`);
+          } else {
+            console.warn('[Main] Kill switch change from cloud refused:', result.error);
+          }
+        }).catch((error) => {
+          console.error('[Main] Kill switch change from cloud failed:', error);
+        });
+      }
+      break;
 
-        // Update UI
-        if (mainWindow && !mainWindow.isDestroyed()) {
-          mainWindow.webContents.send('trading-status-changed', {
-            source: 'cloud',
-            enabled: payload.enabled
-          });
-        }
+    case 'FLATTEN_ALL':
+      executeFlattenAll('cloud', (payload || {}).accountId).then((result) => {
+        console.log('[Main] FLATTEN_ALL from cloud:', result);
+        cloudApiService.sendCommandResult(commandData.commandId, command, result);
+      }).catch((error) => {
+        console.error('[Main] FLATTEN_ALL from cloud failed:', error);
+        cloudApiService.sendCommandResult(commandData.commandId, command, { success: false, error: error.message });
+      });
+      break;
 
-        console.log(`[Main] Kill switch ${payload.enabled ? 'DISABLED' : 'ACTIVATED'} by cloud`);
-      }
+    case 'CANCEL_ORDER':
+    case 'MODIFY_ORDER':
+    case 'CANCEL_ALL_ORDERS':
+      executeOrderCommand(command, payload || {}).then((result) => {
+        console.log(`[Main] ${command} from cloud:`, result);
+        cloudApiService.sendCommandResult(commandData.commandId, command, result);
+      }).catch((error) => {
+        console.error(`[Main] ${command} from cloud failed:`, error);
+        cloudApiService.sendCommandResult(commandData.commandId, command, { success: false, error: error.message });
+      });
       break;
 
     default:
@@ -512,28 +671,218 @@ function handleCloudCommand(commandData) {
   }
 }
 
+/**
+ * Arm or disarm trading (shared by the dashboard, cloud commands and the startup policy)
+ * After a crash, arming needs explicit confirmation until someone has confirmed once.
+ * @param {boolean} enabled - true = trading enabled
+ * @param {string} source - Who asked ('dashboard', 'cloud', 'startup')
+ * @param {boolean} [confirmed] - The user already confirmed arming in a dialog
+ * @returns {Promise<Object>} {success, enabled} or {success: false, error}
+ */
+async function setTradingArmed(enabled, source, confirmed = false) {
+  if (!isTopstepInitialized) {
+    return { success: false, error: 'TopstepX not initialized' };
+  }
+
+  if (enabled && !confirmed && tradingState.isConfirmationRequired()) {
+    const accepted = await confirmArming(
+      'The previous session ended unexpectedly. Enable trading?',
+      'Check open positions and working orders on every account before trading resumes.'
+    );
+
+    if (!accepted) {
+      return { success: false, error: 'Arming not confirmed after an unexpected shutdown' };
+    }
+  }
+
+  topstepClient.setMasterKillSwitch(enabled);
+  tradingState.setMasterEnabled(enabled);
+  console.log(`[Main] Master kill switch set to: ${enabled} (${source})`);
+
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('trading-status-changed', { source, enabled });
+  }
+
+  return { success: true, enabled };
+}
+
+/**
+ * Ask the user to arm trading
+ * Concurrent requests (e.g. dashboard and cloud) share one dialog.
+ * @param {string} message - Dialog message
+ * @param {string} detail - Dialog detail text
+ * @returns {Promise<boolean>} True if the user chose to enable trading
+ */
+function confirmArming(message, detail) {
+  if (!armingPrompt) {
+    armingPrompt = dialog.showMessageBox({
+      type: 'warning',
+      buttons: ['Keep Disabled', 'Enable Trading'],
+      defaultId: 0,
+      cancelId: 0,
+      title: 'Enable Trading',
+      message,
+      detail
+    })
+      .then(({ response }) => response === 1)
+      .finally(() => {
+        armingPrompt = null;
+      });
+  }
+
+  return armingPrompt;
+}
+
+/**
+ * Set the master switch for this launch from the startup policy
+ * Called whenever accounts load; only the first time TopstepX is up applies it (logins that all failed at
+ * startup apply it on their retry), later re-inits keep the current state.
+ */
+async function applyStartupArming() {
+  if (startupArmingApplied || !isTopstepInitialized) return;
+  startupArmingApplied = true;
+
+  const decision = tradingState.getStartupArming();
+  console.log(`[Main] Startup arming: ${decision.armed ? 'ENABLED' : 'DISABLED'} - ${decision.reason}`);
+
+  await setTradingArmed(decision.armed, 'startup', true);
+
+  if (decision.prompt) {
+    const accepted = await confirmArming(
+      `${decision.reason}. Enable trading?`,
+      'Trading stays disabled until you enable it here or from the dashboard.'
+    );
+
+    if (accepted) {
+      await setTradingArmed(true, 'startup', true);
+    }
+  }
+}
+
+/**
+ * Run an order-management command (shared by IPC and cloud commands)
+ * @param {string} command - CANCEL_ORDER, MODIFY_ORDER or CANCEL_ALL_ORDERS
+ * @param {Object} payload - {accountId, orderId, size, limitPrice, stopPrice}
+ * @returns {Promise<Object>} Result from orderExecutionService
+ */
+async function executeOrderCommand(command, payload) {
+  if (!isTopstepInitialized) {
+    return { success: false, error: 'TopstepX not initialized' };
+  }
+
+  const accountId = parseInt(payload.accountId, 10);
+
+  if (!topstepClient.getAccounts().some(account => account.id === accountId)) {
+    return { success: false, error: `Unknown account: ${payload.accountId}` };
+  }
+
+  switch (command) {
+    case 'CANCEL_ORDER':
+      return orderExecutionService.cancelOrder(accountId, payload.orderId);
+
+    case 'MODIFY_ORDER': {
+      // A modify can add size, so it respects the kill switches and position limits; cancels always go through
+      if (!topstepClient.canTrade(accountId)) {
+        return { success: false, error: 'Trading disabled for account', accountId, orderId: payload.orderId };
+      }
+
+      const riskResult = riskEngine.checkOrderModify({ accountId, orderId: payload.orderId, size: payload.size });
+      if (!riskResult.passed) {
+        return { success: false, error: riskResult.reason, code: riskResult.code, accountId, orderId: payload.orderId };
+      }
+
+      return orderExecutionService.modifyOrder({
+        accountId,
+        orderId: payload.orderId,
+        size: payload.size,
+        limitPrice: toPrice(payload.limitPrice),
+        stopPrice: toPrice(payload.stopPrice)
+      });
+    }
+
+    case 'CANCEL_ALL_ORDERS':
+      return orderExecutionService.cancelAllOrders(accountId);
+
+    default:
+      return { success: false, error: `Unsupported order command: ${command}` };
+  }
+}
+
 /**
  * Handle trade directive from cloud engine
  * @param {Object} directiveData - Trade directive data (flat structure from admin-API relay)
  */
 async function handleTradeDirective(directiveData) {
-  const { directiveId, virtualBotId, strategyConfigId, physicalBotId, accountId: accountIdRaw, symbol, action, price, contracts, reason, timestamp } = directiveData;
+  const { directiveId, virtualBotId, strategyConfigId, physicalBotId, accountId: accountIdRaw, symbol, action, price, contracts } = directiveData;
+  const receivedAt = Date.now();
 
   // Parse accountId as integer (TopstepX uses numeric account IDs)
   const accountId = parseInt(accountIdRaw, 10);
 
+  // Order type defaults to MARKET; a LIMIT without an explicit limitPrice rests at the directive price
+  const orderType = (directiveData.orderType || 'MARKET').toUpperCase();
+  const limitPrice = toPrice(directiveData.limitPrice ?? (orderType === 'LIMIT' ? price : undefined));
+  const stopPrice = toPrice(directiveData.stopPrice);
+
   console.log('[Main] 🎯 Processing trade directive:', {
     directiveId,
     accountId,
     action,
     symbol,
+    orderType,
     price,
+    limitPrice,
+    stopPrice,
     contracts
   });
 
+  // Directives without an ID cannot be deduplicated, so they are never executed
+  if (!directiveId) {
+    console.error('[Main] ❌ Ignoring trade directive without directiveId');
+    return;
+  }
+
+  // Socket reconnects and cloud retries can redeliver a directive - execute each one at most once
+  if (!directiveJournal.recordReceived(directiveData)) {
+    const existing = directiveJournal.getEntry(directiveId);
+    console.warn(`[Main] ⚠️ Duplicate directive ${directiveId} ignored (already ${existing.state})`);
+    return;
+  }
+
+  executionReporter.markReceived(directiveId, receivedAt);
+
+  // One directive at a time per account, so each position check sees the previous order
+  const queued = executionQueue.enqueue(accountId, () => executeDirective(directiveData, {
+    accountId,
+    orderType,
+    limitPrice,
+    stopPrice
+  }), `directive ${directiveId}`);
+
+  if (!queued.accepted) {
+    rejectDirective(directiveData, accountId, queued);
+    return;
+  }
+
+  await queued.done;
+}
+
+/**
+ * Run a received directive's checks and submit its order (called from the account's execution queue)
+ * @param {Object} directiveData - Trade directive data
+ * @param {Object} context - Parsed fields {accountId, orderType, limitPrice, stopPrice}
+ */
+async function executeDirective(directiveData, context) {
+  const { directiveId, symbol, action, price, contracts, reason, timestamp } = directiveData;
+  const { accountId, orderType, limitPrice, stopPrice } = context;
+
   // Check if TopstepX is initialized
   if (!isTopstepInitialized) {
     console.error('[Main] Cannot execute trade - TopstepX not initialized');
+    rejectDirective(directiveData, accountId, {
+      code: directiveGuards.REJECTION_CODES.NOT_INITIALIZED,
+      reason: 'TopstepX not initialized'
+    });
     return;
   }
 
@@ -541,20 +890,29 @@ async function handleTradeDirective(directiveData) {
   const canTrade = topstepClient.canTrade(accountId);
   if (!canTrade) {
     console.warn('[Main] ❌ Trading disabled for account', accountId);
+    rejectDirective(directiveData, accountId, {
+      code: directiveGuards.REJECTION_CODES.KILL_SWITCH,
+      reason: 'Kill switch enabled'
+    });
+    return;
+  }
 
-    // Notify UI
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('signal-rejected', {
-        directiveId,
-        accountId,
-        action,
-        symbol,
-        price,
-        contracts,
-        reason: 'Kill switch enabled',
-        timestamp
-      });
-    }
+  // Per-account risk limits
+  const riskResult = await riskEngine.checkOrder({ accountId, symbol, action, lots: contracts });
+  if (!riskResult.passed) {
+    console.warn(`[Main] ❌ Directive ${directiveId} blocked by risk rule ${riskResult.code}: ${riskResult.reason}`);
+    rejectDirective(directiveData, accountId, riskResult);
+    return;
+  }
+
+  // Stale or off-market directives are dropped rather than chased at market - checked last, since the
+  // directive may have waited behind others in the account's queue
+  const guardResult = await directiveGuards.checkDirective(directiveData, {
+    isExit: orderExecutionService.isExitAction(action)
+  });
+  if (!guardResult.passed) {
+    console.warn(`[Main] ❌ Directive ${directiveId} failed guard ${guardResult.code}: ${guardResult.reason}`);
+    rejectDirective(directiveData, accountId, guardResult);
     return;
   }
 
@@ -574,17 +932,57 @@ async function handleTradeDirective(directiveData) {
 
   // Execute order
   try {
-    const orderExecutionService = require('./services/orderExecutionService');
-
     const result = await orderExecutionService.submitOrder({
       accountId: accountId,
       action: action,
       symbol: symbol,
-      lots: contracts
+      lots: contracts,
+      orderType,
+      limitPrice,
+      stopPrice,
+      directiveId,
+      price: toPrice(price)
     });
 
-    if (result.success) {
+    // Entries with stopLoss/takeProfit get OCO exit legs once they fill
+    if (result.success && !result.noop && bracketManager.hasBracket(directiveData) && !orderExecutionService.isExitAction(action)) {
+      bracketManager.registerEntry(result, {
+        stopLoss: directiveData.stopLoss,
+        takeProfit: directiveData.takeProfit,
+        directiveId
+      });
+    }
+
+    if (result.success && !result.noop) {
+      riskEngine.recordOrder(accountId);
+    }
+
+    if (result.success && result.noop) {
+      console.log('[Main] ⏭️ Exit skipped:', result.reason);
+      directiveJournal.updateState(directiveId, directiveJournal.DIRECTIVE_STATES.SKIPPED, {
+        reason: result.reason
+      });
+      executionReporter.reportSkipped(directiveId, result.reason);
+
+      // Notify UI
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('order-skipped', {
+          directiveId,
+          accountId,
+          action,
+          symbol,
+          price,
+          contracts,
+          reason: result.reason,
+          timestamp
+        });
+      }
+    } else if (result.success) {
       console.log('[Main] ✅ Order submitted successfully:', result.orderId);
+      directiveJournal.updateState(directiveId, directiveJournal.DIRECTIVE_STATES.SUBMITTED, {
+        orderId: result.orderId
+      });
+      executionReporter.reportAccepted(directiveId, result);
 
       // Notify UI
       if (mainWindow && !mainWindow.isDestroyed()) {
@@ -601,6 +999,11 @@ async function handleTradeDirective(directiveData) {
       }
     } else {
       console.error('[Main] ❌ Order submission failed:', result.error);
+      directiveJournal.updateState(directiveId, directiveJournal.DIRECTIVE_STATES.FAILED, {
+        code: result.code,
+        error: result.error
+      });
+      executionReporter.reportFailed(directiveId, result);
 
       // Notify UI
       if (mainWindow && !mainWindow.isDestroyed()) {
@@ -618,6 +1021,10 @@ async function handleTradeDirective(directiveData) {
     }
   } catch (error) {
     console.error('[Main] Exception during order execution:', error);
+    directiveJournal.updateState(directiveId, directiveJournal.DIRECTIVE_STATES.FAILED, {
+      error: error.message
+    });
+    executionReporter.reportFailed(directiveId, error);
 
     // Notify UI
     if (mainWindow && !mainWindow.isDestroyed()) {
@@ -635,16 +1042,257 @@ async function handleTradeDirective(directiveData) {
   }
 }
 
+/**
+ * Record a directive that will not be executed and tell the UI and cloud why
+ * @param {Object} directiveData - Trade directive from the cloud
+ * @param {number} accountId - Parsed account ID
+ * @param {Object} rejection - {code, reason, details}
+ */
+function rejectDirective(directiveData, accountId, rejection) {
+  const { directiveId, action, symbol, price, contracts, timestamp } = directiveData;
+
+  directiveJournal.updateState(directiveId, directiveJournal.DIRECTIVE_STATES.REJECTED, {
+    reasonCode: rejection.code,
+    reason: rejection.reason
+  });
+
+  // Notify UI
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('signal-rejected', {
+      directiveId,
+      accountId,
+      action,
+      symbol,
+      price,
+      contracts,
+      reasonCode: rejection.code,
+      reason: rejection.reason,
+      details: rejection.details || null,
+      timestamp
+    });
+  }
+
+  executionReporter.reportRejected(directiveId, rejection);
+}
+
+/**
+ * Coerce an optional directive price (number or numeric string) to a number
+ * @param {*} value - Raw price value from the directive
+ * @returns {number|undefined} Parsed price, or undefined when absent
+ */
+function toPrice(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  return Number(value);
+}
+
+/**
+ * Mirror a broker order's final status into the directive journal
+ * @param {Object} order - Tracked order from orderTracker
+ */
+function updateDirectiveFromOrder(order) {
+  const directiveId = order.directiveId || directiveJournal.findByOrderId(order.orderId);
+  if (!directiveId) return;
+
+  const { DIRECTIVE_STATES } = directiveJournal;
+  const stateByStatus = {
+    filled: DIRECTIVE_STATES.FILLED,
+    cancelled: DIRECTIVE_STATES.CANCELLED,
+    expired: DIRECTIVE_STATES.CANCELLED,
+    rejected: DIRECTIVE_STATES.FAILED
+  };
+
+  const state = stateByStatus[order.status];
+  if (!state) return;
+
+  directiveJournal.updateState(directiveId, state, {
+    orderId: order.orderId,
+    filledQuantity: order.filledQuantity,
+    averageFillPrice: order.averageFillPrice
+  });
+}
+
+/**
+ * Cancel working orders and close positions on every account, or on a single account
+ * @param {string} reason - Why the flatten was triggered (for logs)
+ * @param {number} [accountId] - Only flatten this account
+ * @returns {Promise<Array>} Per-account results {accountId, success, cancelled, closed, failed}
+ */
+async function flattenAllAccounts(reason, accountId = null) {
+  const accounts = topstepClient.getAccounts()
+    .filter(account => accountId === null || account.id === accountId);
+  console.log(`[Main] 🧹 Flattening ${accounts.length} account(s): ${reason}`);
+
+  // Each flatten waits for the directive already running on its account, so that order can't land after it
+  const results = await Promise.all(accounts.map(account =>
+    executionQueue.enqueue(account.id, () => flattenAccount(account.id), `flatten (${reason})`, { force: true }).done
+      .catch(error => ({ accountId: account.id, success: false, cancelled: 0, closed: 0, failed: [], error: error.message }))
+  ));
+
+  results.filter(result => !result.success).forEach(result => {
+    console.error(`[Main] ⚠️ Flatten incomplete for account ${result.accountId}:`, result.failed, result.error || '');
+  });
+
+  // Notify UI (tray, cloud and session cutoff flattens happen outside the dashboard)
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('flatten-completed', {
+      reason,
+      results,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Cancel working orders and close positions on one account (runs in the account's execution queue)
+ * @param {number} accountId - Account ID
+ * @returns {Promise<Object>} {accountId, success, cancelled, closed, failed, error}
+ */
+async function flattenAccount(accountId) {
+  const cancelResult = await orderExecutionService.cancelAllOrders(accountId);
+  const flattenResult = await orderExecutionService.flattenAccount(accountId);
+
+  return {
+    accountId,
+    success: cancelResult.success && flattenResult.success,
+    cancelled: cancelResult.cancelled,
+    closed: flattenResult.closed,
+    failed: [...cancelResult.failed, ...flattenResult.failed],
+    error: cancelResult.error || flattenResult.error || null
+  };
+}
+
+/**
+ * Run a Flatten All request (shared by tray, IPC and cloud command)
+ * Trading is disarmed first (master switch, or the one account) so queued directives can't re-open positions.
+ * @param {string} source - 'tray', 'dashboard' or 'cloud'
+ * @param {number|string} [accountIdRaw] - Only flatten this account
+ * @returns {Promise<Object>} {success, results} or {success: false, error}
+ */
+async function executeFlattenAll(source, accountIdRaw) {
+  if (!isTopstepInitialized) {
+    return { success: false, error: 'TopstepX not initialized' };
+  }
+
+  const hasAccount = accountIdRaw !== undefined && accountIdRaw !== null && accountIdRaw !== '';
+  const accountId = hasAccount ? parseInt(accountIdRaw, 10) : null;
+
+  if (hasAccount && !topstepClient.getAccounts().some(account => account.id === accountId)) {
+    return { success: false, error: `Unknown account: ${accountIdRaw}` };
+  }
+
+  if (hasAccount) {
+    topstepClient.setAccountTrading(accountId, false);
+    tradingState.setAccountEnabled(accountId, false);
+
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('accounts-loaded', topstepClient.getAccounts());
+    }
+  } else {
+    await setTradingArmed(false, source);
+  }
+
+  const results = await flattenAllAccounts(`Flatten All from ${source}`, accountId);
+
+  return {
+    success: results.every(result => result.success),
+    results
+  };
+}
+
+/**
+ * Route a Market Hub quote to the paper simulator and the dashboard
+ * @param {Object} quote - {contractId, last, bid, ask, change, volume, timestamp}
+ */
+function handleQuote(quote) {
+  if (quote.last > 0) {
+    topstepClient.updateMarketPrice(quote.contractId, quote.last);
+  }
+
+  // Quotes can arrive many times a second - the dashboard only needs a few
+  const now = Date.now();
+  if (now - (quoteSentAt.get(quote.contractId) || 0) < config.MARKET_DATA_UI_THROTTLE_MS) {
+    return;
+  }
+  quoteSentAt.set(quote.contractId, now);
+
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('quote-update', quote);
+  }
+}
+
+/**
+ * Recompute unrealized PnL and push changes to loss limits, tray and dashboard
+ */
+async function revaluePositions() {
+  if (valuationRunning) return;
+  valuationRunning = true;
+
+  try {
+    const { changedAccountIds, totalUnrealizedPnl } = await positionValuation.revalueAccounts();
+    if (changedAccountIds.length === 0) return;
+
+    // Open losses count towards the daily loss limit and trailing drawdown
+    changedAccountIds.forEach(accountId => drawdownMonitor.evaluate(accountId));
+
+    // The tray only shows whole dollars - rebuild it when those change
+    const trayChanged = Math.round(totalUnrealizedPnl) !== Math.round(currentUnrealizedPnl);
+    currentUnrealizedPnl = totalUnrealizedPnl;
+    if (trayChanged) {
+      updateTrayMenu();
+    }
+
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      const accounts = topstepClient.getAccounts().filter(account => changedAccountIds.includes(account.id));
+      mainWindow.webContents.send('valuation-update', {
+        accounts: accounts.map(account => ({
+          accountId: account.id,
+          unrealizedPnl: account.unrealizedPnl,
+          unrealizedPnlComplete: account.unrealizedPnlComplete,
+          openPositions: account.openPositions,
+          paperUnrealizedPnl: account.paperUnrealizedPnl,
+          paperUnrealizedPnlComplete: account.paperUnrealizedPnlComplete,
+          paperPositions: account.paperPositions
+        })),
+        totalUnrealizedPnl
+      });
+    }
+  } catch (error) {
+    console.error('[Main] Position valuation failed:', error);
+  } finally {
+    valuationRunning = false;
+  }
+}
+
+/**
+ * Subscribe to quotes for every contract with an open position (plus the watchlist)
+ */
+function refreshQuoteSubscriptions() {
+  if (!marketDataService.isConnected()) return;
+
+  const held = topstepClient.getAccounts()
+    .flatMap(account => [...(account.openPositions || []), ...(account.paperPositions || [])])
+    .filter(position => position.size > 0)
+    .map(position => position.contractId);
+
+  marketDataService.syncSubscriptions([...new Set(held)]).catch((error) => {
+    console.error('[Main] Failed to update quote subscriptions:', error);
+  });
+}
+
 // --- TOPSTEPX INTEGRATION ---
 // Initialize and connect to TopstepX
 async function initializeTopstepX() {
   console.log('[Main] Initializing TopstepX...');
 
   try {
-    // Get stored credentials
-    const credentials = getTopstepXCredentials();
+    // Get stored logins
+    const logins = getTopstepXLogins();
 
-    if (!credentials) {
+    if (logins.length === 0) {
       console.error('[Main] No TopstepX credentials found');
       setState(APP_STATES.WARNING);
       return false;
@@ -653,7 +1301,7 @@ async function initializeTopstepX() {
     setState(APP_STATES.CONNECTING);
 
     // Initialize TopstepX client with callbacks
-    await topstepClient.initialize(credentials, {
+    await topstepClient.initialize(logins, {
       onAccountsLoaded: (accounts) => {
         console.log(`[Main] TopstepX accounts loaded: ${accounts.length}`);
         topstepAccounts = accounts;
@@ -665,23 +1313,66 @@ async function initializeTopstepX() {
         }
 
         setState(APP_STATES.CONNECTED);
+
+        // Startup prompt must not hold up the rest of initialization
+        applyStartupArming().catch(error => console.error('[Main] Startup arming failed:', error));
+
+        // Capture start-of-day equity and re-apply any trip from earlier today
+        accounts.forEach(account => drawdownMonitor.evaluate(account.id));
       },
 
       onFill: (fillData) => {
         console.log('[Main] Fill received:', fillData);
 
+        tradeJournal.recordFill(fillData);
+        pnlLedger.applyFill(fillData);
+
         // Send fill to renderer
         if (mainWindow && !mainWindow.isDestroyed()) {
           mainWindow.webContents.send('fill-update', fillData);
         }
       },
 
+      onOrderUpdate: (order, previousStatus) => {
+        // Close out the directive that produced this order once the broker settles it
+        if (order.status !== previousStatus) {
+          tradeJournal.recordOrder(order, previousStatus);
+          updateDirectiveFromOrder(order);
+        }
+
+        // Fills and terminal states feed the cloud's execution report stream
+        const directiveId = order.directiveId || directiveJournal.findByOrderId(order.orderId);
+        if (directiveId) {
+          executionReporter.reportOrderUpdate(directiveId, order, previousStatus);
+        }
+
+        // Send order lifecycle to renderer
+        if (mainWindow && !mainWindow.isDestroyed()) {
+          mainWindow.webContents.send('order-update', order);
+        }
+      },
+
+      onPositionUpdate: () => {
+        // Held contracts changed - follow them on the Market Hub
+        refreshQuoteSubscriptions();
+      },
+
       onAccountUpdate: (accountData) => {
         console.log('[Main] Account update:', accountData);
 
         // Update cumulative PNL
         currentPnl = topstepClient.getCumulativePnl();
 
+        // Balance moved - check loss limits
+        if (accountData.accountId) {
+          drawdownMonitor.evaluate(accountData.accountId);
+        }
+
+        // Balance moved - check the broker's realized PnL against the fills once things settle
+        if (accountData.accountId && !accountData.paper) {
+          pnlLedger.checkAccount(accountData.accountId);
+        }
+
         // Send PNL update to renderer
         if (mainWindow && !mainWindow.isDestroyed()) {
           mainWindow.webContents.send('pnl-update', {
@@ -695,10 +1386,23 @@ async function initializeTopstepX() {
         updateTrayMenu();
       },
 
-      onConnectionStateChanged: (state) => {
-        console.log('[Main] TopstepX connection state:', state);
+      onReconciled: (results, reason) => {
+        const discrepancies = results.reduce((count, result) => count + result.discrepancies.length, 0);
+        console.log(`[Main] Reconciliation (${reason}) finished: ${discrepancies} discrepancy(ies) across ${results.length} account(s)`);
+
+        if (mainWindow && !mainWindow.isDestroyed()) {
+          mainWindow.webContents.send('reconciliation-completed', {
+            reason,
+            results,
+            timestamp: new Date().toISOString()
+          });
+        }
+      },
 
-        // Map to app states
+      onConnectionStateChanged: (state, loginId) => {
+        console.log(`[Main] TopstepX connection state: ${state} (changed: ${loginId})`);
+
+        // Map to app states (combined across logins)
         if (state === 'connected') {
           setState(APP_STATES.CONNECTED);
         } else if (state === 'disconnected') {
@@ -709,6 +1413,19 @@ async function initializeTopstepX() {
       }
     });
 
+    // Live quotes for held and watchlisted contracts
+    // connect() replaces any earlier hub connection and retries a failed first start on its own
+    marketDataService.initialize({ onQuote: handleQuote, onConnected: refreshQuoteSubscriptions });
+    directiveGuards.setPriceSource((symbol) => marketDataService.getPrice(symbol));
+    await marketDataService.connect();
+
+    // Mark open positions to market for unrealized PnL and loss limits
+    if (valuationTimer) clearInterval(valuationTimer);
+    valuationTimer = setInterval(revaluePositions, config.POSITION_VALUATION_INTERVAL_MS);
+
+    // Prop-firm cutoff - nothing may be held past it
+    sessionCalendar.startAutoFlatten((tradingDay) => flattenAllAccounts(`session cutoff for ${tradingDay}`));
+
     console.log('[Main] TopstepX initialization complete');
     return true;
 
@@ -805,6 +1522,61 @@ function startMockCloudFeed() {
 app.whenReady().then(async () => {
   createTray();
 
+  // Saved trading toggles and crash detection, before anything can arm trading
+  tradingState.initialize(TRADING_STATE_FILE, SESSION_MARKER_FILE);
+
+  // Load directive history and open brackets before any directive or order event can arrive
+  tradeJournal.initialize(TRADE_JOURNAL_DIR);
+  directiveJournal.initialize(DIRECTIVE_JOURNAL_FILE, { onRecord: tradeJournal.recordDirective });
+  pnlLedger.initialize({
+    onUpdate: (accountId) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('pnl-ledger-update', { accountId, timestamp: new Date().toISOString() });
+      }
+    },
+    onDiscrepancy: (discrepancy) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('pnl-discrepancy', discrepancy);
+      }
+    }
+  });
+  bracketManager.initialize(BRACKETS_FILE, {
+    onProtectionFailed: (alert) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('bracket-alert', alert);
+      }
+
+      if (alert.directiveId) {
+        executionReporter.reportUnprotected(alert.directiveId, alert);
+      }
+    }
+  });
+  riskEngine.initialize(RISK_LIMITS_FILE);
+  drawdownMonitor.initialize(DRAWDOWN_STATE_FILE, {
+    onStatusChanged: (accountId, status) => {
+      console.log(`[Main] Loss-limit status for account ${accountId}: ${status.status}`, status.reason || '');
+
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('risk-status-changed', {
+          ...status,
+          tradingEnabled: topstepClient.getTradingStatus().accounts[accountId]?.enabled
+        });
+      }
+
+      updateTrayMenu();
+
+      // Don't wait for the next telemetry tick to tell the cloud about a trip
+      if (status.status === drawdownMonitor.DRAWDOWN_STATUS.TRIPPED) {
+        cloudApiService.sendTelemetry(topstepClient.getAccounts());
+      }
+    }
+  });
+
+  // Execution outcomes are reported to the cloud as they happen
+  executionReporter.initialize({
+    send: (report) => cloudApiService.sendExecutionReport(report)
+  });
+
   // Check if user has completed activation
   const activated = await isActivated();
 
@@ -847,6 +1619,10 @@ app.on('window-all-closed', () => {
 
 app.on('before-quit', () => {
   app.quitting = true;
+  sessionCalendar.stopAutoFlatten();
+  if (valuationTimer) clearInterval(valuationTimer);
+  marketDataService.shutdown();
+  tradingState.markCleanShutdown();
 });
 
 // IPC handlers
@@ -919,6 +1695,11 @@ ipcMain.handle('save-api-key', async (event, credentials) => {
     }
 
     const { username, apiKey } = credentials;
+    const brokerProfile = credentials.brokerProfile || brokerProfiles.DEFAULT_PROFILE_ID;
+
+    if (!brokerProfiles.isValidProfile(brokerProfile)) {
+      return { success: false, error: 'Unknown prop firm selected' };
+    }
 
     if (!username || username.length < 3) {
       return { success: false, error: 'Username appears to be invalid' };
@@ -928,14 +1709,23 @@ ipcMain.handle('save-api-key', async (event, credentials) => {
       return { success: false, error: 'API key appears to be invalid' };
     }
 
-    // Store credentials using electron.safeStorage
-    const stored = storeTopstepXCredentials(username, apiKey);
+    // Store login using electron.safeStorage
+    const login = saveTopstepXLogin(username, apiKey, brokerProfile);
 
-    if (!stored) {
+    if (!login) {
       return { success: false, error: 'Failed to store credentials securely' };
     }
 
-    console.log(`TopstepX credentials stored successfully for user: ${username.substring(0, 3)}***`);
+    console.log(`TopstepX credentials stored successfully for user: ${username.substring(0, 3)}*** (${brokerProfile})`);
+
+    // Already running - connect the new login alongside the existing ones
+    if (mainWindow && !mainWindow.isDestroyed() && isTopstepInitialized) {
+      try {
+        await topstepClient.addLogin(login);
+      } catch (error) {
+        return { success: false, error: `Login saved but could not connect: ${error.message}` };
+      }
+    }
 
     // Close API key window
     if (apiKeyWindow) {
@@ -958,6 +1748,9 @@ ipcMain.handle('save-api-key', async (event, credentials) => {
         updateManager.startAutoCheck();
         console.log('[Main] Auto-updater initialized');
       }
+    } else if (!isTopstepInitialized) {
+      // Every earlier login failed - retry with the updated list
+      await initializeTopstepX();
     }
 
     return { success: true };
@@ -967,6 +1760,48 @@ ipcMain.handle('save-api-key', async (event, credentials) => {
   }
 });
 
+// List saved logins (without API keys) with their connection state
+ipcMain.handle('get-logins', async () => {
+  const states = topstepClient.getLoginStates();
+  const accounts = topstepClient.getAccounts();
+  const profiles = brokerProfiles.getProfiles();
+
+  return getTopstepXLogins().map(login => ({
+    loginId: login.loginId,
+    username: login.username,
+    brokerProfile: login.brokerProfile,
+    brokerName: (profiles.find(profile => profile.id === login.brokerProfile) || {}).name || login.brokerProfile,
+    state: states[login.loginId] || 'disconnected',
+    accountCount: accounts.filter(account => account.loginId === login.loginId).length
+  }));
+});
+
+// Disconnect and forget a login (refused while its accounts hold positions)
+ipcMain.handle('remove-login', async (event, loginId) => {
+  const accounts = topstepClient.getAccounts().filter(account => account.loginId === loginId);
+
+  if (accounts.some(account => (account.openPositions || []).length > 0 || (account.paperPositions || []).length > 0)) {
+    return { success: false, error: 'Close all positions on this login before removing it' };
+  }
+
+  if (!removeTopstepXLogin(loginId)) {
+    return { success: false, error: 'Failed to update stored credentials' };
+  }
+
+  await topstepClient.removeLogin(loginId);
+  console.log(`[Main] Login removed: ${loginId.split(':')[0]} (${accounts.length} account(s))`);
+
+  return { success: true };
+});
+
+// List prop firms for API key setup
+ipcMain.handle('get-broker-profiles', async () => {
+  return {
+    profiles: brokerProfiles.getProfiles(),
+    selected: brokerProfiles.DEFAULT_PROFILE_ID
+  };
+});
+
 // Handle external link opening
 ipcMain.handle('open-external', async (event, url) => {
   shell.openExternal(url);
@@ -990,16 +1825,37 @@ ipcMain.handle('get-cumulative-pnl', async () => {
   return topstepClient.getCumulativePnl();
 });
 
-// Set master kill switch
-ipcMain.handle('set-master-kill-switch', async (event, enabled) => {
+// Get tracked orders (optionally for one account)
+ipcMain.handle('get-orders', async (event, accountId) => {
   if (!isTopstepInitialized) {
-    return { success: false, error: 'TopstepX not initialized' };
+    return [];
   }
+  return topstepClient.getOrders(accountId);
+});
 
-  topstepClient.setMasterKillSwitch(enabled);
-  console.log(`[Main] Master kill switch set to: ${enabled}`);
+// Cancel a working order
+ipcMain.handle('cancel-order', async (event, accountId, orderId) => {
+  return executeOrderCommand('CANCEL_ORDER', { accountId, orderId });
+});
 
-  return { success: true, enabled };
+// Modify price/size of a working order
+ipcMain.handle('modify-order', async (event, accountId, orderId, changes) => {
+  return executeOrderCommand('MODIFY_ORDER', { accountId, orderId, ...(changes || {}) });
+});
+
+// Cancel all working orders for an account
+ipcMain.handle('cancel-all-orders', async (event, accountId) => {
+  return executeOrderCommand('CANCEL_ALL_ORDERS', { accountId });
+});
+
+// Cancel all working orders and close all positions (accountId optional)
+ipcMain.handle('flatten-all', async (event, accountId) => {
+  return executeFlattenAll('dashboard', accountId);
+});
+
+// Set master kill switch
+ipcMain.handle('set-master-kill-switch', async (event, enabled) => {
+  return setTradingArmed(enabled, 'dashboard');
 });
 
 // Get master kill switch status
@@ -1010,15 +1866,31 @@ ipcMain.handle('get-master-kill-switch', async () => {
   return topstepClient.getMasterKillSwitch();
 });
 
+// Get the startup arming policy and crash status
+ipcMain.handle('get-trading-settings', async () => {
+  return tradingState.getSettings();
+});
+
+// Change what the master switch does on the next launch
+ipcMain.handle('set-trading-startup-policy', async (event, policy) => {
+  return tradingState.setStartupPolicy(policy);
+});
+
 // Set account trading status
 ipcMain.handle('set-account-trading', async (event, accountId, enabled) => {
   if (!isTopstepInitialized) {
     return { success: false, error: 'TopstepX not initialized' };
   }
 
+  // A loss-limit trip locks the account until the next trading day
+  if (enabled && drawdownMonitor.isTripped(accountId)) {
+    return { success: false, error: 'Account is locked by its loss limit until the next trading day' };
+  }
+
   const success = topstepClient.setAccountTrading(accountId, enabled);
 
   if (success) {
+    tradingState.setAccountEnabled(accountId, enabled);
     console.log(`[Main] Account ${accountId} trading set to: ${enabled}`);
     return { success: true, accountId, enabled };
   } else {
@@ -1026,6 +1898,93 @@ ipcMain.handle('set-account-trading', async (event, accountId, enabled) => {
   }
 });
 
+// Switch an account between live and paper execution
+ipcMain.handle('set-account-paper-trading', async (event, accountId, enabled) => {
+  if (!isTopstepInitialized) {
+    return { success: false, error: 'TopstepX not initialized' };
+  }
+
+  // Positions on the venue being left would no longer be managed by directives
+  const account = topstepClient.getAccounts().find(a => a.id === accountId);
+  const held = account ? (account.paperTrading ? account.paperPositions : account.openPositions) : [];
+  if ((held || []).length > 0) {
+    return { success: false, error: 'Close open positions before switching execution mode' };
+  }
+
+  const success = topstepClient.setPaperTrading(accountId, enabled);
+
+  if (success) {
+    // A restart must never route a paper account to the live broker
+    tradingState.setAccountPaperTrading(accountId, enabled);
+    console.log(`[Main] Account ${accountId} execution set to: ${enabled ? 'PAPER' : 'LIVE'}`);
+    return { success: true, accountId, enabled };
+  } else {
+    return { success: false, error: 'Account not found' };
+  }
+});
+
+// Get effective risk limits for an account
+ipcMain.handle('get-risk-limits', async (event, accountId) => {
+  return riskEngine.getLimits(accountId);
+});
+
+// Override risk limits for an account
+ipcMain.handle('set-risk-limits', async (event, accountId, limits) => {
+  const result = riskEngine.setLimits(accountId, limits);
+
+  // New loss limits can move the account into or out of a warning right away
+  if (result.success) {
+    drawdownMonitor.evaluate(accountId);
+  }
+
+  return result;
+});
+
+// Get internal state for troubleshooting (queue depths, market data)
+ipcMain.handle('get-diagnostics', async () => {
+  return {
+    executionQueue: executionQueue.getStats(),
+    marketData: {
+      connected: marketDataService.isConnected(),
+      quotes: marketDataService.getQuotes().length
+    },
+    timestamp: new Date().toISOString()
+  };
+});
+
+// Get latest quotes for subscribed contracts
+ipcMain.handle('get-quotes', async () => {
+  return marketDataService.getQuotes();
+});
+
+// Query the trade journal (fills, order transitions, directives)
+ipcMain.handle('query-trade-journal', async (event, filters) => {
+  try {
+    return { success: true, ...tradeJournal.query(filters || {}) };
+  } catch (error) {
+    console.error('[Main] Trade journal query failed:', error);
+    return { success: false, error: error.message, records: [] };
+  }
+});
+
+// Get today's realized PnL from FIFO round trips (per trade, symbol, account and strategy)
+ipcMain.handle('get-pnl-breakdown', async (event, accountId) => {
+  return pnlLedger.getBreakdown(accountId !== undefined && accountId !== null ? Number(accountId) : undefined);
+});
+
+// Get the current CME session status
+ipcMain.handle('get-session-status', async () => {
+  return sessionCalendar.getSessionStatus();
+});
+
+// Get loss-limit status for all accounts
+ipcMain.handle('get-risk-status', async () => {
+  if (!isTopstepInitialized) {
+    return [];
+  }
+  return drawdownMonitor.getAllStatuses();
+});
+
 // Get trading status for all accounts
 ipcMain.handle('get-trading-status', async () => {
   if (!isTopstepInitialized) {
@@ -20,6 +20,13 @@ contextBridge.exposeInMainWorld('electronAPI', {
     });
   },
 
+  // Listen for trade directives that were not executed (kill switch, stale, price deviation)
+  onSignalRejected: (callback) => {
+    ipcRenderer.on('signal-rejected', (event, data) => {
+      callback(data);
+    });
+  },
+
   // Listen for application state changes
   onAppStateChanged: (callback) => {
     ipcRenderer.on('app-state-changed', (event, data) => {
@@ -35,6 +42,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Activation flow
   activateWithToken: (token) => ipcRenderer.invoke('activate-with-token', token),
   saveApiKey: (apiKey) => ipcRenderer.invoke('save-api-key', apiKey),
+  getBrokerProfiles: () => ipcRenderer.invoke('get-broker-profiles'),
+  getLogins: () => ipcRenderer.invoke('get-logins'),
+  removeLogin: (loginId) => ipcRenderer.invoke('remove-login', loginId),
   openExternal: (url) => ipcRenderer.invoke('open-external', url),
 
   // TopstepX account management
@@ -51,13 +61,91 @@ contextBridge.exposeInMainWorld('electronAPI', {
     });
   },
 
+  // Order lifecycle
+  getOrders: (accountId) => ipcRenderer.invoke('get-orders', accountId),
+  cancelOrder: (accountId, orderId) => ipcRenderer.invoke('cancel-order', accountId, orderId),
+  modifyOrder: (accountId, orderId, changes) => ipcRenderer.invoke('modify-order', accountId, orderId, changes),
+  cancelAllOrders: (accountId) => ipcRenderer.invoke('cancel-all-orders', accountId),
+  onOrderUpdate: (callback) => {
+    ipcRenderer.on('order-update', (event, order) => {
+      callback(order);
+    });
+  },
+
+  // Trade journal history
+  queryTradeJournal: (filters) => ipcRenderer.invoke('query-trade-journal', filters),
+
+  // Realized PnL ledger (FIFO round trips)
+  getPnlBreakdown: (accountId) => ipcRenderer.invoke('get-pnl-breakdown', accountId),
+  onPnlLedgerUpdate: (callback) => {
+    ipcRenderer.on('pnl-ledger-update', (event, data) => {
+      callback(data);
+    });
+  },
+  onPnlDiscrepancy: (callback) => {
+    ipcRenderer.on('pnl-discrepancy', (event, data) => {
+      callback(data);
+    });
+  },
+
+  // Market Hub quotes
+  getQuotes: () => ipcRenderer.invoke('get-quotes'),
+  onQuoteUpdate: (callback) => {
+    ipcRenderer.on('quote-update', (event, quote) => {
+      callback(quote);
+    });
+  },
+
+  onValuationUpdate: (callback) => {
+    ipcRenderer.on('valuation-update', (event, data) => {
+      callback(data);
+    });
+  },
+
+  // Emergency flatten (cancel all orders, close all positions)
+  flattenAll: (accountId) => ipcRenderer.invoke('flatten-all', accountId),
+  onFlattenCompleted: (callback) => {
+    ipcRenderer.on('flatten-completed', (event, data) => {
+      callback(data);
+    });
+  },
+
+  // Bracket legs that could not be placed (stop-loss failures flatten the entry)
+  onBracketAlert: (callback) => {
+    ipcRenderer.on('bracket-alert', (event, alert) => {
+      callback(alert);
+    });
+  },
+
+  // Broker state resync after startup and reconnects
+  onReconciliationCompleted: (callback) => {
+    ipcRenderer.on('reconciliation-completed', (event, data) => {
+      callback(data);
+    });
+  },
+
   // Kill switch controls
   setMasterKillSwitch: (enabled) => ipcRenderer.invoke('set-master-kill-switch', enabled),
   getMasterKillSwitch: () => ipcRenderer.invoke('get-master-kill-switch'),
   setAccountTrading: (accountId, enabled) => ipcRenderer.invoke('set-account-trading', accountId, enabled),
+  setAccountPaperTrading: (accountId, enabled) => ipcRenderer.invoke('set-account-paper-trading', accountId, enabled),
   getTradingStatus: () => ipcRenderer.invoke('get-trading-status'),
+  getTradingSettings: () => ipcRenderer.invoke('get-trading-settings'),
+  setTradingStartupPolicy: (policy) => ipcRenderer.invoke('set-trading-startup-policy', policy),
+
+  // Pre-trade risk limits
+  getRiskLimits: (accountId) => ipcRenderer.invoke('get-risk-limits', accountId),
+  setRiskLimits: (accountId, limits) => ipcRenderer.invoke('set-risk-limits', accountId, limits),
+  getRiskStatus: () => ipcRenderer.invoke('get-risk-status'),
+  getSessionStatus: () => ipcRenderer.invoke('get-session-status'),
+  getDiagnostics: () => ipcRenderer.invoke('get-diagnostics'),
+  onRiskStatusChanged: (callback) => {
+    ipcRenderer.on('risk-status-changed', (event, status) => {
+      callback(status);
+    });
+  },
 
-  // Listen for trading status changes from cloud
+  // Listen for trading status changes (cloud, startup policy)
   onTradingStatusChanged: (callback) => {
     ipcRenderer.on('trading-status-changed', (event, data) => {
       callback(data);
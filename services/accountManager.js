@@ -7,22 +7,35 @@ let masterKillSwitch = false; // Global trading on/off
 
 /**
  * Initialize accounts from TopstepX API response
+ * Accounts are tagged with the login they came from; other logins' accounts are kept.
  * @param {Array} accountList - Array of account objects from TopstepX
+ * @param {object} login - {loginId, loginLabel}
  */
-function initializeAccounts(accountList) {
+function initializeAccounts(accountList, login = {}) {
   if (!Array.isArray(accountList)) {
     console.error('[AccountManager] Invalid account list provided');
     return;
   }
 
-  console.log(`[AccountManager] Initializing ${accountList.length} account(s)...`);
+  console.log(`[AccountManager] Initializing ${accountList.length} account(s)${login.loginLabel ? ` for ${login.loginLabel}` : ''}...`);
 
   accountList.forEach(account => {
+    const existing = accounts.get(account.id);
+    if (existing && existing.loginId !== login.loginId) {
+      console.warn(`[AccountManager] Account ${account.id} already loaded by ${existing.loginLabel} - ignoring duplicate`);
+      return;
+    }
+
     const accountState = {
       ...account,
+      loginId: login.loginId || null,
+      loginLabel: login.loginLabel || null,
       tradingEnabled: true, // Per-account toggle (default: enabled)
+      paperTrading: false, // Route orders to the local simulator instead of TopstepX
       pnl: 0,
       openPositions: [],
+      paperPnl: 0, // Simulated state - kept apart from the live fields the User Hub updates
+      paperPositions: [],
       recentFills: [],
       lastUpdate: new Date()
     };
@@ -91,6 +104,51 @@ function addFill(accountId, fillData) {
   console.log(`[AccountManager] Fill added to account ${accountId}`);
 }
 
+/**
+ * Insert, replace or remove a single open position (matched by contractId)
+ * @param {number} accountId - Account ID
+ * @param {object} position - Position object (size 0 removes it)
+ */
+function upsertPosition(accountId, position) {
+  const account = accounts.get(accountId);
+
+  if (!account) {
+    console.warn(`[AccountManager] Cannot update position for unknown account: ${accountId}`);
+    return;
+  }
+
+  account.openPositions = replacePosition(account.openPositions, position);
+  account.lastUpdate = new Date();
+}
+
+/**
+ * Insert, replace or remove a simulated position (paper broker only)
+ * @param {number} accountId - Account ID
+ * @param {object} position - Position object (size 0 removes it)
+ */
+function upsertPaperPosition(accountId, position) {
+  const account = accounts.get(accountId);
+
+  if (!account) {
+    console.warn(`[AccountManager] Cannot update paper position for unknown account: ${accountId}`);
+    return;
+  }
+
+  account.paperPositions = replacePosition(account.paperPositions, position);
+  account.lastUpdate = new Date();
+}
+
+/**
+ * Replace a contract's entry in a position list
+ * @param {Array} positions - Current positions
+ * @param {object} position - New position (size 0 removes it)
+ * @returns {Array} Updated positions
+ */
+function replacePosition(positions, position) {
+  const others = positions.filter(p => p.contractId !== position.contractId);
+  return position.size > 0 ? [...others, position] : others;
+}
+
 /**
  * Update account PNL
  * @param {number} accountId - Account ID
@@ -100,6 +158,26 @@ function updatePnl(accountId, pnl) {
   updateAccount(accountId, { pnl });
 }
 
+/**
+ * Update an account's simulated realized PNL (paper broker only)
+ * @param {number} accountId - Account ID
+ * @param {number} pnl - New simulated PNL value
+ */
+function updatePaperPnl(accountId, pnl) {
+  updateAccount(accountId, { paperPnl: pnl });
+}
+
+/**
+ * Positions orders for an account will trade against - simulated for paper accounts, broker otherwise
+ * @param {number|string} accountId - Account ID
+ * @returns {Array} Open positions
+ */
+function getActivePositions(accountId) {
+  const account = accounts.get(Number(accountId));
+  if (!account) return [];
+  return account.paperTrading ? account.paperPositions : account.openPositions;
+}
+
 /**
  * Get cumulative PNL across all accounts
  * @returns {number} Total PNL
@@ -149,6 +227,35 @@ function setAccountTrading(accountId, enabled) {
   return true;
 }
 
+/**
+ * Switch an account between live and paper (simulated) execution
+ * @param {number} accountId - Account ID
+ * @param {boolean} enabled - true = paper trading
+ * @returns {boolean} true if the account exists
+ */
+function setPaperTrading(accountId, enabled) {
+  const account = accounts.get(accountId);
+
+  if (!account) {
+    console.warn(`[AccountManager] Cannot set paper trading for unknown account: ${accountId}`);
+    return false;
+  }
+
+  account.paperTrading = enabled;
+  console.log(`[AccountManager] Account ${accountId} execution: ${enabled ? 'PAPER' : 'LIVE'}`);
+  return true;
+}
+
+/**
+ * Check whether an account is in paper mode
+ * @param {number|string} accountId - Account ID
+ * @returns {boolean} true if orders for this account are simulated
+ */
+function isPaperTrading(accountId) {
+  const account = accounts.get(Number(accountId));
+  return !!(account && account.paperTrading);
+}
+
 /**
  * Check if trading is allowed for a specific account
  * Considers both master kill switch AND per-account toggle
@@ -181,6 +288,7 @@ function getTradingStatus() {
   accounts.forEach((account, accountId) => {
     accountStatuses[accountId] = {
       enabled: account.tradingEnabled,
+      paperTrading: account.paperTrading,
       canTrade: canTrade(accountId)
     };
   });
@@ -191,6 +299,35 @@ function getTradingStatus() {
   };
 }
 
+/**
+ * Get the login an account belongs to
+ * @param {number} accountId - Account ID
+ * @returns {string|null} Login ID
+ */
+function getLoginId(accountId) {
+  const account = accounts.get(Number(accountId));
+  return account ? account.loginId : null;
+}
+
+/**
+ * Remove every account loaded by a login
+ * @param {string} loginId - Login ID
+ * @returns {Array<number>} Removed account IDs
+ */
+function removeLoginAccounts(loginId) {
+  const removed = [];
+
+  accounts.forEach((account, accountId) => {
+    if (account.loginId === loginId) {
+      accounts.delete(accountId);
+      removed.push(accountId);
+    }
+  });
+
+  console.log(`[AccountManager] Removed ${removed.length} account(s) for login ${loginId.split(':')[0]}`);
+  return removed;
+}
+
 /**
  * Reset all account state (useful for testing/debugging)
  */
@@ -206,12 +343,20 @@ module.exports = {
   getAccount,
   updateAccount,
   addFill,
+  upsertPosition,
+  upsertPaperPosition,
   updatePnl,
+  updatePaperPnl,
+  getActivePositions,
   getCumulativePnl,
   setMasterKillSwitch,
   getMasterKillSwitch,
   setAccountTrading,
+  setPaperTrading,
+  isPaperTrading,
   canTrade,
   getTradingStatus,
+  getLoginId,
+  removeLoginAccounts,
   reset
 };
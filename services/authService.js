@@ -1,48 +1,64 @@
 // services/authService.js
-// TopstepX Authentication Service - Token Management & Account Fetching
+// TopstepX Authentication Service - Token Management & Account Fetching (one session per login)
 
 const axios = require('axios');
 const config = require('../config');
+const brokerProfiles = require('./brokerProfiles');
 
-// Module-level cache for token and expiry time
-let currentToken = null;
-let tokenExpiryTime = null;
-let currentCredentials = null;
+// Per-login credentials and token cache
+const sessions = new Map(); // loginId -> {credentials, token, tokenExpiryTime}
 
 /**
- * Initialize the auth service with user credentials
- * @param {Object} credentials - {username, apiKey}
+ * Register a login's credentials
+ * @param {Object} credentials - {loginId, username, apiKey, brokerProfile}
  */
 function initialize(credentials) {
-  if (!credentials || !credentials.username || !credentials.apiKey) {
+  if (!credentials || !credentials.loginId || !credentials.username || !credentials.apiKey) {
     throw new Error('Invalid credentials provided to authService');
   }
 
-  currentCredentials = credentials;
-  console.log(`[AuthService] Initialized for user: ${credentials.username.substring(0, 3)}***`);
+  sessions.set(credentials.loginId, {
+    credentials,
+    token: null,
+    tokenExpiryTime: null
+  });
+  console.log(`[AuthService] Initialized for user: ${credentials.username.substring(0, 3)}*** (${credentials.loginId.split(':')[0]})`);
 }
 
 /**
- * Performs full authentication with API Key
- * @returns {Promise<string>} Authentication token
+ * Get a login's session
+ * @param {string} [loginId] - Login ID (first registered login when omitted)
+ * @returns {Object} Session {credentials, token, tokenExpiryTime}
  */
-async function loginWithApiKey() {
-  if (!currentCredentials) {
-    throw new Error('AuthService not initialized. Call initialize() first.');
+function getSession(loginId) {
+  const session = sessions.get(loginId || getDefaultLoginId());
+
+  if (!session) {
+    throw new Error(`AuthService not initialized for login ${loginId || '(default)'}. Call initialize() first.`);
   }
 
-  const authUrl = `${config.API_ENDPOINT}/api/Auth/loginKey`;
+  return session;
+}
+
+/**
+ * Performs full authentication with API Key
+ * @param {Object} session - Login session
+ * @returns {Promise<string>} Authentication token
+ */
+async function loginWithApiKey(session) {
+  const { credentials } = session;
+  const authUrl = `${brokerProfiles.getApiEndpoint(credentials.loginId)}/api/Auth/loginKey`;
   const authData = {
-    userName: currentCredentials.username,
-    apiKey: currentCredentials.apiKey
+    userName: credentials.username,
+    apiKey: credentials.apiKey
   };
 
   // Sanitize for logging
-  const sanitizedUsername = currentCredentials.username.length > 6
-    ? `${currentCredentials.username.substring(0, 3)}***${currentCredentials.username.substring(currentCredentials.username.length - 3)}`
+  const sanitizedUsername = credentials.username.length > 6
+    ? `${credentials.username.substring(0, 3)}***${credentials.username.substring(credentials.username.length - 3)}`
     : '***';
 
-  console.log(`[AuthService] Authenticating with TopstepX API...`);
+  console.log(`[AuthService] Authenticating with ${brokerProfiles.getLoginProfile(credentials.loginId).name} API...`);
   console.log(`[AuthService] Username: ${sanitizedUsername}`);
 
   try {
@@ -52,9 +68,9 @@ async function loginWithApiKey() {
 
     if (response.data && response.data.token) {
       console.log('[AuthService] Authentication successful. Token received.');
-      currentToken = response.data.token;
-      tokenExpiryTime = Date.now() + config.TOKEN_LIFETIME_MS;
-      return currentToken;
+      session.token = response.data.token;
+      session.tokenExpiryTime = getTokenExpiry(session.token);
+      return session.token;
     }
 
     throw new Error('Token not found in login response');
@@ -64,13 +80,32 @@ async function loginWithApiKey() {
   }
 }
 
+/**
+ * When a token should be refreshed
+ * Uses the JWT's own expiry when it has one, otherwise the configured lifetime.
+ * @param {string} token - Gateway token
+ * @returns {number} Refresh time (ms since epoch)
+ */
+function getTokenExpiry(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString('utf8'));
+    if (payload.exp) {
+      return payload.exp * 1000 - config.TOKEN_REFRESH_MARGIN_MS;
+    }
+  } catch (error) {
+    // Not a JWT - fall back to the configured lifetime
+  }
+
+  return Date.now() + config.TOKEN_LIFETIME_MS;
+}
+
 /**
  * Validates current token and gets a refreshed one
- * @param {string} tokenToValidate - Current token
+ * @param {Object} session - Login session holding the current token
  * @returns {Promise<string|null>} New token or null if validation failed
  */
-async function validateAndRefreshToken(tokenToValidate) {
-  const validateUrl = `${config.API_ENDPOINT}/api/Auth/validate`;
+async function validateAndRefreshToken(session) {
+  const validateUrl = `${brokerProfiles.getApiEndpoint(session.credentials.loginId)}/api/Auth/validate`;
 
   console.log('[AuthService] Validating and refreshing token...');
 
@@ -81,16 +116,16 @@ async function validateAndRefreshToken(tokenToValidate) {
       {
         headers: {
           'accept': 'application/json',
-          'Authorization': `Bearer ${tokenToValidate}`
+          'Authorization': `Bearer ${session.token}`
         }
       }
     );
 
     if (response.data && response.data.success && response.data.newToken) {
       console.log('[AuthService] Token refreshed successfully.');
-      currentToken = response.data.newToken;
-      tokenExpiryTime = Date.now() + config.TOKEN_LIFETIME_MS;
-      return currentToken;
+      session.token = response.data.newToken;
+      session.tokenExpiryTime = getTokenExpiry(session.token);
+      return session.token;
     } else {
       console.warn('[AuthService] Token validation failed. Will attempt full login.');
       return null;
@@ -103,33 +138,37 @@ async function validateAndRefreshToken(tokenToValidate) {
 
 /**
  * Gets a valid access token (uses cache, refreshes, or performs full login as needed)
+ * @param {string} [loginId] - Login ID (first registered login when omitted)
  * @returns {Promise<string>} Valid authentication token
  */
-async function getAccessToken() {
+async function getAccessToken(loginId) {
+  const session = getSession(loginId);
+
   // If we have a valid cached token, return it
-  if (currentToken && tokenExpiryTime && Date.now() < tokenExpiryTime) {
-    return currentToken;
+  if (session.token && session.tokenExpiryTime && Date.now() < session.tokenExpiryTime) {
+    return session.token;
   }
 
   // If token exists but might be expired, try to refresh it
-  if (currentToken) {
-    const refreshedToken = await validateAndRefreshToken(currentToken);
+  if (session.token) {
+    const refreshedToken = await validateAndRefreshToken(session);
     if (refreshedToken) {
       return refreshedToken;
     }
   }
 
   // No token or refresh failed - perform full login
-  return await loginWithApiKey();
+  return await loginWithApiKey(session);
 }
 
 /**
  * Fetches active accounts from TopstepX API
  * @param {string} authToken - Authentication token
+ * @param {string} loginId - Login the token belongs to
  * @returns {Promise<Array>} Array of active account objects
  */
-async function getActiveAccounts(authToken) {
-  const url = `${config.API_ENDPOINT}/api/Account/search`;
+async function getActiveAccounts(authToken, loginId) {
+  const url = `${brokerProfiles.getApiEndpoint(loginId)}/api/Account/search`;
 
   console.log('[AuthService] Fetching active accounts...');
 
@@ -156,11 +195,41 @@ async function getActiveAccounts(authToken) {
 }
 
 /**
- * Clears cached token (useful for logout or error recovery)
+ * IDs of all registered logins
+ * @returns {Array<string>} Login IDs
+ */
+function getLoginIds() {
+  return Array.from(sessions.keys());
+}
+
+/**
+ * Login used for calls that are not tied to an account (e.g. contract search)
+ * @returns {string|null} First registered login ID
+ */
+function getDefaultLoginId() {
+  return sessions.keys().next().value || null;
+}
+
+/**
+ * Forget a login's credentials and token
+ * @param {string} loginId - Login ID
+ */
+function removeLogin(loginId) {
+  sessions.delete(loginId);
+  console.log(`[AuthService] Login removed: ${loginId.split(':')[0]}`);
+}
+
+/**
+ * Clears cached tokens (useful for logout or error recovery)
+ * @param {string} [loginId] - Only clear this login's token (all logins when omitted)
  */
-function clearToken() {
-  currentToken = null;
-  tokenExpiryTime = null;
+function clearToken(loginId) {
+  sessions.forEach((session, id) => {
+    if (!loginId || id === loginId) {
+      session.token = null;
+      session.tokenExpiryTime = null;
+    }
+  });
   console.log('[AuthService] Token cleared');
 }
 
@@ -168,5 +237,8 @@ module.exports = {
   initialize,
   getAccessToken,
   getActiveAccounts,
+  getLoginIds,
+  getDefaultLoginId,
+  removeLogin,
   clearToken
 };
@@ -0,0 +1,736 @@
+// services/bracketManager.js
+// Bracket Orders - Protective stop-loss / take-profit legs managed as OCO pairs
+
+const fs = require('fs');
+const config = require('../config');
+const orderExecutionService = require('./orderExecutionService');
+const contractResolver = require('./contractResolver');
+const instrumentRegistry = require('./instrumentRegistry');
+const orderTracker = require('./orderTracker');
+const accountManager = require('./accountManager');
+
+const { ORDER_STATUS } = orderTracker;
+
+// Bracket lifecycle
+const BRACKET_STATES = {
+  PENDING_ENTRY: 'pending_entry', // Entry not filled yet
+  ACTIVE: 'active',               // Legs working at the broker
+  CLOSED: 'closed'                // A leg filled, the entry died unfilled, or the position was exited
+};
+
+let bracketsFile = null;
+let brackets = new Map(); // entry orderId -> bracket
+let legIndex = new Map(); // leg orderId -> entry orderId
+let workQueues = new Map(); // entry orderId -> Promise (serializes broker calls per bracket)
+let unverifiedEntries = new Set(); // entry orderIds loaded from disk in PENDING_ENTRY, not yet checked against the broker
+let eventHandlers = {
+  onProtectionFailed: null
+};
+
+/**
+ * Load open brackets from disk so OCO management survives restarts
+ * Entries still pending on disk may have filled while the app was down - they wait for reconcilePendingEntries().
+ * @param {string} filePath - Path to the brackets file (in userData)
+ * @param {object} handlers - {onProtectionFailed(alert)}
+ */
+function initialize(filePath, handlers = {}) {
+  bracketsFile = filePath;
+  eventHandlers = { ...eventHandlers, ...handlers };
+  brackets.clear();
+  legIndex.clear();
+  unverifiedEntries.clear();
+
+  try {
+    if (fs.existsSync(bracketsFile)) {
+      const saved = JSON.parse(fs.readFileSync(bracketsFile, 'utf8'));
+      saved.forEach(bracket => {
+        indexBracket(bracket);
+        if (bracket.state === BRACKET_STATES.PENDING_ENTRY) {
+          unverifiedEntries.add(String(bracket.entryOrderId));
+        }
+      });
+    }
+  } catch (error) {
+    console.error('[BracketManager] Failed to load brackets:', error);
+  }
+
+  console.log(`[BracketManager] Loaded ${brackets.size} open bracket(s), ${unverifiedEntries.size} awaiting broker check`);
+}
+
+/**
+ * Check whether a directive asks for protective orders
+ * @param {object} directive - Trade directive
+ * @returns {boolean} true if stopLoss or takeProfit is set
+ */
+function hasBracket(directive) {
+  return (directive.stopLoss !== undefined && directive.stopLoss !== null)
+    || (directive.takeProfit !== undefined && directive.takeProfit !== null);
+}
+
+/**
+ * Register a bracket for a freshly submitted entry order
+ * stopLoss / takeProfit accept a tick distance (number or {ticks}) or an absolute price ({price}).
+ * @param {object} entry - Successful submitOrder result
+ * @param {object} params - {stopLoss, takeProfit, directiveId}
+ * @returns {object} Bracket record
+ */
+function registerEntry(entry, { stopLoss, takeProfit, directiveId }) {
+  const bracket = {
+    entryOrderId: entry.orderId,
+    accountId: entry.accountId,
+    contractId: entry.contractId,
+    symbol: entry.symbol,
+    entrySide: entry.side,
+    stopLoss: normalizeLevel(stopLoss),
+    takeProfit: normalizeLevel(takeProfit),
+    directiveId: directiveId || null,
+    state: BRACKET_STATES.PENDING_ENTRY,
+    entryPrice: null,
+    protectedQuantity: 0,
+    reducedQuantity: 0, // Contracts exited outside the bracket while it was active
+    stopOrderId: null,
+    targetOrderId: null,
+    createdAt: new Date().toISOString()
+  };
+
+  indexBracket(bracket);
+  save();
+
+  console.log(`[BracketManager] Bracket registered for entry order ${entry.orderId}:`, {
+    stopLoss: bracket.stopLoss,
+    takeProfit: bracket.takeProfit
+  });
+
+  // The entry may already have filled before we got the order ID back
+  const trackedEntry = orderTracker.getOrder(entry.orderId, entry.accountId);
+  if (trackedEntry) {
+    handleOrderUpdate(trackedEntry);
+  }
+
+  return bracket;
+}
+
+/**
+ * React to an order lifecycle change (called for every tracked order)
+ * @param {object} order - Tracked order from orderTracker
+ */
+function handleOrderUpdate(order) {
+  const orderKey = String(order.orderId);
+
+  // Replayed events for an entry from a previous session are handled by reconcilePendingEntries()
+  if (unverifiedEntries.has(orderKey)) return;
+
+  if (brackets.has(orderKey)) {
+    enqueue(orderKey, () => onEntryUpdate(brackets.get(orderKey), order));
+    return;
+  }
+
+  const entryKey = legIndex.get(orderKey);
+  if (entryKey && brackets.has(entryKey)) {
+    enqueue(entryKey, () => onLegUpdate(brackets.get(entryKey), order));
+  }
+}
+
+/**
+ * Entry order progressed - place or resize the protective legs
+ * @param {object} bracket - Bracket record
+ * @param {object} entryOrder - Tracked entry order
+ */
+async function onEntryUpdate(bracket, entryOrder) {
+  if (bracket.state === BRACKET_STATES.CLOSED) return;
+
+  const filled = entryOrder.filledQuantity || 0;
+
+  // Entry died without any fill - nothing to protect
+  if (filled === 0 && orderTracker.isTerminal(entryOrder.status)) {
+    closeBracket(bracket, `entry ${entryOrder.status} unfilled`);
+    return;
+  }
+
+  // Contracts already exited outside the bracket are not protected again
+  const quantity = filled - (bracket.reducedQuantity || 0);
+  if (quantity <= bracket.protectedQuantity) return;
+
+  if (bracket.state === BRACKET_STATES.PENDING_ENTRY) {
+    bracket.entryPrice = entryOrder.averageFillPrice;
+    await placeLegs(bracket, quantity);
+  } else {
+    // Partial entry fills keep arriving - grow the legs to cover them
+    await resizeLegs(bracket, quantity);
+  }
+
+  save();
+}
+
+/**
+ * A protective leg progressed - enforce one-cancels-other
+ * @param {object} bracket - Bracket record
+ * @param {object} legOrder - Tracked leg order
+ */
+async function onLegUpdate(bracket, legOrder) {
+  if (bracket.state === BRACKET_STATES.CLOSED) return;
+
+  const isStopLeg = String(legOrder.orderId) === String(bracket.stopOrderId);
+  const otherLegId = isStopLeg ? bracket.targetOrderId : bracket.stopOrderId;
+  const legName = isStopLeg ? 'stop-loss' : 'take-profit';
+
+  if (legOrder.status === ORDER_STATUS.FILLED) {
+    console.log(`[BracketManager] ${legName} filled for entry ${bracket.entryOrderId} - cancelling other leg`);
+    if (otherLegId) {
+      await orderExecutionService.cancelOrder(bracket.accountId, otherLegId);
+    }
+    closeBracket(bracket, `${legName} filled`);
+    return;
+  }
+
+  if (legOrder.status === ORDER_STATUS.PARTIALLY_FILLED && otherLegId) {
+    // Keep the surviving leg sized to what is still open
+    const remaining = bracket.protectedQuantity - legOrder.filledQuantity;
+    if (remaining > 0) {
+      await orderExecutionService.modifyOrder({ accountId: bracket.accountId, orderId: otherLegId, size: remaining });
+    }
+    return;
+  }
+
+  if (orderTracker.isTerminal(legOrder.status)) {
+    // Leg cancelled/rejected outside of OCO handling - the other leg keeps protecting
+    console.warn(`[BracketManager] ${legName} for entry ${bracket.entryOrderId} ended as ${legOrder.status}`);
+    if (isStopLeg) {
+      bracket.stopOrderId = null;
+    } else {
+      bracket.targetOrderId = null;
+    }
+
+    if (!bracket.stopOrderId && !bracket.targetOrderId) {
+      closeBracket(bracket, 'no legs left working');
+    } else {
+      save();
+    }
+  }
+}
+
+/**
+ * Place the stop-loss and take-profit legs
+ * The stop goes first: if it cannot be placed (after retries) the entry is flattened rather than left unprotected.
+ * @param {object} bracket - Bracket record
+ * @param {number} quantity - Contracts to protect
+ */
+async function placeLegs(bracket, quantity) {
+  const exitSide = bracket.entrySide === 'BUY' ? 'SELL' : 'BUY';
+  let stopPrice = null;
+  let targetPrice = null;
+
+  bracket.state = BRACKET_STATES.ACTIVE;
+  bracket.protectedQuantity = quantity;
+
+  if (bracket.stopLoss) {
+    const result = await withRetries('Stop-loss placement', bracket, async () => {
+      stopPrice = await resolveLevelPrice(bracket, bracket.stopLoss, 'stop');
+      if (!stopPrice) {
+        return { success: false, error: 'stop-loss could not be priced (tick size or fill price unknown)' };
+      }
+
+      return orderExecutionService.placeOrder({
+        accountId: bracket.accountId,
+        contractId: bracket.contractId,
+        side: exitSide,
+        size: quantity,
+        orderType: 'STOP',
+        stopPrice,
+        meta: { bracketEntryOrderId: bracket.entryOrderId, bracketLeg: 'stopLoss' }
+      });
+    });
+
+    if (!result.success) {
+      await flattenUnprotected(bracket, quantity, result.error);
+      return;
+    }
+
+    bracket.stopOrderId = result.orderId;
+    legIndex.set(String(result.orderId), String(bracket.entryOrderId));
+  }
+
+  if (bracket.takeProfit) {
+    targetPrice = await resolveLevelPrice(bracket, bracket.takeProfit, 'target');
+
+    const result = targetPrice
+      ? await orderExecutionService.placeOrder({
+        accountId: bracket.accountId,
+        contractId: bracket.contractId,
+        side: exitSide,
+        size: quantity,
+        orderType: 'LIMIT',
+        limitPrice: targetPrice,
+        meta: { bracketEntryOrderId: bracket.entryOrderId, bracketLeg: 'takeProfit' }
+      })
+      : { success: false, error: 'take-profit could not be priced (tick size or fill price unknown)' };
+
+    if (result.success) {
+      bracket.targetOrderId = result.orderId;
+      legIndex.set(String(result.orderId), String(bracket.entryOrderId));
+    } else {
+      // The stop (if any) still protects the position - report it, keep the position
+      console.error(`[BracketManager] ⚠️ Take-profit placement failed for entry ${bracket.entryOrderId}: ${result.error}`);
+      notifyProtectionFailed(bracket, { leg: 'takeProfit', reason: result.error, flattened: false });
+    }
+  }
+
+  console.log(`[BracketManager] Bracket active for entry ${bracket.entryOrderId}:`, {
+    quantity,
+    entryPrice: bracket.entryPrice,
+    stopPrice,
+    targetPrice,
+    stopOrderId: bracket.stopOrderId,
+    targetOrderId: bracket.targetOrderId
+  });
+}
+
+/**
+ * Resize working legs after further entry fills
+ * A stop that cannot be grown leaves the new contracts unprotected, so the bracket's position is flattened.
+ * @param {object} bracket - Bracket record
+ * @param {number} quantity - New total contracts to protect
+ */
+async function resizeLegs(bracket, quantity) {
+  if (bracket.stopOrderId) {
+    const result = await withRetries('Stop-loss resize', bracket, () =>
+      orderExecutionService.modifyOrder({ accountId: bracket.accountId, orderId: bracket.stopOrderId, size: quantity })
+    );
+
+    if (!result.success) {
+      await flattenUnprotected(bracket, quantity, result.error);
+      return;
+    }
+  }
+
+  if (bracket.targetOrderId) {
+    const result = await orderExecutionService.modifyOrder({ accountId: bracket.accountId, orderId: bracket.targetOrderId, size: quantity });
+    if (!result.success) {
+      console.error(`[BracketManager] ⚠️ Take-profit resize failed for entry ${bracket.entryOrderId}: ${result.error}`);
+      notifyProtectionFailed(bracket, { leg: 'takeProfit', reason: result.error, flattened: false });
+    }
+  }
+
+  bracket.protectedQuantity = quantity;
+}
+
+/**
+ * Run a broker call until it succeeds or BRACKET_STOP_RETRY_ATTEMPTS is used up
+ * @param {string} description - What is being attempted (for the log)
+ * @param {object} bracket - Bracket record
+ * @param {Function} attempt - Async call returning {success, error}
+ * @returns {Promise<object>} Last result
+ */
+async function withRetries(description, bracket, attempt) {
+  const attempts = Math.max(1, config.BRACKET_STOP_RETRY_ATTEMPTS);
+  let result = null;
+
+  for (let i = 1; i <= attempts; i++) {
+    result = await attempt();
+    if (result.success) return result;
+
+    console.error(`[BracketManager] ⚠️ ${description} attempt ${i}/${attempts} failed for entry ${bracket.entryOrderId}: ${result.error}`);
+    if (i < attempts) {
+      await new Promise(resolve => setTimeout(resolve, config.BRACKET_STOP_RETRY_DELAY_MS));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Close a filled entry that could not get a stop-loss, then report it
+ * @param {object} bracket - Bracket record
+ * @param {number} quantity - Contracts the bracket holds
+ * @param {string} reason - Why the stop is missing
+ */
+async function flattenUnprotected(bracket, quantity, reason) {
+  console.error(`[BracketManager] 🛑 Entry ${bracket.entryOrderId} has no stop-loss (${reason}) - closing ${quantity} ${bracket.contractId}`);
+
+  for (const legId of [bracket.stopOrderId, bracket.targetOrderId]) {
+    if (legId) {
+      await orderExecutionService.cancelOrder(bracket.accountId, legId);
+    }
+  }
+
+  const result = await orderExecutionService.closePosition(bracket.accountId, bracket.contractId, quantity);
+
+  closeBracket(bracket, result.success ? 'stop-loss failed - position closed' : 'stop-loss failed - close failed');
+  notifyProtectionFailed(bracket, {
+    leg: 'stopLoss',
+    reason,
+    flattened: result.success,
+    flattenError: result.success ? null : result.error
+  });
+}
+
+/**
+ * Tell the main process a leg could not be placed
+ * @param {object} bracket - Bracket record
+ * @param {object} details - {leg, reason, flattened, flattenError}
+ */
+function notifyProtectionFailed(bracket, details) {
+  if (!eventHandlers.onProtectionFailed) return;
+
+  eventHandlers.onProtectionFailed({
+    entryOrderId: bracket.entryOrderId,
+    accountId: bracket.accountId,
+    contractId: bracket.contractId,
+    symbol: bracket.symbol,
+    directiveId: bracket.directiveId,
+    ...details,
+    at: new Date().toISOString()
+  });
+}
+
+/**
+ * Check entries that were still pending when the app last closed against the broker
+ * Runs after the account's reconciliation, so a still-working or replayed entry is already in the order tracker.
+ * Legs are only placed for contracts the account still holds in the entry's direction.
+ * @param {number} accountId - Account ID
+ * @returns {Promise<void>}
+ */
+async function reconcilePendingEntries(accountId) {
+  const pending = getBrackets(accountId).filter(bracket => unverifiedEntries.has(String(bracket.entryOrderId)));
+
+  for (const bracket of pending) {
+    await enqueue(String(bracket.entryOrderId), () => reconcileEntry(bracket));
+  }
+}
+
+/**
+ * Resolve one entry from a previous session
+ * @param {object} bracket - Bracket record (PENDING_ENTRY)
+ */
+async function reconcileEntry(bracket) {
+  const entryKey = String(bracket.entryOrderId);
+
+  // The simulator does not survive a restart - its orders are gone
+  if (Number(bracket.entryOrderId) < 0) {
+    unverifiedEntries.delete(entryKey);
+    closeBracket(bracket, 'paper entry lost on restart');
+    return;
+  }
+
+  // A live entry can only be checked against the broker once the account is back on live routing
+  if (accountManager.isPaperTrading(bracket.accountId)) {
+    console.warn(`[BracketManager] Entry ${entryKey} is live but account ${bracket.accountId} is in paper mode - not checked`);
+    return;
+  }
+
+  const tracked = orderTracker.getOrder(bracket.entryOrderId, bracket.accountId);
+  let filled = tracked ? tracked.filledQuantity : 0;
+  let averagePrice = tracked ? tracked.averageFillPrice : null;
+
+  // Fills from an earlier trading day are not replayed by reconciliation
+  if (!filled) {
+    const trades = (await orderExecutionService.getTrades(bracket.accountId, bracket.createdAt))
+      .filter(trade => !trade.voided && String(trade.orderId) === entryKey);
+
+    filled = trades.reduce((sum, trade) => sum + Math.abs(trade.size || 0), 0);
+    averagePrice = filled > 0
+      ? trades.reduce((sum, trade) => sum + trade.price * Math.abs(trade.size || 0), 0) / filled
+      : null;
+  }
+
+  unverifiedEntries.delete(entryKey);
+
+  if (!filled) {
+    if (tracked && !orderTracker.isTerminal(tracked.status)) {
+      // Still working at the broker - the normal flow takes over from here
+      console.log(`[BracketManager] Entry ${entryKey} from the last session is still working`);
+      return;
+    }
+
+    closeBracket(bracket, 'entry no longer working and never filled');
+    return;
+  }
+
+  // Only protect what is still held - a stop on a flat account would open a new position
+  const positions = await orderExecutionService.getOpenPositions(bracket.accountId);
+  const position = positions.find(p => p.contractId === bracket.contractId && p.size > 0);
+  const entryType = bracket.entrySide === 'BUY' ? 1 : 2;
+  const held = position && position.type === entryType ? Math.min(filled, position.size) : 0;
+
+  if (held === 0) {
+    closeBracket(bracket, 'entry filled while offline, position already closed');
+    return;
+  }
+
+  console.warn(`[BracketManager] Entry ${entryKey} filled while offline - protecting ${held} contract(s)`);
+  bracket.entryPrice = averagePrice;
+  await placeLegs(bracket, held);
+  save();
+}
+
+/**
+ * Keep active brackets in line with the position they protect (called for every position update)
+ * Exits are only seen here once they fill: a flat (or reversed) position pulls the legs, a smaller one
+ * shrinks them to what is still held, newest bracket first. A working exit order changes nothing.
+ * @param {object} positionData - Position event {accountId, contractId, paper} or snapshot {accountId, positions}
+ */
+function handlePositionUpdate(positionData) {
+  if (!positionData || !positionData.accountId) return;
+
+  const active = getBrackets(positionData.accountId).filter(bracket =>
+    bracket.state === BRACKET_STATES.ACTIVE
+    && !unverifiedEntries.has(String(bracket.entryOrderId))
+    && (Number(bracket.entryOrderId) < 0) === !!positionData.paper
+    && (!positionData.contractId || bracket.contractId === positionData.contractId)
+  );
+
+  const groups = new Map(); // `${contractId}:${entrySide}` -> brackets
+  active.forEach(bracket => {
+    const key = `${bracket.contractId}:${bracket.entrySide}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(bracket);
+  });
+
+  groups.forEach(group => {
+    const held = getHeldQuantity(group[0]);
+    let excess = group.reduce((sum, bracket) => sum + getOpenQuantity(bracket), 0) - held;
+
+    group
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .forEach(bracket => {
+        const open = getOpenQuantity(bracket);
+        const reduction = Math.min(Math.max(excess, 0), open);
+        if (reduction === 0) return;
+
+        excess -= reduction;
+        enqueue(String(bracket.entryOrderId), () => shrinkLegs(bracket, open - reduction));
+      });
+  });
+}
+
+/**
+ * Contracts a bracket's account holds in the bracket's entry direction
+ * @param {object} bracket - Bracket record
+ * @returns {number} Contracts held (0 when flat or reversed)
+ */
+function getHeldQuantity(bracket) {
+  const account = accountManager.getAccount(bracket.accountId);
+  if (!account) return 0;
+
+  // Paper entries have negative order IDs and protect the simulated position
+  const positions = Number(bracket.entryOrderId) < 0 ? account.paperPositions : account.openPositions;
+  const position = (positions || []).find(p => p.contractId === bracket.contractId && p.size > 0);
+  const entryType = bracket.entrySide === 'BUY' ? 1 : 2;
+
+  return position && position.type === entryType ? position.size : 0;
+}
+
+/**
+ * Contracts a bracket still protects (its legs' own fills already closed part of it)
+ * @param {object} bracket - Bracket record
+ * @returns {number} Open contracts
+ */
+function getOpenQuantity(bracket) {
+  return Math.max(0, bracket.protectedQuantity - getLegFilledQuantity(bracket));
+}
+
+/**
+ * Contracts filled by the bracket's own legs
+ * @param {object} bracket - Bracket record
+ * @returns {number} Filled contracts (the larger leg, since they are OCO)
+ */
+function getLegFilledQuantity(bracket) {
+  return Math.max(0, ...[bracket.stopOrderId, bracket.targetOrderId]
+    .filter(Boolean)
+    .map(legId => {
+      const leg = orderTracker.getOrder(legId, bracket.accountId);
+      return leg ? leg.filledQuantity || 0 : 0;
+    }));
+}
+
+/**
+ * Shrink (or pull) a bracket's legs after the position was reduced outside the bracket
+ * @param {object} bracket - Bracket record
+ * @param {number} openQuantity - Contracts still to protect (0 = position exited)
+ */
+async function shrinkLegs(bracket, openQuantity) {
+  if (bracket.state === BRACKET_STATES.CLOSED) return;
+
+  const legFilled = getLegFilledQuantity(bracket);
+
+  if (openQuantity === 0) {
+    console.log(`[BracketManager] Position for entry ${bracket.entryOrderId} exited - cancelling legs`);
+    for (const legId of [bracket.stopOrderId, bracket.targetOrderId]) {
+      if (legId) {
+        await orderExecutionService.cancelOrder(bracket.accountId, legId);
+      }
+    }
+    closeBracket(bracket, 'position exited');
+    return;
+  }
+
+  console.log(`[BracketManager] Position for entry ${bracket.entryOrderId} reduced - legs resized to ${openQuantity}`);
+  for (const legId of [bracket.stopOrderId, bracket.targetOrderId]) {
+    if (!legId) continue;
+
+    const leg = orderTracker.getOrder(legId, bracket.accountId);
+    const size = ((leg && leg.filledQuantity) || 0) + openQuantity;
+    const result = await orderExecutionService.modifyOrder({ accountId: bracket.accountId, orderId: legId, size });
+    if (!result.success) {
+      console.error(`[BracketManager] ⚠️ Leg ${legId} resize failed for entry ${bracket.entryOrderId}: ${result.error}`);
+    }
+  }
+
+  bracket.reducedQuantity = (bracket.reducedQuantity || 0) + bracket.protectedQuantity - (legFilled + openQuantity);
+  bracket.protectedQuantity = legFilled + openQuantity;
+  save();
+}
+
+/**
+ * Turn a stopLoss/takeProfit value into a price
+ * The tick size comes from the contract resolver, or from the contract API when the resolver has none.
+ * @param {object} bracket - Bracket record (entrySide, entryPrice, symbol, contractId)
+ * @param {object|null} level - {ticks} or {price}
+ * @param {string} kind - 'stop' or 'target'
+ * @returns {Promise<number|null>} Price, or null if the level is unset or cannot be priced
+ */
+async function resolveLevelPrice(bracket, level, kind) {
+  if (!level) return null;
+
+  const details = contractResolver.getContractDetails(bracket.symbol);
+  let tickSize = details && details.tickSize;
+
+  if (!tickSize) {
+    const instrument = await instrumentRegistry.getInstrument(bracket.contractId);
+    tickSize = instrument && instrument.tickSize;
+  }
+
+  if (level.price !== undefined) {
+    return tickSize ? roundToTick(level.price, tickSize) : level.price;
+  }
+
+  if (!tickSize || !bracket.entryPrice) {
+    console.error(`[BracketManager] ⚠️ Cannot price ${kind} in ticks for ${bracket.contractId} - tick size or fill price unknown`);
+    return null;
+  }
+
+  // Stops sit against the position, targets in its favour
+  const direction = bracket.entrySide === 'BUY' ? 1 : -1;
+  const sign = kind === 'stop' ? -direction : direction;
+
+  return roundToTick(bracket.entryPrice + sign * level.ticks * tickSize, tickSize);
+}
+
+/**
+ * Normalize a stopLoss/takeProfit directive value
+ * @param {number|object|null} value - Tick count, {ticks}, or {price}
+ * @returns {object|null} {ticks} or {price}
+ */
+function normalizeLevel(value) {
+  if (value === undefined || value === null) return null;
+
+  if (typeof value === 'number') {
+    return value > 0 ? { ticks: value } : null;
+  }
+
+  if (typeof value === 'object') {
+    if (Number(value.price) > 0) return { price: Number(value.price) };
+    if (Number(value.ticks) > 0) return { ticks: Number(value.ticks) };
+  }
+
+  console.warn('[BracketManager] Ignoring invalid bracket level:', value);
+  return null;
+}
+
+/**
+ * Round a price to the nearest valid tick
+ * @param {number} price - Raw price
+ * @param {number} tickSize - Contract tick size
+ * @returns {number} Rounded price
+ */
+function roundToTick(price, tickSize) {
+  const decimals = (String(tickSize).split('.')[1] || '').length;
+  return Number((Math.round(price / tickSize) * tickSize).toFixed(decimals));
+}
+
+/**
+ * Mark a bracket closed and drop it from the open set
+ * @param {object} bracket - Bracket record
+ * @param {string} reason - Why it closed
+ */
+function closeBracket(bracket, reason) {
+  bracket.state = BRACKET_STATES.CLOSED;
+  brackets.delete(String(bracket.entryOrderId));
+
+  [bracket.stopOrderId, bracket.targetOrderId].forEach(legId => {
+    if (legId) legIndex.delete(String(legId));
+  });
+
+  save();
+  console.log(`[BracketManager] Bracket for entry ${bracket.entryOrderId} closed: ${reason}`);
+}
+
+/**
+ * Add a bracket to the in-memory indexes
+ * @param {object} bracket - Bracket record
+ */
+function indexBracket(bracket) {
+  const entryKey = String(bracket.entryOrderId);
+  brackets.set(entryKey, bracket);
+
+  [bracket.stopOrderId, bracket.targetOrderId].forEach(legId => {
+    if (legId) legIndex.set(String(legId), entryKey);
+  });
+}
+
+/**
+ * Run bracket work one step at a time so overlapping events can't double-place legs
+ * @param {string} entryKey - Entry order ID
+ * @param {Function} work - Async work
+ * @returns {Promise} Resolves when the work has run
+ */
+function enqueue(entryKey, work) {
+  const previous = workQueues.get(entryKey) || Promise.resolve();
+
+  const next = previous
+    .then(work)
+    .catch(error => console.error(`[BracketManager] Error managing bracket ${entryKey}:`, error))
+    .finally(() => {
+      if (workQueues.get(entryKey) === next) {
+        workQueues.delete(entryKey);
+      }
+    });
+
+  workQueues.set(entryKey, next);
+  return next;
+}
+
+/**
+ * Persist open brackets
+ */
+function save() {
+  if (!bracketsFile) return;
+
+  try {
+    fs.writeFileSync(bracketsFile, JSON.stringify(Array.from(brackets.values()), null, 2));
+  } catch (error) {
+    console.error('[BracketManager] Failed to save brackets:', error);
+  }
+}
+
+/**
+ * Get open brackets
+ * @param {number} [accountId] - Filter by account
+ * @returns {Array} Bracket records
+ */
+function getBrackets(accountId) {
+  return Array.from(brackets.values()).filter(bracket =>
+    accountId === undefined || Number(bracket.accountId) === Number(accountId)
+  );
+}
+
+module.exports = {
+  BRACKET_STATES,
+  initialize,
+  hasBracket,
+  registerEntry,
+  handleOrderUpdate,
+  reconcilePendingEntries,
+  handlePositionUpdate,
+  getBrackets
+};
@@ -0,0 +1,102 @@
+// services/brokerProfiles.js
+// Broker Profiles - ProjectX Gateway endpoints for each login's prop firm
+
+const config = require('../config');
+
+const DEFAULT_PROFILE_ID = config.DEFAULT_BROKER_PROFILE;
+
+const loginProfiles = new Map(); // loginId -> profile ID
+
+/**
+ * List the selectable broker profiles
+ * @returns {Array} [{id, name, apiKeyHelpUrl}]
+ */
+function getProfiles() {
+  return Object.entries(config.BROKER_PROFILES).map(([id, profile]) => ({
+    id,
+    name: profile.name,
+    apiKeyHelpUrl: profile.apiKeyHelpUrl || null
+  }));
+}
+
+/**
+ * Check whether a profile ID is known
+ * @param {string} profileId - Profile ID
+ * @returns {boolean} true if the profile exists
+ */
+function isValidProfile(profileId) {
+  return Object.prototype.hasOwnProperty.call(config.BROKER_PROFILES, profileId);
+}
+
+/**
+ * Select the profile whose endpoints a login's gateway calls use
+ * @param {string} loginId - Login ID
+ * @param {string} [profileId] - Profile ID (default profile when omitted)
+ */
+function setLoginProfile(loginId, profileId) {
+  const id = profileId || DEFAULT_PROFILE_ID;
+
+  if (!isValidProfile(id)) {
+    throw new Error(`Unknown broker profile: ${id}`);
+  }
+
+  loginProfiles.set(loginId, id);
+  console.log(`[BrokerProfiles] Login ${loginId.split(':')[0]} using ${config.BROKER_PROFILES[id].name} (${config.BROKER_PROFILES[id].apiEndpoint})`);
+}
+
+/**
+ * Get the profile a login uses
+ * @param {string} loginId - Login ID
+ * @returns {object} {id, name, apiEndpoint, userHubUrl, marketHubUrl, apiKeyHelpUrl}
+ */
+function getLoginProfile(loginId) {
+  const id = loginProfiles.get(loginId) || DEFAULT_PROFILE_ID;
+  return { id, ...config.BROKER_PROFILES[id] };
+}
+
+/**
+ * REST base URL for a login
+ * @param {string} loginId - Login ID
+ * @returns {string} API endpoint
+ */
+function getApiEndpoint(loginId) {
+  return getLoginProfile(loginId).apiEndpoint;
+}
+
+/**
+ * User Hub URL for a login
+ * @param {string} loginId - Login ID
+ * @returns {string} SignalR User Hub URL
+ */
+function getUserHubUrl(loginId) {
+  return getLoginProfile(loginId).userHubUrl;
+}
+
+/**
+ * Market Hub URL for a login
+ * @param {string} loginId - Login ID
+ * @returns {string} SignalR Market Hub URL
+ */
+function getMarketHubUrl(loginId) {
+  return getLoginProfile(loginId).marketHubUrl;
+}
+
+/**
+ * Forget a login's profile selection
+ * @param {string} loginId - Login ID
+ */
+function removeLogin(loginId) {
+  loginProfiles.delete(loginId);
+}
+
+module.exports = {
+  DEFAULT_PROFILE_ID,
+  getProfiles,
+  isValidProfile,
+  setLoginProfile,
+  getLoginProfile,
+  getApiEndpoint,
+  getUserHubUrl,
+  getMarketHubUrl,
+  removeLogin
+};
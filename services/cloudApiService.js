@@ -17,6 +17,8 @@ let isConnected = false;
 let telemetryInterval = null;
 let heartbeatInterval = null;
 let tokenRefreshInterval = null;
+let pendingReports = new Map(); // directiveId -> execution reports not sent yet (socket down), oldest first
+let pendingReportCount = 0;
 
 // Certificate pinning (updated when certificate rotates)
 let expectedCertFingerprint = null; // Set to null to disable pinning initially
@@ -252,6 +254,9 @@ async function connectWebSocket(token) {
 
         // Start heartbeat
         startHeartbeat();
+
+        // Outcomes reached while the socket was down
+        flushExecutionReports();
       });
 
       // Welcome message from server
@@ -288,18 +293,29 @@ async function connectWebSocket(token) {
           timestamp
         });
 
-        // Forward to main process for handling
-        if (eventHandlers.onTradeDirective) {
-          eventHandlers.onTradeDirective(data);
-        }
-
-        // Send acknowledgment for RTT measurement
+        // Acknowledge receipt right away - the outcome and its latencies follow as execution reports
         if (socket && isConnected) {
           socket.emit('directive_ack', {
             directiveId,
-            topstepLatencyMs: null // TODO: Add actual TopstepX execution latency when order execution is implemented
+            receivedAt: new Date().toISOString()
           });
         }
+
+        // Forward to main process for handling
+        if (eventHandlers.onTradeDirective) {
+          try {
+            await eventHandlers.onTradeDirective(data);
+          } catch (error) {
+            console.error('[CloudAPI] Trade directive handler failed:', error);
+            sendExecutionReport({
+              directiveId,
+              status: 'rejected',
+              code: 'INTERNAL_ERROR',
+              reason: error.message,
+              timestamp: new Date().toISOString()
+            });
+          }
+        }
       });
 
       // Heartbeat acknowledgment
@@ -371,6 +387,82 @@ async function connectWebSocket(token) {
   });
 }
 
+/**
+ * Report the outcome of a cloud command once it has finished executing
+ * @param {string} commandId - Command ID from the original command
+ * @param {string} command - Command type
+ * @param {Object} result - Execution result
+ * @returns {boolean} true if the result was sent
+ */
+function sendCommandResult(commandId, command, result) {
+  if (!socket || !isConnected) {
+    console.warn(`[CloudAPI] Cannot send result for command ${commandId} - not connected`);
+    return false;
+  }
+
+  socket.emit('command_result', {
+    commandId,
+    command,
+    success: !!(result && result.success),
+    result,
+    timestamp: new Date().toISOString()
+  });
+
+  return true;
+}
+
+/**
+ * Send an execution report for a trade directive (accepted, rejected, filled...)
+ * Reports are queued while the socket is down and sent on the next connect, so the cloud can still
+ * reconcile its virtual bots. Past EXECUTION_REPORT_QUEUE_MAX queued reports the oldest are dropped.
+ * @param {Object} report - Report from executionReporter
+ * @returns {boolean} true if the report was sent now (false = queued)
+ */
+function sendExecutionReport(report) {
+  if (!socket || !isConnected) {
+    console.warn(`[CloudAPI] Not connected - execution report for directive ${report.directiveId} queued`);
+    queueExecutionReport(report);
+    return false;
+  }
+
+  socket.emit('execution_report', report);
+  return true;
+}
+
+/**
+ * Hold a report until the socket reconnects
+ * @param {Object} report - Execution report
+ */
+function queueExecutionReport(report) {
+  if (!pendingReports.has(report.directiveId)) {
+    pendingReports.set(report.directiveId, []);
+  }
+  pendingReports.get(report.directiveId).push(report);
+  pendingReportCount++;
+
+  while (pendingReportCount > config.EXECUTION_REPORT_QUEUE_MAX) {
+    const [oldestId, reports] = pendingReports.entries().next().value;
+    const dropped = reports.shift();
+    pendingReportCount--;
+    if (reports.length === 0) pendingReports.delete(oldestId);
+    console.warn(`[CloudAPI] Execution report queue full - dropped ${dropped.status} report for directive ${oldestId}`);
+  }
+}
+
+/**
+ * Send every queued report in the order it was produced per directive
+ */
+function flushExecutionReports() {
+  if (pendingReportCount === 0) return;
+
+  console.log(`[CloudAPI] Sending ${pendingReportCount} queued execution report(s)`);
+  const queued = pendingReports;
+  pendingReports = new Map();
+  pendingReportCount = 0;
+
+  queued.forEach(reports => reports.forEach(report => sendExecutionReport(report)));
+}
+
 /**
  * Disconnect from WebSocket server
  */
@@ -445,7 +537,9 @@ async function sendTelemetry(accounts) {
         balance: account.balance || account.cashBalance || 0,
         dailyPnl: account.pnl || account.dailyPnl || 0,
         openPositions: Array.isArray(account.openPositions) ? account.openPositions.length : (account.openPositions || 0),
-        isTradingEnabled: account.tradingEnabled !== false
+        isTradingEnabled: account.tradingEnabled !== false,
+        riskStatus: account.riskStatus || 'ok',
+        riskStatusReason: account.riskStatusReason || null
       }))
     };
 
@@ -671,6 +765,8 @@ module.exports = {
   refreshAccessToken,
   connectWebSocket,
   disconnectWebSocket,
+  sendCommandResult,
+  sendExecutionReport,
   sendTelemetry,
   startTelemetryReporting,
   stopTelemetryReporting,
@@ -0,0 +1,375 @@
+// services/contractResolver.js
+// Front-Month Contract Resolution - Maps root symbols to the active TopstepX contract
+
+const axios = require('axios');
+const authService = require('./authService');
+const config = require('../config');
+const brokerProfiles = require('./brokerProfiles');
+
+// CME month codes in calendar order
+const MONTH_CODES = 'FGHJKMNQUVXZ';
+
+/**
+ * Product specs per root symbol
+ * - product: TopstepX product code used in contract IDs (CON.F.US.<product>.<month><yy>)
+ * - months: listed contract months that hold the liquidity
+ * - expiryRule: how to compute the date we roll away from (see computeRollReferenceDate)
+ */
+const PRODUCT_SPECS = {
+  // Equity index (quarterly, third Friday)
+  NQ: { product: 'ENQ', months: 'HMUZ', expiryRule: 'THIRD_FRIDAY' },
+  ES: { product: 'EP', months: 'HMUZ', expiryRule: 'THIRD_FRIDAY' },
+  YM: { product: 'YM', months: 'HMUZ', expiryRule: 'THIRD_FRIDAY' },
+  RTY: { product: 'RTY', months: 'HMUZ', expiryRule: 'THIRD_FRIDAY' },
+  MNQ: { product: 'MNQ', months: 'HMUZ', expiryRule: 'THIRD_FRIDAY' },
+  MES: { product: 'MES', months: 'HMUZ', expiryRule: 'THIRD_FRIDAY' },
+  M2K: { product: 'M2K', months: 'HMUZ', expiryRule: 'THIRD_FRIDAY' },
+  MYM: { product: 'MYM', months: 'HMUZ', expiryRule: 'THIRD_FRIDAY' },
+
+  // Energy (monthly)
+  CL: { product: 'CLE', months: MONTH_CODES, expiryRule: 'CRUDE' },
+  MCL: { product: 'MCLE', months: MONTH_CODES, expiryRule: 'CRUDE' },
+  NG: { product: 'NGE', months: MONTH_CODES, expiryRule: 'NATGAS' },
+
+  // Metals (roll ahead of first notice day)
+  GC: { product: 'GCE', months: 'GJMQVZ', expiryRule: 'FIRST_NOTICE' },
+  MGC: { product: 'MGC', months: 'GJMQVZ', expiryRule: 'FIRST_NOTICE' },
+  SI: { product: 'SIE', months: 'HKNUZ', expiryRule: 'FIRST_NOTICE' },
+
+  // Currencies and rates (quarterly)
+  '6E': { product: 'EU6', months: 'HMUZ', expiryRule: 'CURRENCY' },
+  ZN: { product: 'TYA', months: 'HMUZ', expiryRule: 'FIRST_NOTICE' },
+  ZB: { product: 'USA', months: 'HMUZ', expiryRule: 'FIRST_NOTICE' }
+};
+
+// Resolved contract cache: root symbol -> { contractId, rollDate, expiresAt, details }
+let cache = new Map();
+
+/**
+ * Resolve a root symbol to the contract currently being traded
+ * Full contract IDs (CON.F...) are passed through unchanged.
+ * @param {string} symbol - Root symbol (NQ, MES, CL, ...) or full contract ID
+ * @returns {Promise<string|null>} TopstepX contract ID or null if the symbol is unknown
+ */
+async function resolveContractId(symbol) {
+  if (!symbol) {
+    return null;
+  }
+
+  if (symbol.startsWith('CON.')) {
+    return symbol;
+  }
+
+  const root = symbol.toUpperCase();
+  const spec = PRODUCT_SPECS[root];
+
+  if (!spec) {
+    console.warn(`[ContractResolver] No product spec for symbol: ${symbol}`);
+    return null;
+  }
+
+  const now = new Date();
+  const cached = cache.get(root);
+
+  if (cached && now.getTime() < cached.expiresAt && now < cached.rollDate) {
+    return cached.contractId;
+  }
+
+  let resolved = null;
+
+  try {
+    resolved = await resolveFromApi(root, spec, now);
+  } catch (error) {
+    console.error(`[ContractResolver] Contract search failed for ${root}:`, error.response ? error.response.data : error.message);
+  }
+
+  // Fall back to the roll calendar if the API is unreachable or returned nothing usable
+  if (!resolved) {
+    resolved = resolveFromCalendar(spec, now);
+    console.warn(`[ContractResolver] Using calendar-derived contract for ${root}: ${resolved.contractId}`);
+  }
+
+  // Fallbacks carry no contract details, so they are only kept until the API can be asked again
+  const ttl = resolved.details ? config.CONTRACT_CACHE_TTL_MS : config.CONTRACT_FALLBACK_CACHE_TTL_MS;
+  cache.set(root, {
+    ...resolved,
+    expiresAt: now.getTime() + ttl
+  });
+
+  if (!cached || cached.contractId !== resolved.contractId) {
+    console.log(`[ContractResolver] ${root} -> ${resolved.contractId} (rolls ${resolved.rollDate.toISOString().substring(0, 10)})`);
+  }
+
+  return resolved.contractId;
+}
+
+/**
+ * Look up listed contracts for a root via the TopstepX contract search API
+ * @param {string} root - Root symbol
+ * @param {object} spec - Product spec
+ * @param {Date} now - Current time
+ * @returns {Promise<object|null>} {contractId, rollDate, details} or null
+ */
+async function resolveFromApi(root, spec, now) {
+  // Contract IDs are shared across ProjectX firms, so any login can search
+  const loginId = authService.getDefaultLoginId();
+  const token = await authService.getAccessToken(loginId);
+
+  const response = await axios.post(
+    `${brokerProfiles.getApiEndpoint(loginId)}/api/Contract/search`,
+    { searchText: root, live: false },
+    {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 10000
+    }
+  );
+
+  const contracts = (response.data && response.data.contracts) || [];
+  const prefix = `CON.F.US.${spec.product}.`;
+
+  const candidates = contracts
+    .filter(contract => contract.id && contract.id.startsWith(prefix))
+    .map(contract => {
+      const parsed = parseContractMonth(contract.id.substring(prefix.length));
+      if (!parsed) return null;
+      return {
+        contractId: contract.id,
+        rollDate: computeRollDate(spec, parsed.month, parsed.year),
+        details: contract
+      };
+    })
+    .filter(candidate => candidate && now < candidate.rollDate)
+    .sort((a, b) => a.rollDate - b.rollDate);
+
+  return candidates[0] || null;
+}
+
+/**
+ * Derive the front contract from the roll calendar alone
+ * @param {object} spec - Product spec
+ * @param {Date} now - Current time
+ * @returns {object} {contractId, rollDate, details}
+ */
+function resolveFromCalendar(spec, now) {
+  let year = now.getUTCFullYear();
+  let monthIndex = now.getUTCMonth();
+
+  // Walk forward month by month until we find a listed month we haven't rolled out of
+  for (let i = 0; i < 24; i++) {
+    const code = MONTH_CODES[monthIndex];
+
+    if (spec.months.includes(code)) {
+      const rollDate = computeRollDate(spec, monthIndex + 1, year);
+      if (now < rollDate) {
+        return {
+          contractId: `CON.F.US.${spec.product}.${code}${String(year).substring(2)}`,
+          rollDate,
+          details: null
+        };
+      }
+    }
+
+    monthIndex++;
+    if (monthIndex === 12) {
+      monthIndex = 0;
+      year++;
+    }
+  }
+
+  throw new Error(`Unable to derive contract month for ${spec.product}`);
+}
+
+/**
+ * Parse a contract month suffix such as "Z25"
+ * @param {string} suffix - Month code + two-digit year
+ * @returns {object|null} {month (1-12), year} or null if unparseable
+ */
+function parseContractMonth(suffix) {
+  const match = /^([FGHJKMNQUVXZ])(\d{2})$/.exec(suffix);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    month: MONTH_CODES.indexOf(match[1]) + 1,
+    year: 2000 + parseInt(match[2], 10)
+  };
+}
+
+/**
+ * Compute the date on which we stop trading a contract and move to the next one
+ * @param {object} spec - Product spec
+ * @param {number} month - Contract month (1-12)
+ * @param {number} year - Contract year
+ * @returns {Date} Roll date (UTC midnight)
+ */
+function computeRollDate(spec, month, year) {
+  const reference = computeRollReferenceDate(spec.expiryRule, month, year);
+  const rollDays = spec.rollDaysBeforeExpiry ?? config.CONTRACT_ROLL_DAYS_BEFORE_EXPIRY;
+  return addDays(reference, -rollDays);
+}
+
+/**
+ * Compute the last-trade (or first-notice) date a roll is measured against
+ * Business-day math skips weekends only; exchange holidays are not modelled.
+ * @param {string} rule - Expiry rule from the product spec
+ * @param {number} month - Contract month (1-12)
+ * @param {number} year - Contract year
+ * @returns {Date} Reference date (UTC midnight)
+ */
+function computeRollReferenceDate(rule, month, year) {
+  switch (rule) {
+    case 'THIRD_FRIDAY':
+      return nthWeekdayOfMonth(year, month, 5, 3);
+
+    case 'CURRENCY':
+      // Two business days before the third Wednesday
+      return addBusinessDays(nthWeekdayOfMonth(year, month, 3, 3), -2);
+
+    case 'CRUDE': {
+      // Three business days before the 25th of the month preceding the contract month
+      let day25 = new Date(Date.UTC(year, month - 2, 25));
+      if (!isBusinessDay(day25)) {
+        day25 = addBusinessDays(day25, -1);
+      }
+      return addBusinessDays(day25, -3);
+    }
+
+    case 'NATGAS':
+      // Three business days before the first calendar day of the contract month
+      return addBusinessDays(new Date(Date.UTC(year, month - 1, 1)), -3);
+
+    case 'FIRST_NOTICE': {
+      // Last business day of the month preceding the contract month
+      let lastDay = new Date(Date.UTC(year, month - 1, 0));
+      if (!isBusinessDay(lastDay)) {
+        lastDay = addBusinessDays(lastDay, -1);
+      }
+      return lastDay;
+    }
+
+    default:
+      throw new Error(`Unknown expiry rule: ${rule}`);
+  }
+}
+
+/**
+ * Find the nth occurrence of a weekday in a month
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} weekday - 0 = Sunday ... 6 = Saturday
+ * @param {number} n - Occurrence (1-based)
+ * @returns {Date} Date (UTC midnight)
+ */
+function nthWeekdayOfMonth(year, month, weekday, n) {
+  const first = new Date(Date.UTC(year, month - 1, 1));
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  return new Date(Date.UTC(year, month - 1, 1 + offset + (n - 1) * 7));
+}
+
+/**
+ * Check whether a date falls on a weekday
+ * @param {Date} date - Date (UTC)
+ * @returns {boolean} true for Monday-Friday
+ */
+function isBusinessDay(date) {
+  const day = date.getUTCDay();
+  return day !== 0 && day !== 6;
+}
+
+/**
+ * Add calendar days to a date
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} New date
+ */
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Add weekdays to a date, skipping weekends
+ * @param {Date} date - Start date
+ * @param {number} days - Business days to add (may be negative)
+ * @returns {Date} New date
+ */
+function addBusinessDays(date, days) {
+  const step = days < 0 ? -1 : 1;
+  let remaining = Math.abs(days);
+  let current = date;
+
+  while (remaining > 0) {
+    current = addDays(current, step);
+    if (isBusinessDay(current)) {
+      remaining--;
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Get cached contract details (tick size, tick value, name) for a root symbol
+ * Only populated once the symbol has been resolved through the contract API.
+ * @param {string} symbol - Root symbol
+ * @returns {object|null} Contract object from TopstepX or null
+ */
+function getContractDetails(symbol) {
+  const cached = cache.get((symbol || '').toUpperCase());
+  return cached ? cached.details : null;
+}
+
+/**
+ * Get the contract a symbol resolved to, without a lookup
+ * @param {string} symbol - Root symbol or full contract ID
+ * @returns {string|null} Contract ID, or null if the symbol has not been resolved yet
+ */
+function getCachedContractId(symbol) {
+  if (!symbol) return null;
+  if (symbol.startsWith('CON.')) return symbol;
+
+  const cached = cache.get(symbol.toUpperCase());
+  return cached ? cached.contractId : null;
+}
+
+/**
+ * Get cached contract details for a resolved contract ID
+ * @param {string} contractId - TopstepX contract ID
+ * @returns {object|null} Contract details or null if not resolved through this cache
+ */
+function getContractDetailsById(contractId) {
+  for (const cached of cache.values()) {
+    if (cached.contractId === contractId) {
+      return cached.details;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the root symbols the resolver knows how to roll
+ * @returns {Array<string>} Supported root symbols
+ */
+function getSupportedSymbols() {
+  return Object.keys(PRODUCT_SPECS);
+}
+
+/**
+ * Clear resolved contracts (forces a fresh lookup on next use)
+ */
+function clearCache() {
+  cache.clear();
+  console.log('[ContractResolver] Cache cleared');
+}
+
+module.exports = {
+  resolveContractId,
+  getCachedContractId,
+  getContractDetails,
+  getContractDetailsById,
+  getSupportedSymbols,
+  clearCache
+};
@@ -0,0 +1,160 @@
+// services/directiveGuards.js
+// Directive Guards - Pre-execution checks for stale directives and price drift
+
+const config = require('../config');
+const contractResolver = require('./contractResolver');
+const instrumentRegistry = require('./instrumentRegistry');
+
+// Reason codes reported to the UI and the cloud when a directive is not executed
+const REJECTION_CODES = {
+  NOT_INITIALIZED: 'NOT_INITIALIZED',
+  KILL_SWITCH: 'KILL_SWITCH',
+  DIRECTIVE_STALE: 'DIRECTIVE_STALE',
+  INVALID_TIMESTAMP: 'INVALID_TIMESTAMP',
+  PRICE_DEVIATION: 'PRICE_DEVIATION',
+  PRICE_UNAVAILABLE: 'PRICE_UNAVAILABLE'
+};
+
+let priceSource = null;
+
+/**
+ * Set where current market prices come from (main wires this to the Market Hub quotes)
+ * Until it is set every priced directive counts as having no market price.
+ * @param {Function|null} source - async (symbol) => {price, timestamp} | null
+ */
+function setPriceSource(source) {
+  priceSource = typeof source === 'function' ? source : null;
+}
+
+/**
+ * Run every guard against a directive
+ * @param {object} directive - Trade directive (timestamp, price, symbol, action)
+ * @param {object} [options] - {isExit, checkedAt (epoch ms the order would go out, default now)}
+ * @returns {Promise<object>} {passed: true} or {passed: false, code, reason, details}
+ */
+async function checkDirective(directive, { isExit = false, checkedAt = Date.now() } = {}) {
+  // Late exits still reduce risk, so guards only block them when configured to
+  if (isExit && !config.DIRECTIVE_GUARDS_CHECK_EXITS) {
+    return { passed: true };
+  }
+
+  const ageResult = checkAge(directive, checkedAt);
+  if (!ageResult.passed) {
+    return ageResult;
+  }
+
+  return checkPriceDeviation(directive);
+}
+
+/**
+ * Reject directives older than DIRECTIVE_MAX_AGE_MS
+ * @param {object} directive - Trade directive
+ * @param {number} checkedAt - Epoch ms the age is measured at
+ * @returns {object} Guard result
+ */
+function checkAge(directive, checkedAt) {
+  const maxAgeMs = config.DIRECTIVE_MAX_AGE_MS;
+  if (!maxAgeMs) {
+    return { passed: true };
+  }
+
+  const issuedAt = new Date(directive.timestamp).getTime();
+  if (!directive.timestamp || Number.isNaN(issuedAt)) {
+    return reject(REJECTION_CODES.INVALID_TIMESTAMP, 'Directive has no valid timestamp', {
+      timestamp: directive.timestamp ?? null
+    });
+  }
+
+  const ageMs = checkedAt - issuedAt;
+  if (ageMs > maxAgeMs) {
+    return reject(REJECTION_CODES.DIRECTIVE_STALE, `Directive is ${ageMs}ms old (max ${maxAgeMs}ms)`, {
+      ageMs,
+      maxAgeMs
+    });
+  }
+
+  return { passed: true, ageMs };
+}
+
+/**
+ * Reject directives whose price is too far from the current market
+ * Directives without a price are not checked. When there is no fresh quote or tick size to check against,
+ * the directive is rejected if DIRECTIVE_REQUIRE_MARKET_PRICE is set and passed otherwise.
+ * @param {object} directive - Trade directive
+ * @returns {Promise<object>} Guard result
+ */
+async function checkPriceDeviation(directive) {
+  const maxTicks = config.DIRECTIVE_MAX_PRICE_DEVIATION_TICKS;
+  const directivePrice = Number(directive.price);
+
+  if (!maxTicks || !(directivePrice > 0)) {
+    return { passed: true };
+  }
+
+  const quote = priceSource ? await priceSource(directive.symbol) : null;
+  if (!quote || !(quote.price > 0)) {
+    return priceUnavailable(directive, 'No current market price');
+  }
+
+  // The contract the directive would trade decides the tick size
+  let tickSize = null;
+  try {
+    const contractId = await contractResolver.resolveContractId(directive.symbol);
+    const instrument = await instrumentRegistry.getInstrument(contractId);
+    tickSize = instrument && instrument.tickSize;
+  } catch (error) {
+    console.warn(`[DirectiveGuards] Could not resolve ${directive.symbol}: ${error.message}`);
+  }
+
+  if (!tickSize) {
+    return priceUnavailable(directive, 'No tick size');
+  }
+
+  const deviationTicks = Math.abs(quote.price - directivePrice) / tickSize;
+  if (deviationTicks > maxTicks) {
+    return reject(
+      REJECTION_CODES.PRICE_DEVIATION,
+      `Market ${quote.price} is ${deviationTicks.toFixed(1)} ticks from directive price ${directivePrice} (max ${maxTicks})`,
+      { marketPrice: quote.price, directivePrice, deviationTicks, maxTicks }
+    );
+  }
+
+  return { passed: true, deviationTicks };
+}
+
+/**
+ * Result when the price deviation check cannot run
+ * @param {object} directive - Trade directive
+ * @param {string} missing - What is missing
+ * @returns {object} Guard result
+ */
+function priceUnavailable(directive, missing) {
+  if (!config.DIRECTIVE_REQUIRE_MARKET_PRICE) {
+    console.warn(`[DirectiveGuards] ${missing} for ${directive.symbol} - price deviation check skipped`);
+    return { passed: true };
+  }
+
+  return reject(
+    REJECTION_CODES.PRICE_UNAVAILABLE,
+    `${missing} for ${directive.symbol} - cannot check directive price ${directive.price}`,
+    { directivePrice: Number(directive.price) }
+  );
+}
+
+/**
+ * Build a failed guard result
+ * @param {string} code - One of REJECTION_CODES
+ * @param {string} reason - Human-readable reason
+ * @param {object} details - Measured values behind the decision
+ * @returns {object} Guard result
+ */
+function reject(code, reason, details) {
+  console.warn(`[DirectiveGuards] ${code}: ${reason}`);
+  return { passed: false, code, reason, details };
+}
+
+module.exports = {
+  REJECTION_CODES,
+  setPriceSource,
+  checkDirective
+};
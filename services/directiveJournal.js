@@ -0,0 +1,216 @@
+// services/directiveJournal.js
+// Directive Journal - On-disk record of trade directives for idempotent execution
+
+const fs = require('fs');
+const config = require('../config');
+
+// Lifecycle states a directive moves through
+const DIRECTIVE_STATES = {
+  RECEIVED: 'received',
+  REJECTED: 'rejected',
+  SKIPPED: 'skipped',
+  SUBMITTED: 'submitted',
+  FILLED: 'filled',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+let journalFile = null;
+let entries = new Map(); // directiveId -> journal entry
+let orderIndex = new Map(); // orderId -> directiveId
+let eventHandlers = {
+  onRecord: null
+};
+
+/**
+ * Load the journal from disk and compact it
+ * The file is append-only JSON lines; each line is one state transition.
+ * @param {string} filePath - Path to the journal file (in userData)
+ * @param {object} [handlers] - {onRecord(entry, record)} called for each new transition
+ */
+function initialize(filePath, handlers = {}) {
+  journalFile = filePath;
+  eventHandlers = { ...eventHandlers, ...handlers };
+  entries.clear();
+  orderIndex.clear();
+
+  if (fs.existsSync(journalFile)) {
+    const lines = fs.readFileSync(journalFile, 'utf8').split('\n');
+
+    lines.forEach(line => {
+      if (!line.trim()) return;
+
+      try {
+        applyRecord(JSON.parse(line));
+      } catch (error) {
+        // A torn final line after a crash is expected - skip it
+        console.warn('[DirectiveJournal] Skipping unreadable journal line');
+      }
+    });
+  }
+
+  compact();
+
+  // Directives that never reached a terminal state may or may not have reached the broker
+  const inFlight = Array.from(entries.values()).filter(entry => entry.state === DIRECTIVE_STATES.RECEIVED);
+  if (inFlight.length > 0) {
+    console.warn(`[DirectiveJournal] ${inFlight.length} directive(s) were in flight at last shutdown - verify against broker:`,
+      inFlight.map(entry => entry.directiveId));
+  }
+
+  console.log(`[DirectiveJournal] Loaded ${entries.size} directive(s) from journal`);
+}
+
+/**
+ * Record a newly received directive
+ * @param {object} directive - Trade directive from the cloud
+ * @returns {boolean} true if recorded, false if the directiveId was already seen
+ */
+function recordReceived(directive) {
+  if (entries.has(directive.directiveId)) {
+    return false;
+  }
+
+  append({
+    directiveId: directive.directiveId,
+    state: DIRECTIVE_STATES.RECEIVED,
+    at: new Date().toISOString(),
+    directive
+  });
+
+  return true;
+}
+
+/**
+ * Move a directive to a new state
+ * @param {string} directiveId - Directive ID
+ * @param {string} state - One of DIRECTIVE_STATES
+ * @param {object} [details] - Extra data to keep with the transition (orderId, reason, fill...)
+ */
+function updateState(directiveId, state, details = {}) {
+  if (!entries.has(directiveId)) {
+    console.warn(`[DirectiveJournal] Cannot update unknown directive: ${directiveId}`);
+    return;
+  }
+
+  append({
+    directiveId,
+    state,
+    at: new Date().toISOString(),
+    ...details
+  });
+}
+
+/**
+ * Get a journal entry
+ * @param {string} directiveId - Directive ID
+ * @returns {object|null} Entry {directiveId, state, directive, history, ...} or null
+ */
+function getEntry(directiveId) {
+  return entries.get(directiveId) || null;
+}
+
+/**
+ * Find the directive that produced a broker order
+ * @param {number|string} orderId - TopstepX order ID
+ * @returns {string|null} Directive ID or null
+ */
+function findByOrderId(orderId) {
+  if (orderId === undefined || orderId === null) {
+    return null;
+  }
+  return orderIndex.get(String(orderId)) || null;
+}
+
+/**
+ * Check whether a directive has already been seen
+ * @param {string} directiveId - Directive ID
+ * @returns {boolean} true if the directive is in the journal
+ */
+function has(directiveId) {
+  return entries.has(directiveId);
+}
+
+/**
+ * Append a record to disk, then apply it in memory
+ * @param {object} record - Journal record
+ */
+function append(record) {
+  if (journalFile) {
+    try {
+      fs.appendFileSync(journalFile, JSON.stringify(record) + '\n');
+    } catch (error) {
+      console.error('[DirectiveJournal] Failed to write journal:', error);
+    }
+  }
+
+  applyRecord(record);
+
+  if (eventHandlers.onRecord) {
+    eventHandlers.onRecord(entries.get(record.directiveId), record);
+  }
+}
+
+/**
+ * Apply a record to the in-memory index
+ * @param {object} record - Journal record
+ */
+function applyRecord(record) {
+  const { directiveId, state, at, directive, ...details } = record;
+
+  let entry = entries.get(directiveId);
+
+  if (!entry) {
+    entry = { directiveId, directive: directive || null, receivedAt: at, history: [] };
+    entries.set(directiveId, entry);
+  }
+
+  Object.assign(entry, details, { state, updatedAt: at });
+  entry.history.push({ state, at });
+
+  if (details.orderId !== undefined && details.orderId !== null) {
+    orderIndex.set(String(details.orderId), directiveId);
+  }
+}
+
+/**
+ * Drop entries past the retention window and rewrite the file with one record per directive
+ */
+function compact() {
+  const cutoff = Date.now() - config.DIRECTIVE_JOURNAL_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+  entries.forEach((entry, directiveId) => {
+    if (new Date(entry.updatedAt).getTime() < cutoff) {
+      entries.delete(directiveId);
+      if (entry.orderId !== undefined && entry.orderId !== null) {
+        orderIndex.delete(String(entry.orderId));
+      }
+    }
+  });
+
+  if (!journalFile) return;
+
+  try {
+    const snapshot = Array.from(entries.values()).map(entry => {
+      const { history, updatedAt, ...rest } = entry;
+      return JSON.stringify({ ...rest, at: updatedAt });
+    });
+
+    // Write to a temp file first so a crash mid-write never loses the journal
+    const tempFile = `${journalFile}.tmp`;
+    fs.writeFileSync(tempFile, snapshot.length > 0 ? snapshot.join('\n') + '\n' : '');
+    fs.renameSync(tempFile, journalFile);
+  } catch (error) {
+    console.error('[DirectiveJournal] Failed to compact journal:', error);
+  }
+}
+
+module.exports = {
+  DIRECTIVE_STATES,
+  initialize,
+  recordReceived,
+  updateState,
+  getEntry,
+  findByOrderId,
+  has
+};
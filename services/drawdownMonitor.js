@@ -0,0 +1,357 @@
+// services/drawdownMonitor.js
+// Drawdown Monitor - Daily loss limit and trailing drawdown protection with auto-flatten
+
+const fs = require('fs');
+const accountManager = require('./accountManager');
+const riskEngine = require('./riskEngine');
+const orderExecutionService = require('./orderExecutionService');
+const executionQueue = require('./executionQueue');
+const sessionCalendar = require('./sessionCalendar');
+
+// A trading day can open two calendar days earlier (Sunday evening for Monday)
+const TRADE_LOOKBACK_MS = 3 * 24 * 60 * 60 * 1000;
+
+// Per-account protection status
+const DRAWDOWN_STATUS = {
+  OK: 'ok',
+  WARNING: 'warning',
+  TRIPPED: 'tripped'
+};
+
+let stateFile = null;
+let states = new Map(); // accountId -> {tradingDay, startEquity, peakEquity, status, reason, trippedAt}
+let rollovers = new Map(); // accountId -> pending start-of-day lookup
+let eventHandlers = {
+  onStatusChanged: null
+};
+
+/**
+ * Load persisted drawdown state (start-of-day equity, high-water marks, trips)
+ * @param {string} filePath - Path to the state file (in userData)
+ * @param {object} handlers - {onStatusChanged(accountId, status)}
+ */
+function initialize(filePath, handlers = {}) {
+  stateFile = filePath;
+  eventHandlers = { ...eventHandlers, ...handlers };
+  states.clear();
+
+  try {
+    if (fs.existsSync(stateFile)) {
+      const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+      Object.entries(saved).forEach(([accountId, state]) => {
+        states.set(Number(accountId), state);
+      });
+    }
+  } catch (error) {
+    console.error('[DrawdownMonitor] Failed to load drawdown state:', error);
+  }
+
+  console.log(`[DrawdownMonitor] Loaded drawdown state for ${states.size} account(s)`);
+}
+
+/**
+ * Re-check an account after its balance or PnL changed
+ * Trips the account (disable, cancel orders, flatten) when headroom falls inside the trip buffer.
+ * @param {number} accountId - Account ID
+ * @param {Date} [now] - Evaluation time
+ * @returns {Promise<object|null>} Status snapshot, or null when equity is unknown
+ */
+async function evaluate(accountId, now = new Date()) {
+  const key = Number(accountId);
+  const account = accountManager.getAccount(key);
+  const equity = account ? getEquity(account) : null;
+
+  if (equity === null) {
+    return null;
+  }
+
+  const state = await rollTradingDay(key, account, equity, now);
+  state.peakEquity = Math.max(state.peakEquity, equity);
+
+  const snapshot = buildSnapshot(key, state, equity);
+
+  if (state.status === DRAWDOWN_STATUS.TRIPPED) {
+    // Stays locked for the rest of the trading day, including across restarts
+    if (account.tradingEnabled) {
+      accountManager.setAccountTrading(key, false);
+      notify(key);
+    }
+    save();
+    return snapshot;
+  }
+
+  const limits = riskEngine.getLimits(key);
+  const previousStatus = state.status;
+
+  if (snapshot.headroom !== null && snapshot.headroom <= (limits.drawdownTripBuffer || 0)) {
+    await trip(key, state, snapshot.breachedRule);
+  } else if (snapshot.headroom !== null && snapshot.headroom <= (limits.drawdownWarningBuffer || 0)) {
+    state.status = DRAWDOWN_STATUS.WARNING;
+    state.reason = `${snapshot.breachedRule} headroom $${snapshot.headroom.toFixed(2)}`;
+  } else {
+    state.status = DRAWDOWN_STATUS.OK;
+    state.reason = null;
+  }
+
+  save();
+
+  if (state.status !== previousStatus) {
+    if (state.status === DRAWDOWN_STATUS.WARNING) {
+      console.warn(`[DrawdownMonitor] ⚠️ Account ${key} approaching ${state.reason}`);
+    }
+    notify(key);
+  }
+
+  return getStatus(key);
+}
+
+/**
+ * Disable, cancel and flatten an account that hit a loss threshold
+ * @param {number} accountId - Account ID
+ * @param {object} state - Drawdown state
+ * @param {string} rule - Rule that tripped ('daily loss limit' or 'trailing drawdown')
+ */
+async function trip(accountId, state, rule) {
+  state.status = DRAWDOWN_STATUS.TRIPPED;
+  state.reason = `${rule} reached`;
+  state.trippedAt = new Date().toISOString();
+  save();
+
+  console.error(`[DrawdownMonitor] 🛑 Account ${accountId} tripped: ${state.reason} - disabling, cancelling orders and flattening`);
+
+  // Stop new directives first so nothing re-opens the position while we flatten
+  accountManager.setAccountTrading(accountId, false);
+  notify(accountId);
+
+  // Behind the directive already submitting on this account, so its order can't land after the flatten
+  try {
+    await executionQueue.enqueue(accountId, async () => {
+      const cancelResult = await orderExecutionService.cancelAllOrders(accountId);
+      const flattenResult = await orderExecutionService.flattenAccount(accountId);
+
+      if (!cancelResult.success || !flattenResult.success) {
+        console.error(`[DrawdownMonitor] ⚠️ Account ${accountId} protection incomplete - check the broker:`, {
+          cancelFailed: cancelResult.failed,
+          flattenFailed: flattenResult.failed,
+          error: cancelResult.error || flattenResult.error
+        });
+      }
+    }, `flatten (${state.reason})`, { force: true }).done;
+  } catch (error) {
+    console.error(`[DrawdownMonitor] ⚠️ Account ${accountId} flatten failed - check the broker:`, error.message);
+  }
+}
+
+/**
+ * Start a new trading day for an account if the day rolled over
+ * Evaluations that arrive while the start-of-day balance is being looked up share the lookup.
+ * @param {number} accountId - Account ID
+ * @param {object} account - Account from accountManager
+ * @param {number} equity - Current equity
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<object>} Drawdown state for the current trading day
+ */
+function rollTradingDay(accountId, account, equity, now) {
+  const tradingDay = sessionCalendar.getTradingDay(now);
+  const state = states.get(accountId);
+
+  if (state && state.tradingDay === tradingDay) {
+    return Promise.resolve(state);
+  }
+
+  if (!rollovers.has(accountId)) {
+    rollovers.set(accountId, startTradingDay(accountId, account, equity, tradingDay, state)
+      .finally(() => rollovers.delete(accountId)));
+  }
+
+  return rollovers.get(accountId);
+}
+
+/**
+ * Create the state for a new trading day
+ * The daily baseline is the start-of-day balance, so losses taken before the app started still count.
+ * @param {number} accountId - Account ID
+ * @param {object} account - Account from accountManager
+ * @param {number} equity - Current equity
+ * @param {string} tradingDay - YYYY-MM-DD
+ * @param {object|undefined} previous - Previous day's state
+ * @returns {Promise<object>} Drawdown state
+ */
+async function startTradingDay(accountId, account, equity, tradingDay, previous) {
+  const startEquity = await getStartOfDayBalance(accountId, account, tradingDay);
+
+  // The trailing high-water mark carries over; the daily baseline and any trip reset
+  const state = {
+    tradingDay,
+    startEquity: startEquity ?? equity,
+    peakEquity: Math.max(previous ? previous.peakEquity : equity, startEquity ?? equity),
+    status: DRAWDOWN_STATUS.OK,
+    reason: null,
+    trippedAt: null
+  };
+  states.set(accountId, state);
+
+  console.log(`[DrawdownMonitor] Account ${accountId} trading day ${tradingDay}: start-of-day equity $${state.startEquity.toFixed(2)}`);
+  return state;
+}
+
+/**
+ * Broker balance at the start of the trading day: current balance less today's realized PnL and fees
+ * @param {number} accountId - Account ID
+ * @param {object} account - Account from accountManager
+ * @param {string} tradingDay - YYYY-MM-DD
+ * @returns {Promise<number|null>} Balance, or null if today's trades could not be fetched
+ */
+async function getStartOfDayBalance(accountId, account, tradingDay) {
+  // The simulator keeps no history from before this run - the first evaluation is the baseline
+  if (account.paperTrading) {
+    return null;
+  }
+
+  try {
+    const since = new Date(Date.now() - TRADE_LOOKBACK_MS).toISOString();
+    const trades = (await orderExecutionService.getTrades(accountId, since))
+      .filter(trade => !trade.voided && sessionCalendar.getTradingDay(new Date(trade.creationTimestamp)) === tradingDay);
+
+    const netRealized = trades.reduce((sum, trade) => sum + (trade.profitAndLoss || 0) - (trade.fees || 0), 0);
+    return Number(account.balance) - netRealized;
+  } catch (error) {
+    console.error(`[DrawdownMonitor] Could not fetch today's trades for account ${accountId} - using current equity as the daily baseline:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Build a status snapshot from state and limits
+ * @param {number} accountId - Account ID
+ * @param {object} state - Drawdown state
+ * @param {number} equity - Current equity
+ * @returns {object} Status snapshot
+ */
+function buildSnapshot(accountId, state, equity) {
+  const limits = riskEngine.getLimits(accountId);
+  const dailyLoss = state.startEquity - equity;
+  const drawdown = state.peakEquity - equity;
+
+  const headrooms = [];
+  if (limits.dailyLossLimit) {
+    headrooms.push({ rule: 'daily loss limit', headroom: limits.dailyLossLimit - dailyLoss });
+  }
+  if (limits.maxTrailingDrawdown) {
+    headrooms.push({ rule: 'trailing drawdown', headroom: limits.maxTrailingDrawdown - drawdown });
+  }
+
+  const tightest = headrooms.sort((a, b) => a.headroom - b.headroom)[0] || null;
+
+  return {
+    accountId,
+    status: state.status,
+    reason: state.reason,
+    trippedAt: state.trippedAt,
+    tradingDay: state.tradingDay,
+    equity,
+    dailyPnl: equity - state.startEquity,
+    drawdown,
+    dailyLossLimit: limits.dailyLossLimit || null,
+    maxTrailingDrawdown: limits.maxTrailingDrawdown || null,
+    headroom: tightest ? tightest.headroom : null,
+    breachedRule: tightest ? tightest.rule : null
+  };
+}
+
+/**
+ * Current equity used for loss limits
+ * Open PnL is marked to market by positionValuation (0 until the first quote arrives).
+ * Paper accounts add their simulated realized and open PnL to the broker balance.
+ * @param {object} account - Account from accountManager
+ * @returns {number|null} Equity, or null before the first balance arrives
+ */
+function getEquity(account) {
+  if (account.balance === undefined || account.balance === null) {
+    return null;
+  }
+
+  const balance = Number(account.balance);
+  if (!Number.isFinite(balance)) {
+    return null;
+  }
+
+  const paperPnl = account.paperTrading ? (account.paperPnl || 0) + (account.paperUnrealizedPnl || 0) : 0;
+  return balance + paperPnl + (account.unrealizedPnl || 0);
+}
+
+/**
+ * Get the protection status for an account
+ * @param {number} accountId - Account ID
+ * @returns {object} Status snapshot ({status: 'ok'} when nothing is known yet)
+ */
+function getStatus(accountId) {
+  const key = Number(accountId);
+  const state = states.get(key);
+  const account = accountManager.getAccount(key);
+  const equity = account ? getEquity(account) : null;
+
+  if (!state || equity === null) {
+    return { accountId: key, status: DRAWDOWN_STATUS.OK, reason: null };
+  }
+
+  return buildSnapshot(key, state, equity);
+}
+
+/**
+ * Get protection status for every known account
+ * @returns {Array} Status snapshots
+ */
+function getAllStatuses() {
+  return accountManager.getAllAccounts().map(account => getStatus(account.id));
+}
+
+/**
+ * Check whether an account is locked out for the rest of the trading day
+ * @param {number} accountId - Account ID
+ * @returns {boolean} true if tripped
+ */
+function isTripped(accountId) {
+  const state = states.get(Number(accountId));
+  return !!(state && state.status === DRAWDOWN_STATUS.TRIPPED && state.tradingDay === sessionCalendar.getTradingDay());
+}
+
+/**
+ * Mirror the status onto the account and fire the change handler
+ * @param {number} accountId - Account ID
+ */
+function notify(accountId) {
+  const status = getStatus(accountId);
+
+  // Carried on the account so telemetry and the dashboard see it
+  accountManager.updateAccount(accountId, {
+    riskStatus: status.status,
+    riskStatusReason: status.reason
+  });
+
+  if (eventHandlers.onStatusChanged) {
+    eventHandlers.onStatusChanged(accountId, status);
+  }
+}
+
+/**
+ * Persist drawdown state
+ */
+function save() {
+  if (!stateFile) return;
+
+  try {
+    fs.writeFileSync(stateFile, JSON.stringify(Object.fromEntries(states), null, 2));
+  } catch (error) {
+    console.error('[DrawdownMonitor] Failed to save drawdown state:', error);
+  }
+}
+
+module.exports = {
+  DRAWDOWN_STATUS,
+  initialize,
+  evaluate,
+  getStatus,
+  getAllStatuses,
+  isTripped
+};
@@ -0,0 +1,148 @@
+// services/executionQueue.js
+// Execution Queue - Serializes order work per account while different accounts run in parallel
+
+const config = require('../config');
+
+// Reason codes when a task is refused
+const QUEUE_CODES = {
+  QUEUE_FULL: 'QUEUE_FULL'
+};
+
+const queues = new Map(); // accountId -> {pending: [], running, processed, refused, peakDepth, lastStartedAt, lastFinishedAt}
+let totalDepth = 0;
+
+/**
+ * Queue a task behind any work already running for the same account
+ * Refuses the task instead of queueing it when the account or global limit is reached, unless forced.
+ * @param {number} accountId - Account ID (serialization key)
+ * @param {Function} task - async () => result
+ * @param {string} [label] - Description for logs (e.g. directive ID)
+ * @param {object} [options] - {force: queue even over the limits (flattens must never be refused)}
+ * @returns {object} {accepted: true, position, done: Promise<result>} or {accepted: false, code, reason, details}
+ */
+function enqueue(accountId, task, label = 'task', { force = false } = {}) {
+  const key = Number(accountId);
+  const queue = getQueue(key);
+  const depth = queue.pending.length + (queue.running ? 1 : 0);
+
+  if (!force && depth >= config.EXECUTION_QUEUE_MAX_DEPTH) {
+    queue.refused++;
+    console.warn(`[ExecutionQueue] Account ${key} queue full (${depth}) - refusing ${label}`);
+    return refuse(`Account ${key} already has ${depth} directives queued`, { accountId: key, depth });
+  }
+
+  if (!force && totalDepth >= config.EXECUTION_QUEUE_MAX_TOTAL) {
+    queue.refused++;
+    console.warn(`[ExecutionQueue] Global queue full (${totalDepth}) - refusing ${label}`);
+    return refuse(`${totalDepth} directives already queued across all accounts`, { accountId: key, depth: totalDepth });
+  }
+
+  let resolve;
+  let reject;
+  const done = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+
+  queue.pending.push({ task, label, resolve, reject, queuedAt: Date.now() });
+  totalDepth++;
+  queue.peakDepth = Math.max(queue.peakDepth, depth + 1);
+
+  if (depth > 0) {
+    console.log(`[ExecutionQueue] ${label} queued behind ${depth} task(s) on account ${key}`);
+  }
+
+  drain(key);
+
+  return { accepted: true, position: depth, done };
+}
+
+/**
+ * Run the next pending task for an account if nothing is running
+ * @param {number} accountId - Account ID
+ */
+async function drain(accountId) {
+  const queue = queues.get(accountId);
+  if (!queue || queue.running || queue.pending.length === 0) return;
+
+  const item = queue.pending.shift();
+  queue.running = { label: item.label, startedAt: Date.now(), waitedMs: Date.now() - item.queuedAt };
+  queue.lastStartedAt = new Date().toISOString();
+
+  try {
+    item.resolve(await item.task());
+  } catch (error) {
+    console.error(`[ExecutionQueue] ${item.label} failed on account ${accountId}:`, error);
+    item.reject(error);
+  } finally {
+    queue.running = null;
+    queue.processed++;
+    queue.lastFinishedAt = new Date().toISOString();
+    totalDepth--;
+    drain(accountId);
+  }
+}
+
+/**
+ * Build a refusal result
+ * @param {string} reason - Human-readable reason
+ * @param {object} details - Depth details
+ * @returns {object} {accepted: false, code, reason, details}
+ */
+function refuse(reason, details) {
+  return {
+    accepted: false,
+    code: QUEUE_CODES.QUEUE_FULL,
+    reason,
+    details: { ...details, maxDepth: config.EXECUTION_QUEUE_MAX_DEPTH, maxTotal: config.EXECUTION_QUEUE_MAX_TOTAL }
+  };
+}
+
+/**
+ * Get or create the queue for an account
+ * @param {number} accountId - Account ID
+ * @returns {object} Queue state
+ */
+function getQueue(accountId) {
+  if (!queues.has(accountId)) {
+    queues.set(accountId, {
+      pending: [],
+      running: null,
+      processed: 0,
+      refused: 0,
+      peakDepth: 0,
+      lastStartedAt: null,
+      lastFinishedAt: null
+    });
+  }
+  return queues.get(accountId);
+}
+
+/**
+ * Queue depths and counters for diagnostics
+ * @returns {object} {totalDepth, maxDepth, maxTotal, accounts: [...]}
+ */
+function getStats() {
+  return {
+    totalDepth,
+    maxDepth: config.EXECUTION_QUEUE_MAX_DEPTH,
+    maxTotal: config.EXECUTION_QUEUE_MAX_TOTAL,
+    accounts: Array.from(queues.entries()).map(([accountId, queue]) => ({
+      accountId,
+      depth: queue.pending.length + (queue.running ? 1 : 0),
+      running: queue.running ? { ...queue.running, runningMs: Date.now() - queue.running.startedAt } : null,
+      pending: queue.pending.map(item => item.label),
+      processed: queue.processed,
+      refused: queue.refused,
+      peakDepth: queue.peakDepth,
+      lastStartedAt: queue.lastStartedAt,
+      lastFinishedAt: queue.lastFinishedAt
+    }))
+  };
+}
+
+module.exports = {
+  QUEUE_CODES,
+  enqueue,
+  getStats
+};
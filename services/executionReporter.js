@@ -0,0 +1,250 @@
+// services/executionReporter.js
+// Execution Reporter - Per-directive execution outcomes and latencies for the cloud engine
+
+// Outcomes reported for a directive
+const EXECUTION_STATUS = {
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  SKIPPED: 'skipped',
+  PARTIALLY_FILLED: 'partially_filled',
+  FILLED: 'filled',
+  CANCELLED: 'cancelled',
+  UNPROTECTED: 'unprotected' // Entry filled but its stop-loss could not be placed
+};
+
+// Timing records are dropped after an hour - long after any directive settles
+const RECORD_TTL_MS = 60 * 60 * 1000;
+
+let timings = new Map(); // directiveId -> {receivedAt, sentAt, acknowledgedAt, orderId, reportedQuantity}
+let sendReport = null;
+
+/**
+ * Initialize the reporter with the transport used to reach the cloud
+ * @param {object} options - {send(report)}
+ */
+function initialize({ send }) {
+  sendReport = send;
+  console.log('[ExecutionReporter] Initialized');
+}
+
+/**
+ * Start timing a directive
+ * @param {string} directiveId - Directive ID
+ * @param {number} [receivedAt] - Epoch ms the directive arrived
+ */
+function markReceived(directiveId, receivedAt = Date.now()) {
+  pruneExpired();
+  timings.set(directiveId, {
+    receivedAt,
+    sentAt: null,
+    acknowledgedAt: null,
+    orderId: null,
+    reportedQuantity: 0
+  });
+}
+
+/**
+ * Report a directive that was not executed
+ * @param {string} directiveId - Directive ID
+ * @param {object} rejection - {code, reason, details}
+ */
+function reportRejected(directiveId, rejection) {
+  emit(directiveId, EXECUTION_STATUS.REJECTED, {
+    code: rejection.code,
+    reason: rejection.reason,
+    details: rejection.details || null
+  });
+}
+
+/**
+ * Report a directive that needed no order (e.g. exit while already flat)
+ * @param {string} directiveId - Directive ID
+ * @param {string} reason - Why nothing was sent
+ */
+function reportSkipped(directiveId, reason) {
+  emit(directiveId, EXECUTION_STATUS.SKIPPED, { reason });
+}
+
+/**
+ * Report an order the broker accepted
+ * @param {string} directiveId - Directive ID
+ * @param {object} submission - Successful submitOrder result (orderId, sentAt, acknowledgedAt, ...)
+ */
+function reportAccepted(directiveId, submission) {
+  const timing = timings.get(directiveId);
+  if (timing) {
+    timing.sentAt = toEpoch(submission.sentAt);
+    timing.acknowledgedAt = toEpoch(submission.acknowledgedAt);
+    timing.orderId = submission.orderId;
+  }
+
+  emit(directiveId, EXECUTION_STATUS.ACCEPTED, {
+    orderId: submission.orderId,
+    contractId: submission.contractId,
+    side: submission.side,
+    quantity: submission.quantity,
+    paper: !!submission.paper
+  });
+}
+
+/**
+ * Report an order the broker refused or that never reached it
+ * @param {string} directiveId - Directive ID
+ * @param {object} failure - Failed submitOrder result ({code, error, sentAt}) or thrown error
+ */
+function reportFailed(directiveId, failure) {
+  const timing = timings.get(directiveId);
+  if (timing && failure.sentAt) {
+    timing.sentAt = toEpoch(failure.sentAt);
+  }
+
+  emit(directiveId, EXECUTION_STATUS.REJECTED, {
+    // Thrown errors never reached submitOrder's classification
+    code: failure.code || 'INTERNAL_ERROR',
+    reason: failure.error || failure.message
+  });
+}
+
+/**
+ * Report fills and terminal states of a directive's order
+ * @param {string} directiveId - Directive ID
+ * @param {object} order - Tracked order from orderTracker
+ * @param {string} [previousStatus] - Status before this update (terminal states are reported once)
+ */
+function reportOrderUpdate(directiveId, order, previousStatus) {
+  const timing = timings.get(directiveId);
+  const newlyFilled = order.filledQuantity > 0 && (!timing || order.filledQuantity > timing.reportedQuantity);
+  const justCompleted = order.status === 'filled' && previousStatus !== 'filled';
+
+  if (newlyFilled || justCompleted) {
+    if (timing) {
+      timing.reportedQuantity = order.filledQuantity;
+    }
+
+    emit(directiveId, order.status === 'filled' ? EXECUTION_STATUS.FILLED : EXECUTION_STATUS.PARTIALLY_FILLED, {
+      orderId: order.orderId,
+      price: order.averageFillPrice,
+      quantity: order.filledQuantity,
+      orderQuantity: order.quantity
+    }, { filledAt: Date.now() });
+    return;
+  }
+
+  if (order.status === previousStatus) return;
+
+  if (order.status === 'cancelled' || order.status === 'expired') {
+    emit(directiveId, EXECUTION_STATUS.CANCELLED, {
+      orderId: order.orderId,
+      reason: `Order ${order.status}`,
+      quantity: order.filledQuantity
+    });
+  } else if (order.status === 'rejected') {
+    // Accepted at placement, refused later (e.g. margin or price checks at the exchange)
+    emit(directiveId, EXECUTION_STATUS.REJECTED, {
+      orderId: order.orderId,
+      code: 'ORDER_REJECTED',
+      reason: `Order ${order.orderId} rejected by the broker after it was accepted`
+    });
+  }
+}
+
+/**
+ * Report a filled entry whose stop-loss could not be placed
+ * @param {string} directiveId - Directive ID
+ * @param {object} alert - Bracket alert ({entryOrderId, leg, reason, flattened, flattenError})
+ */
+function reportUnprotected(directiveId, alert) {
+  emit(directiveId, EXECUTION_STATUS.UNPROTECTED, {
+    orderId: alert.entryOrderId,
+    code: alert.leg === 'stopLoss' ? 'STOP_LOSS_FAILED' : 'TAKE_PROFIT_FAILED',
+    reason: alert.reason,
+    flattened: alert.flattened,
+    details: alert.flattenError ? { flattenError: alert.flattenError } : null
+  });
+}
+
+/**
+ * Get measured latencies for a directive
+ * @param {string} directiveId - Directive ID
+ * @param {object} [extra] - {filledAt} epoch ms of a fill being reported
+ * @returns {object} {receiveToSubmitMs, submitToAckMs, ackToFillMs} (null when not yet measured)
+ */
+function getLatencies(directiveId, { filledAt = null } = {}) {
+  const timing = timings.get(directiveId);
+  if (!timing) {
+    return { receiveToSubmitMs: null, submitToAckMs: null, ackToFillMs: null };
+  }
+
+  return {
+    receiveToSubmitMs: difference(timing.receivedAt, timing.sentAt),
+    submitToAckMs: difference(timing.sentAt, timing.acknowledgedAt),
+    ackToFillMs: difference(timing.acknowledgedAt, filledAt)
+  };
+}
+
+/**
+ * Send one execution report
+ * @param {string} directiveId - Directive ID
+ * @param {string} status - One of EXECUTION_STATUS
+ * @param {object} fields - Status-specific fields
+ * @param {object} [latencyOptions] - Passed to getLatencies
+ */
+function emit(directiveId, status, fields, latencyOptions) {
+  const report = {
+    directiveId,
+    status,
+    ...fields,
+    latency: getLatencies(directiveId, latencyOptions),
+    timestamp: new Date().toISOString()
+  };
+
+  console.log(`[ExecutionReporter] ${directiveId}: ${status}`, report.latency);
+
+  if (sendReport) {
+    sendReport(report);
+  }
+}
+
+/**
+ * Milliseconds between two epoch times
+ * @param {number|null} from - Start
+ * @param {number|null} to - End
+ * @returns {number|null} Difference, or null if either end is missing
+ */
+function difference(from, to) {
+  return from && to ? to - from : null;
+}
+
+/**
+ * Convert an ISO timestamp to epoch ms
+ * @param {string|null} value - ISO timestamp
+ * @returns {number|null} Epoch ms or null
+ */
+function toEpoch(value) {
+  return value ? new Date(value).getTime() : null;
+}
+
+/**
+ * Drop timing records for directives that settled long ago
+ */
+function pruneExpired() {
+  const cutoff = Date.now() - RECORD_TTL_MS;
+  timings.forEach((timing, directiveId) => {
+    if (timing.receivedAt < cutoff) {
+      timings.delete(directiveId);
+    }
+  });
+}
+
+module.exports = {
+  EXECUTION_STATUS,
+  initialize,
+  markReceived,
+  reportRejected,
+  reportSkipped,
+  reportAccepted,
+  reportFailed,
+  reportOrderUpdate,
+  reportUnprotected,
+  getLatencies
+};
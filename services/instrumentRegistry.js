@@ -0,0 +1,128 @@
+// services/instrumentRegistry.js
+// Instrument Registry - Tick size, tick value and point value per contract (cached from the contract API)
+
+const axios = require('axios');
+const config = require('../config');
+const authService = require('./authService');
+const brokerProfiles = require('./brokerProfiles');
+const contractResolver = require('./contractResolver');
+
+let instruments = new Map(); // contractId -> {contractId, name, description, tickSize, tickValue, pointValue}
+let pending = new Map(); // contractId -> in-flight lookup promise
+let failedUntil = new Map(); // contractId -> epoch ms before which a failed lookup is not retried
+
+/**
+ * Get instrument metadata, fetching it on first use
+ * @param {string} contractId - TopstepX contract ID
+ * @returns {Promise<object|null>} {contractId, name, description, tickSize, tickValue, pointValue} or null
+ */
+async function getInstrument(contractId) {
+  if (!contractId) return null;
+
+  if (instruments.has(contractId)) {
+    return instruments.get(contractId);
+  }
+
+  // Positions are revalued every second - an unresolvable contract must not cost a gateway call each time
+  if (failedUntil.get(contractId) > Date.now()) {
+    return null;
+  }
+
+  // Concurrent callers share one request
+  if (!pending.has(contractId)) {
+    pending.set(contractId, loadInstrument(contractId).finally(() => pending.delete(contractId)));
+  }
+
+  return pending.get(contractId);
+}
+
+/**
+ * Get cached instrument metadata without a lookup
+ * @param {string} contractId - TopstepX contract ID
+ * @returns {object|null} Instrument or null if not loaded yet
+ */
+function getCachedInstrument(contractId) {
+  return instruments.get(contractId) || null;
+}
+
+/**
+ * Load metadata for several contracts (e.g. everything currently held)
+ * @param {Array<string>} contractIds - Contract IDs
+ * @returns {Promise<void>}
+ */
+async function ensureInstruments(contractIds) {
+  await Promise.all(contractIds.filter(id => !instruments.has(id)).map(getInstrument));
+}
+
+/**
+ * Fetch a contract from the API, falling back to details cached by the contract resolver
+ * @param {string} contractId - TopstepX contract ID
+ * @returns {Promise<object|null>} Instrument or null
+ */
+async function loadInstrument(contractId) {
+  let contract = null;
+
+  try {
+    // Contract IDs are shared across ProjectX firms, so any login can look them up
+    const loginId = authService.getDefaultLoginId();
+    const token = await authService.getAccessToken(loginId);
+
+    const response = await axios.post(
+      `${brokerProfiles.getApiEndpoint(loginId)}/api/Contract/searchById`,
+      { contractId, live: false },
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 10000
+      }
+    );
+
+    if (response.data && response.data.success && response.data.contract) {
+      contract = response.data.contract;
+    }
+  } catch (error) {
+    console.error(`[InstrumentRegistry] Contract lookup failed for ${contractId}:`, error.response ? error.response.data : error.message);
+  }
+
+  contract = contract || contractResolver.getContractDetailsById(contractId);
+
+  if (!contract || !(contract.tickSize > 0) || !(contract.tickValue > 0)) {
+    console.warn(`[InstrumentRegistry] No tick size/value for ${contractId} - positions in it cannot be valued (retry in ${config.INSTRUMENT_LOOKUP_RETRY_MS}ms)`);
+    failedUntil.set(contractId, Date.now() + config.INSTRUMENT_LOOKUP_RETRY_MS);
+    return null;
+  }
+
+  failedUntil.delete(contractId);
+
+  const instrument = {
+    contractId,
+    name: contract.name || contractId,
+    description: contract.description || null,
+    tickSize: contract.tickSize,
+    tickValue: contract.tickValue,
+    pointValue: contract.tickValue / contract.tickSize
+  };
+
+  instruments.set(contractId, instrument);
+  console.log(`[InstrumentRegistry] ${instrument.name}: tick ${instrument.tickSize} = $${instrument.tickValue} ($${instrument.pointValue}/point)`);
+
+  return instrument;
+}
+
+/**
+ * Clear cached instruments
+ */
+function reset() {
+  instruments.clear();
+  pending.clear();
+  failedUntil.clear();
+}
+
+module.exports = {
+  getInstrument,
+  getCachedInstrument,
+  ensureInstruments,
+  reset
+};
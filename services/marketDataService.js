@@ -0,0 +1,340 @@
+// services/marketDataService.js
+// Market Data Service - Market Hub quotes for traded, held and watchlisted contracts
+
+const signalR = require('@microsoft/signalr');
+const config = require('../config');
+const authService = require('./authService');
+const brokerProfiles = require('./brokerProfiles');
+const contractResolver = require('./contractResolver');
+const signalRService = require('./signalRService');
+
+let marketHubConnection = null;
+let startRetryTimer = null; // Pending retry of a first start that failed
+let quotes = new Map(); // contractId -> {contractId, symbol, last, bid, ask, change, volume, timestamp}
+let subscriptions = new Set(); // contractIds subscribed on the Market Hub
+let watchedSymbols = new Set(); // root symbols kept subscribed (watchlist + directive symbols)
+let quoteWaiters = new Map(); // contractId -> callbacks waiting for the contract's first quote
+let eventHandlers = {
+  onQuote: null,
+  onConnected: null
+};
+
+/**
+ * Initialize market data handlers and the configured watchlist
+ * @param {object} handlers - {onQuote(quote), onConnected() - a connection (or a retried first start) came up}
+ */
+function initialize(handlers = {}) {
+  eventHandlers = { ...eventHandlers, ...handlers };
+  (config.MARKET_DATA_WATCHLIST || []).forEach(symbol => watchedSymbols.add(symbol.toUpperCase()));
+}
+
+/**
+ * Connect to the Market Hub
+ * Market data is the same for every firm, so the first login's hub is used.
+ * Any previous connection is stopped first. If the first start fails it is retried every RECONNECT_INTERVAL_MS
+ * (automatic reconnect only covers connections that were up once).
+ * @returns {Promise<boolean>} true if connected now (false means a retry is scheduled or there is no login)
+ */
+async function connect() {
+  await disconnect();
+
+  const loginId = authService.getDefaultLoginId();
+  if (!loginId) {
+    console.error('[MarketData] Cannot connect - no broker login');
+    return false;
+  }
+
+  console.log('[MarketData] Building Market Hub connection...');
+
+  // Fresh token on every (re)connect, same as the User Hub
+  marketHubConnection = new signalR.HubConnectionBuilder()
+    .withUrl(brokerProfiles.getMarketHubUrl(loginId), {
+      skipNegotiation: true,
+      transport: signalR.HttpTransportType.WebSockets,
+      accessTokenFactory: () => authService.getAccessToken(loginId)
+    })
+    .withAutomaticReconnect({
+      nextRetryDelayInMilliseconds: () => config.RECONNECT_INTERVAL_MS
+    })
+    .configureLogging(signalRService.hubLogger)
+    .build();
+
+  marketHubConnection.on('GatewayQuote', handleQuote);
+
+  marketHubConnection.onclose((error) => {
+    console.warn('[MarketData] Market Hub connection closed.', error ? `Error: ${error}` : '');
+  });
+
+  marketHubConnection.onreconnecting((error) => {
+    console.warn('[MarketData] Market Hub reconnecting...', error ? `Error: ${error}` : '');
+  });
+
+  // Subscriptions live on the server connection, so a new connection needs them again
+  marketHubConnection.onreconnected(() => {
+    console.log('[MarketData] Market Hub reconnected - restoring subscriptions');
+    const contractIds = Array.from(subscriptions);
+    subscriptions.clear();
+    contractIds.forEach(contractId => subscribe(contractId));
+  });
+
+  return startConnection(marketHubConnection);
+}
+
+/**
+ * Start a built connection, scheduling a retry on failure
+ * @param {object} connection - Market Hub connection
+ * @returns {Promise<boolean>} true if connected
+ */
+async function startConnection(connection) {
+  startRetryTimer = null;
+
+  try {
+    await connection.start();
+    console.log(`[MarketData] Market Hub connected! Connection ID: ${connection.connectionId}`);
+  } catch (error) {
+    // Replaced or shut down while starting - nothing to retry
+    if (connection !== marketHubConnection) return false;
+
+    console.error(`[MarketData] Failed to start Market Hub connection - retrying in ${config.RECONNECT_INTERVAL_MS}ms:`, error);
+    startRetryTimer = setTimeout(() => startConnection(connection), config.RECONNECT_INTERVAL_MS);
+    return false;
+  }
+
+  // Watchlist contracts
+  for (const symbol of watchedSymbols) {
+    await watchSymbol(symbol);
+  }
+
+  if (eventHandlers.onConnected) {
+    eventHandlers.onConnected();
+  }
+
+  return true;
+}
+
+/**
+ * Stop the current connection (and any pending start retry) so a new one can replace it
+ * Subscriptions belong to the old connection and are dropped with it.
+ */
+async function disconnect() {
+  if (startRetryTimer) {
+    clearTimeout(startRetryTimer);
+    startRetryTimer = null;
+  }
+
+  const connection = marketHubConnection;
+  marketHubConnection = null;
+  subscriptions.clear();
+
+  if (connection) {
+    try {
+      await connection.stop();
+      console.log('[MarketData] Market Hub connection stopped');
+    } catch (error) {
+      console.error('[MarketData] Error stopping connection:', error);
+    }
+  }
+}
+
+/**
+ * Keep a root symbol subscribed (resolves it to the current front month)
+ * @param {string} symbol - Root symbol or contract ID
+ */
+async function watchSymbol(symbol) {
+  if (!symbol) return;
+
+  watchedSymbols.add(symbol.toUpperCase());
+
+  const contractId = await contractResolver.resolveContractId(symbol);
+  if (contractId) {
+    await subscribe(contractId);
+  }
+}
+
+/**
+ * Keep subscriptions in line with held contracts
+ * Held contracts are added; contracts no longer held or watched are dropped.
+ * @param {Array<string>} heldContractIds - Contracts with open positions
+ */
+async function syncSubscriptions(heldContractIds) {
+  const wanted = new Set(heldContractIds);
+
+  for (const symbol of watchedSymbols) {
+    const contractId = await contractResolver.resolveContractId(symbol);
+    if (contractId) wanted.add(contractId);
+  }
+
+  for (const contractId of wanted) {
+    await subscribe(contractId);
+  }
+
+  for (const contractId of Array.from(subscriptions)) {
+    if (!wanted.has(contractId)) {
+      await unsubscribe(contractId);
+    }
+  }
+}
+
+/**
+ * Subscribe to quotes for a contract
+ * @param {string} contractId - TopstepX contract ID
+ */
+async function subscribe(contractId) {
+  if (subscriptions.has(contractId) || !isConnected()) return;
+
+  try {
+    await marketHubConnection.invoke('SubscribeContractQuotes', contractId);
+    subscriptions.add(contractId);
+    console.log(`[MarketData] Subscribed to ${contractId}`);
+  } catch (error) {
+    console.error(`[MarketData] Failed to subscribe to ${contractId}:`, error);
+  }
+}
+
+/**
+ * Unsubscribe from quotes for a contract
+ * @param {string} contractId - TopstepX contract ID
+ */
+async function unsubscribe(contractId) {
+  subscriptions.delete(contractId);
+  quotes.delete(contractId);
+
+  if (!isConnected()) return;
+
+  try {
+    await marketHubConnection.invoke('UnsubscribeContractQuotes', contractId);
+    console.log(`[MarketData] Unsubscribed from ${contractId}`);
+  } catch (error) {
+    console.error(`[MarketData] Failed to unsubscribe from ${contractId}:`, error);
+  }
+}
+
+/**
+ * Handle a GatewayQuote message
+ * Quotes can carry only the fields that changed, so they are merged into the last one.
+ * @param {string} contractId - TopstepX contract ID
+ * @param {object} data - {symbol, lastPrice, bestBid, bestAsk, change, volume, timestamp, ...}
+ */
+function handleQuote(contractId, data) {
+  if (!data) return;
+
+  const previous = quotes.get(contractId) || { contractId };
+  const quote = {
+    ...previous,
+    symbol: data.symbol ?? previous.symbol,
+    last: data.lastPrice ?? previous.last,
+    bid: data.bestBid ?? previous.bid,
+    ask: data.bestAsk ?? previous.ask,
+    change: data.change ?? previous.change,
+    volume: data.volume ?? previous.volume,
+    timestamp: data.timestamp || data.lastUpdated || new Date().toISOString(),
+    receivedAt: Date.now()
+  };
+
+  quotes.set(contractId, quote);
+
+  const waiters = quoteWaiters.get(contractId);
+  if (waiters) {
+    quoteWaiters.delete(contractId);
+    waiters.forEach(resolve => resolve());
+  }
+
+  if (eventHandlers.onQuote) {
+    eventHandlers.onQuote(quote);
+  }
+}
+
+/**
+ * Get the latest quote for a contract
+ * @param {string} contractId - TopstepX contract ID
+ * @returns {object|null} Quote or null
+ */
+function getQuote(contractId) {
+  return quotes.get(contractId) || null;
+}
+
+/**
+ * Current price for a directive symbol (price source for the deviation guard)
+ * Symbols not streaming yet are subscribed and given MARKET_DATA_FIRST_QUOTE_TIMEOUT_MS for a first quote.
+ * The hub only sends changes, so a quiet contract's last quote stays current while its subscription is live.
+ * @param {string} symbol - Root symbol or contract ID
+ * @returns {Promise<object|null>} {price, timestamp} or null when no live quote exists
+ */
+async function getPrice(symbol) {
+  if (!symbol || !isConnected()) return null;
+
+  let contractId = contractResolver.getCachedContractId(symbol);
+  if (!contractId || !subscriptions.has(contractId)) {
+    try {
+      await watchSymbol(symbol);
+    } catch (error) {
+      console.error(`[MarketData] Failed to watch ${symbol}:`, error.message);
+    }
+    contractId = contractResolver.getCachedContractId(symbol);
+  }
+
+  if (!contractId || !subscriptions.has(contractId)) return null;
+
+  if (!quotes.has(contractId)) {
+    await waitForQuote(contractId, config.MARKET_DATA_FIRST_QUOTE_TIMEOUT_MS);
+  }
+
+  const quote = quotes.get(contractId);
+  if (!quote || !(quote.last > 0)) return null;
+
+  return { price: quote.last, timestamp: quote.timestamp };
+}
+
+/**
+ * Wait for a contract's next quote
+ * @param {string} contractId - TopstepX contract ID
+ * @param {number} timeoutMs - Longest wait
+ * @returns {Promise<void>} Resolves on the quote or the timeout, whichever comes first
+ */
+function waitForQuote(contractId, timeoutMs) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, timeoutMs);
+    const waiters = quoteWaiters.get(contractId) || [];
+    waiters.push(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+    quoteWaiters.set(contractId, waiters);
+  });
+}
+
+/**
+ * Get all current quotes
+ * @returns {Array} Quotes for subscribed contracts
+ */
+function getQuotes() {
+  return Array.from(quotes.values());
+}
+
+/**
+ * Checks if the Market Hub is connected
+ * @returns {boolean} Connection status
+ */
+function isConnected() {
+  return !!marketHubConnection && marketHubConnection.state === signalR.HubConnectionState.Connected;
+}
+
+/**
+ * Disconnect and clear quotes
+ */
+async function shutdown() {
+  await disconnect();
+  quotes.clear();
+}
+
+module.exports = {
+  initialize,
+  connect,
+  watchSymbol,
+  syncSubscriptions,
+  getQuote,
+  getPrice,
+  getQuotes,
+  isConnected,
+  shutdown
+};
@@ -6,79 +6,165 @@
 
 const axios = require('axios');
 const authService = require('./authService');
-const config = require('../config');
+const contractResolver = require('./contractResolver');
+const orderTracker = require('./orderTracker');
+const accountManager = require('./accountManager');
+const paperBroker = require('./paperBroker');
+const brokerProfiles = require('./brokerProfiles');
 const log = console;
 
+// Directive order types -> TopstepX OrderType enum
+const ORDER_TYPES = {
+  LIMIT: 1,
+  MARKET: 2,
+  STOP_LIMIT: 3,
+  STOP: 4
+};
+
+// TopstepX PositionType enum
+const POSITION_TYPES = {
+  LONG: 1,
+  SHORT: 2
+};
+
+// Why a submission failed - reported to the cloud with the rejection
+const FAILURE_CODES = {
+  INVALID_ORDER: 'INVALID_ORDER', // Failed validation or could not be mapped to a contract/side
+  AUTH_FAILED: 'AUTH_FAILED', // No valid token for the account's login
+  BROKER_REJECTED: 'BROKER_REJECTED', // The broker answered and refused the order
+  BROKER_ERROR: 'BROKER_ERROR', // The broker returned an HTTP error
+  NO_RESPONSE: 'NO_RESPONSE', // Sent, but no answer arrived - the order may exist at the broker
+  SUBMISSION_FAILED: 'SUBMISSION_FAILED' // Anything else before the order was sent
+};
+
 /**
  * Submit order to TopstepX API
  * @param {Object} params - Order parameters
  * @param {string} params.accountId - TopstepX account ID
- * @param {string} params.action - Order action (ENTRY_LONG, ENTRY_SHORT, EXIT)
+ * @param {string} params.action - Order action (ENTRY_LONG, ENTRY_SHORT, EXIT, EXIT_LONG, EXIT_SHORT)
  * @param {string} params.symbol - Instrument symbol (NQ, ES, etc.)
- * @param {number} params.lots - Number of contracts
+ * @param {number} params.lots - Number of contracts (exits: optional, capped at the held size)
+ * @param {string} [params.orderType='MARKET'] - MARKET, LIMIT, STOP or STOP_LIMIT
+ * @param {number} [params.limitPrice] - Limit price (LIMIT, STOP_LIMIT)
+ * @param {number} [params.stopPrice] - Stop trigger price (STOP, STOP_LIMIT)
+ * @param {string} [params.directiveId] - Cloud directive that produced this order (for order tracking)
+ * @param {number} [params.price] - Directive price (paper accounts fill market orders here)
  * @returns {Promise<Object>} Order response from TopstepX
  */
-async function submitOrder({ accountId, action, symbol, lots }) {
+async function submitOrder({ accountId, action, symbol, lots, orderType = 'MARKET', limitPrice, stopPrice, directiveId, price }) {
+  let sentAt = null;
+
   try {
+    // Reject malformed directives before anything goes to the broker
+    const validationErrors = validateOrder({ action, symbol, lots, orderType, limitPrice, stopPrice });
+
+    if (validationErrors.length > 0) {
+      log.warn(`⚠️ [OrderExecution] Order rejected by validation:`, validationErrors);
+
+      return {
+        success: false,
+        code: FAILURE_CODES.INVALID_ORDER,
+        error: `Invalid order: ${validationErrors.join('; ')}`,
+        validationErrors,
+        accountId,
+        action,
+        symbol,
+        lots
+      };
+    }
+
     // Get valid TopstepX auth token
-    const token = await authService.getAccessToken();
+    let token;
+    try {
+      token = await getAccountToken(accountId);
+    } catch (error) {
+      error.failureCode = FAILURE_CODES.AUTH_FAILED;
+      throw error;
+    }
+
+    // Resolve symbol to the current front-month TopstepX contract
+    const contractId = await contractResolver.resolveContractId(symbol);
+
+    if (!contractId) {
+      throw Object.assign(new Error(`Unknown symbol: ${symbol}`), { failureCode: FAILURE_CODES.INVALID_ORDER });
+    }
 
     // Map action to TopstepX order side
-    const side = mapActionToSide(action);
+    let side = mapActionToSide(action);
+    let size = lots;
 
     if (!side) {
-      throw new Error(`Invalid action: ${action}`);
+      throw Object.assign(new Error(`Invalid action: ${action}`), { failureCode: FAILURE_CODES.INVALID_ORDER });
     }
 
-    log.log(`📝 [OrderExecution] Submitting order: ${side} ${lots} ${symbol} for account ${accountId}`);
+    // Exits take their side and size from the live position, not the directive
+    if (isExitAction(action)) {
+      const exitPlan = await planExit({ token, accountId, action, contractId, lots });
 
-    // Map symbol to TopstepX contract ID
-    const contractId = mapSymbolToContractId(symbol);
+      if (!exitPlan.position) {
+        log.log(`⏭️ [OrderExecution] Exit skipped for account ${accountId}: ${exitPlan.reason}`);
 
-    if (!contractId) {
-      throw new Error(`Unknown symbol: ${symbol}`);
+        return {
+          success: true,
+          noop: true,
+          reason: exitPlan.reason,
+          accountId,
+          action,
+          symbol,
+          contractId,
+          lots
+        };
+      }
+
+      side = exitPlan.side;
+      size = exitPlan.size;
     }
 
-    // Submit order to TopstepX API
-    const response = await axios.post(
-      `${config.API_ENDPOINT}/api/Order/place`,
-      {
-        accountId: parseInt(accountId),
-        contractId: contractId,
-        side: side === 'BUY' ? 0 : 1, // 0 = Buy, 1 = Sell
-        type: 2, // 2 = Market order
-        size: lots
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000 // 10 second timeout
-      }
+    log.log(`📝 [OrderExecution] Submitting order: ${side} ${size} ${symbol} ${orderType} for account ${accountId}`);
+
+    // Submit order to TopstepX API (or the simulator for paper accounts)
+    sentAt = new Date().toISOString();
+    const data = await brokerRequest(
+      token,
+      '/api/Order/place',
+      buildOrderPayload({ accountId, contractId, side, lots: size, orderType, limitPrice, stopPrice }),
+      { referencePrice: price }
     );
 
     log.log(`✅ [OrderExecution] Order submitted successfully:`, {
-      orderId: response.data.orderId,
-      status: response.data.status,
+      orderId: data.orderId,
+      status: data.status,
       accountId,
       symbol,
       side,
-      quantity: lots
+      orderType,
+      quantity: size
     });
 
-    return {
+    const result = {
       success: true,
-      orderId: response.data.orderId,
-      status: response.data.status,
+      orderId: data.orderId,
+      status: data.status,
+      paper: accountManager.isPaperTrading(accountId),
       accountId,
       symbol,
+      contractId,
       side,
-      quantity: lots,
+      orderType,
+      limitPrice: limitPrice ?? null,
+      stopPrice: stopPrice ?? null,
+      quantity: size,
+      sentAt,
+      acknowledgedAt: new Date().toISOString(),
       submittedAt: new Date().toISOString(),
-      rawResponse: response.data
+      rawResponse: data
     };
 
+    // Follow the order through its lifecycle via User Hub events
+    orderTracker.trackSubmittedOrder(result, { directiveId: directiveId || null });
+
+    return result;
+
   } catch (error) {
     log.error(`❌ [OrderExecution] Order submission failed:`, {
       error: error.message,
@@ -86,18 +172,21 @@ async function submitOrder({ accountId, action, symbol, lots }) {
       action,
       symbol,
       lots,
+      orderType,
       statusCode: error.response?.status,
       responseData: error.response?.data,
       validationErrors: error.response?.data?.errors ? JSON.stringify(error.response.data.errors, null, 2) : null,
-      endpoint: `${config.API_ENDPOINT}/api/Order/place`
+      endpoint: `${brokerProfiles.getApiEndpoint(accountManager.getLoginId(accountId))}/api/Order/place`
     });
 
     // Return error details
     return {
       success: false,
+      code: classifyFailure(error, sentAt),
       error: error.message,
       errorDetails: error.response?.data || null,
       statusCode: error.response?.status,
+      sentAt,
       accountId,
       action,
       symbol,
@@ -106,6 +195,501 @@ async function submitOrder({ accountId, action, symbol, lots }) {
   }
 }
 
+/**
+ * Place an order for an explicit contract and side
+ * Used for orders the app manages itself (bracket legs) rather than cloud directives.
+ * @param {Object} params - Order parameters
+ * @param {number} params.accountId - TopstepX account ID
+ * @param {string} params.contractId - TopstepX contract ID
+ * @param {string} params.side - BUY or SELL
+ * @param {number} params.size - Number of contracts
+ * @param {string} params.orderType - MARKET, LIMIT, STOP or STOP_LIMIT
+ * @param {number} [params.limitPrice] - Limit price
+ * @param {number} [params.stopPrice] - Stop trigger price
+ * @param {Object} [params.meta] - Extra fields stored on the tracked order
+ * @returns {Promise<Object>} {success, orderId, ...} or {success: false, error}
+ */
+async function placeOrder({ accountId, contractId, side, size, orderType, limitPrice, stopPrice, meta = {} }) {
+  try {
+    const token = await getAccountToken(accountId);
+
+    const data = await brokerRequest(
+      token,
+      '/api/Order/place',
+      buildOrderPayload({ accountId, contractId, side, lots: size, orderType, limitPrice, stopPrice })
+    );
+
+    const result = {
+      success: true,
+      orderId: data.orderId,
+      accountId,
+      contractId,
+      side,
+      orderType,
+      limitPrice: limitPrice ?? null,
+      stopPrice: stopPrice ?? null,
+      quantity: size,
+      submittedAt: new Date().toISOString()
+    };
+
+    orderTracker.trackSubmittedOrder(result, meta);
+
+    log.log(`✅ [OrderExecution] ${orderType} ${side} ${size} ${contractId} placed on account ${accountId} (order ${data.orderId})`);
+    return result;
+
+  } catch (error) {
+    log.error(`❌ [OrderExecution] Order placement failed:`, {
+      error: error.message,
+      accountId,
+      contractId,
+      side,
+      size,
+      orderType,
+      statusCode: error.response?.status,
+      responseData: error.response?.data
+    });
+
+    return { success: false, error: error.message, accountId, contractId, side, size, orderType };
+  }
+}
+
+/**
+ * Validate order parameters before submission
+ * @param {Object} params - Same shape as submitOrder params
+ * @returns {Array<string>} Validation error messages (empty if valid)
+ */
+function validateOrder({ action, symbol, lots, orderType, limitPrice, stopPrice }) {
+  const errors = [];
+
+  if (!mapActionToSide(action)) {
+    errors.push(`unknown action "${action}"`);
+  }
+
+  if (!symbol) {
+    errors.push('symbol is required');
+  }
+
+  // Exits may omit lots to close the whole position
+  const lotsOptional = isExitAction(action) && (lots === undefined || lots === null);
+
+  if (!lotsOptional && (!Number.isInteger(lots) || lots <= 0)) {
+    errors.push(`lots must be a positive integer (got ${lots})`);
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(ORDER_TYPES, orderType)) {
+    errors.push(`unknown orderType "${orderType}"`);
+    return errors;
+  }
+
+  const needsLimit = orderType === 'LIMIT' || orderType === 'STOP_LIMIT';
+  const needsStop = orderType === 'STOP' || orderType === 'STOP_LIMIT';
+
+  if (needsLimit && !isValidPrice(limitPrice)) {
+    errors.push(`${orderType} order requires a positive limitPrice`);
+  }
+
+  if (needsStop && !isValidPrice(stopPrice)) {
+    errors.push(`${orderType} order requires a positive stopPrice`);
+  }
+
+  // A stop-limit must be able to fill once triggered
+  if (orderType === 'STOP_LIMIT' && isValidPrice(limitPrice) && isValidPrice(stopPrice)) {
+    const side = mapActionToSide(action);
+    if (side === 'BUY' && limitPrice < stopPrice) {
+      errors.push('buy STOP_LIMIT limitPrice must be at or above stopPrice');
+    }
+    if (side === 'SELL' && limitPrice > stopPrice) {
+      errors.push('sell STOP_LIMIT limitPrice must be at or below stopPrice');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check that a value is a usable price
+ * @param {*} price - Candidate price
+ * @returns {boolean} true if finite and positive
+ */
+function isValidPrice(price) {
+  return typeof price === 'number' && Number.isFinite(price) && price > 0;
+}
+
+/**
+ * Build the TopstepX /api/Order/place request body
+ * @param {Object} params - Resolved order parameters
+ * @returns {Object} Request payload
+ */
+function buildOrderPayload({ accountId, contractId, side, lots, orderType, limitPrice, stopPrice }) {
+  const payload = {
+    accountId: parseInt(accountId),
+    contractId: contractId,
+    side: side === 'BUY' ? 0 : 1, // 0 = Buy, 1 = Sell
+    type: ORDER_TYPES[orderType],
+    size: lots
+  };
+
+  if (orderType === 'LIMIT' || orderType === 'STOP_LIMIT') {
+    payload.limitPrice = limitPrice;
+  }
+
+  if (orderType === 'STOP' || orderType === 'STOP_LIMIT') {
+    payload.stopPrice = stopPrice;
+  }
+
+  return payload;
+}
+
+/**
+ * Decide side and size for an exit from the account's live position
+ * @param {Object} params - {token, accountId, action, contractId, lots}
+ * @returns {Promise<Object>} {position, side, size} or {position: null, reason} when there is nothing to exit
+ */
+async function planExit({ token, accountId, action, contractId, lots }) {
+  const positions = await fetchOpenPositions(token, accountId);
+  const position = positions.find(p => p.contractId === contractId && p.size > 0);
+
+  if (!position) {
+    return { position: null, reason: `Account is flat in ${contractId}` };
+  }
+
+  const isLong = position.type === POSITION_TYPES.LONG;
+
+  if ((action === 'EXIT_LONG' && !isLong) || (action === 'EXIT_SHORT' && isLong)) {
+    return {
+      position: null,
+      reason: `${action} ignored - position in ${contractId} is ${isLong ? 'long' : 'short'}`
+    };
+  }
+
+  // Partial exits are capped at the held size so an exit can never flip the position
+  const size = lots ? Math.min(lots, position.size) : position.size;
+
+  return {
+    position,
+    side: isLong ? 'SELL' : 'BUY',
+    size
+  };
+}
+
+/**
+ * Get open positions for an account
+ * @param {number} accountId - TopstepX account ID
+ * @returns {Promise<Array>} Open positions ({contractId, type, size, averagePrice, ...})
+ */
+async function getOpenPositions(accountId) {
+  const token = await getAccountToken(accountId);
+  return fetchOpenPositions(token, accountId);
+}
+
+/**
+ * Get a valid token for the login an account belongs to
+ * @param {number} accountId - TopstepX account ID
+ * @returns {Promise<string>} Auth token
+ */
+function getAccountToken(accountId) {
+  return authService.getAccessToken(accountManager.getLoginId(accountId));
+}
+
+/**
+ * Query /api/Position/searchOpen with an existing token
+ * @param {string} token - TopstepX auth token
+ * @param {number} accountId - TopstepX account ID
+ * @returns {Promise<Array>} Open positions
+ */
+async function fetchOpenPositions(token, accountId) {
+  const data = await brokerRequest(token, '/api/Position/searchOpen', { accountId: parseInt(accountId) });
+  return data.positions || [];
+}
+
+/**
+ * Close (or partially close) a position with the broker's close-position endpoints
+ * @param {number} accountId - TopstepX account ID
+ * @param {string} contractId - TopstepX contract ID
+ * @param {number} [size] - Contracts to close (omit to close the whole position)
+ * @returns {Promise<Object>} {success, error}
+ */
+async function closePosition(accountId, contractId, size) {
+  const apiPath = size ? '/api/Position/partialCloseContract' : '/api/Position/closeContract';
+
+  try {
+    const token = await getAccountToken(accountId);
+
+    const body = { accountId: parseInt(accountId), contractId };
+    if (size) {
+      body.size = size;
+    }
+
+    await brokerRequest(token, apiPath, body);
+
+    log.log(`✅ [OrderExecution] Position closed: ${contractId} on account ${accountId}${size ? ` (${size} contracts)` : ''}`);
+    return { success: true, accountId, contractId, size: size || null };
+
+  } catch (error) {
+    log.error(`❌ [OrderExecution] Close position failed:`, {
+      error: error.message,
+      accountId,
+      contractId,
+      size,
+      statusCode: error.response?.status,
+      responseData: error.response?.data
+    });
+
+    return { success: false, error: error.message, accountId, contractId };
+  }
+}
+
+/**
+ * Close every open position on an account
+ * @param {number} accountId - TopstepX account ID
+ * @returns {Promise<Object>} {success, accountId, closed: [contractId], failed: [{contractId, error}]}
+ */
+async function flattenAccount(accountId) {
+  let positions;
+
+  try {
+    positions = await getOpenPositions(accountId);
+  } catch (error) {
+    log.error(`❌ [OrderExecution] Could not list positions for account ${accountId}:`, error.message);
+    return { success: false, error: error.message, accountId, closed: [], failed: [] };
+  }
+
+  const closed = [];
+  const failed = [];
+
+  for (const position of positions.filter(p => p.size > 0)) {
+    const result = await closePosition(accountId, position.contractId);
+    if (result.success) {
+      closed.push(position.contractId);
+    } else {
+      failed.push({ contractId: position.contractId, error: result.error });
+    }
+  }
+
+  log.log(`[OrderExecution] Flatten on account ${accountId}: ${closed.length} closed, ${failed.length} failed`);
+
+  return {
+    success: failed.length === 0,
+    accountId,
+    closed,
+    failed
+  };
+}
+
+/**
+ * Cancel a working order
+ * @param {number} accountId - TopstepX account ID
+ * @param {number} orderId - TopstepX order ID
+ * @returns {Promise<Object>} {success, accountId, orderId, error}
+ */
+async function cancelOrder(accountId, orderId) {
+  try {
+    const token = await getAccountToken(accountId);
+    await brokerRequest(token, '/api/Order/cancel', {
+      accountId: parseInt(accountId),
+      orderId: parseInt(orderId)
+    });
+
+    log.log(`✅ [OrderExecution] Order ${orderId} cancelled on account ${accountId}`);
+    return { success: true, accountId, orderId };
+
+  } catch (error) {
+    log.error(`❌ [OrderExecution] Cancel failed:`, {
+      error: error.message,
+      accountId,
+      orderId,
+      statusCode: error.response?.status,
+      responseData: error.response?.data
+    });
+
+    return { success: false, error: error.message, accountId, orderId };
+  }
+}
+
+/**
+ * Modify price and/or size of a working order
+ * @param {Object} params - Modify parameters
+ * @param {number} params.accountId - TopstepX account ID
+ * @param {number} params.orderId - TopstepX order ID
+ * @param {number} [params.size] - New order size
+ * @param {number} [params.limitPrice] - New limit price
+ * @param {number} [params.stopPrice] - New stop price
+ * @returns {Promise<Object>} {success, accountId, orderId, error}
+ */
+async function modifyOrder({ accountId, orderId, size, limitPrice, stopPrice }) {
+  const validationErrors = [];
+
+  if (size === undefined && limitPrice === undefined && stopPrice === undefined) {
+    validationErrors.push('nothing to modify - provide size, limitPrice or stopPrice');
+  }
+  if (size !== undefined && (!Number.isInteger(size) || size <= 0)) {
+    validationErrors.push(`size must be a positive integer (got ${size})`);
+  }
+  if (limitPrice !== undefined && !isValidPrice(limitPrice)) {
+    validationErrors.push('limitPrice must be a positive number');
+  }
+  if (stopPrice !== undefined && !isValidPrice(stopPrice)) {
+    validationErrors.push('stopPrice must be a positive number');
+  }
+
+  if (validationErrors.length > 0) {
+    return {
+      success: false,
+      error: `Invalid modify: ${validationErrors.join('; ')}`,
+      validationErrors,
+      accountId,
+      orderId
+    };
+  }
+
+  try {
+    const token = await getAccountToken(accountId);
+
+    const body = { accountId: parseInt(accountId), orderId: parseInt(orderId) };
+    if (size !== undefined) body.size = size;
+    if (limitPrice !== undefined) body.limitPrice = limitPrice;
+    if (stopPrice !== undefined) body.stopPrice = stopPrice;
+
+    await brokerRequest(token, '/api/Order/modify', body);
+
+    log.log(`✅ [OrderExecution] Order ${orderId} modified on account ${accountId}:`, { size, limitPrice, stopPrice });
+    return { success: true, accountId, orderId, size, limitPrice, stopPrice };
+
+  } catch (error) {
+    log.error(`❌ [OrderExecution] Modify failed:`, {
+      error: error.message,
+      accountId,
+      orderId,
+      statusCode: error.response?.status,
+      responseData: error.response?.data
+    });
+
+    return { success: false, error: error.message, accountId, orderId };
+  }
+}
+
+/**
+ * Cancel every working order on an account
+ * @param {number} accountId - TopstepX account ID
+ * @returns {Promise<Object>} {success, accountId, cancelled: [orderId], failed: [{orderId, error}]}
+ */
+async function cancelAllOrders(accountId) {
+  let openOrders;
+
+  try {
+    openOrders = await getOpenOrders(accountId);
+  } catch (error) {
+    log.error(`❌ [OrderExecution] Could not list open orders for account ${accountId}:`, error.message);
+    return { success: false, error: error.message, accountId, cancelled: [], failed: [] };
+  }
+
+  const cancelled = [];
+  const failed = [];
+
+  for (const order of openOrders) {
+    const result = await cancelOrder(accountId, order.id);
+    if (result.success) {
+      cancelled.push(order.id);
+    } else {
+      failed.push({ orderId: order.id, error: result.error });
+    }
+  }
+
+  log.log(`[OrderExecution] Cancel-all on account ${accountId}: ${cancelled.length} cancelled, ${failed.length} failed`);
+
+  return {
+    success: failed.length === 0,
+    accountId,
+    cancelled,
+    failed
+  };
+}
+
+/**
+ * Get working orders for an account from the broker
+ * @param {number} accountId - TopstepX account ID
+ * @returns {Promise<Array>} Open orders ({id, contractId, type, side, size, limitPrice, stopPrice, ...})
+ */
+async function getOpenOrders(accountId) {
+  const token = await getAccountToken(accountId);
+  const data = await brokerRequest(token, '/api/Order/searchOpen', { accountId: parseInt(accountId) });
+  return data.orders || [];
+}
+
+/**
+ * Get an account's executions from the broker
+ * @param {number} accountId - TopstepX account ID
+ * @param {string} startTimestamp - ISO timestamp of the earliest trade to return
+ * @returns {Promise<Array>} Trades ({id, orderId, contractId, creationTimestamp, price, profitAndLoss, fees, side, size, voided})
+ */
+async function getTrades(accountId, startTimestamp) {
+  const token = await getAccountToken(accountId);
+  const data = await brokerRequest(token, '/api/Trade/search', { accountId: parseInt(accountId), startTimestamp });
+  return data.trades || [];
+}
+
+/**
+ * POST to the TopstepX API, treating success=false responses as errors
+ * Requests for paper accounts are answered by the local simulator instead.
+ * @param {string} token - TopstepX auth token
+ * @param {string} apiPath - API path (e.g. /api/Order/cancel)
+ * @param {Object} body - Request body
+ * @param {Object} [options] - {referencePrice} used by the simulator to fill market orders
+ * @returns {Promise<Object>} Response data
+ */
+async function brokerRequest(token, apiPath, body, options = {}) {
+  if (accountManager.isPaperTrading(body.accountId)) {
+    try {
+      return await paperBroker.request(apiPath, body, options);
+    } catch (error) {
+      // The simulator answered - its refusals are rejections, never lost requests
+      error.failureCode = FAILURE_CODES.BROKER_REJECTED;
+      throw error;
+    }
+  }
+
+  // Each account's requests go to the firm and login it was loaded from
+  const loginId = accountManager.getLoginId(body.accountId);
+
+  const response = await axios.post(`${brokerProfiles.getApiEndpoint(loginId)}${apiPath}`, body, {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    timeout: 10000
+  });
+
+  if (response.data && response.data.success === false) {
+    const error = new Error(response.data.errorMessage || `Request rejected (errorCode ${response.data.errorCode})`);
+    error.response = response;
+    error.failureCode = FAILURE_CODES.BROKER_REJECTED;
+    throw error;
+  }
+
+  return response.data || {};
+}
+
+/**
+ * Pick the FAILURE_CODES value for a failed submission
+ * @param {Error} error - Error thrown while submitting
+ * @param {string|null} sentAt - When the order went to the broker (null if it never did)
+ * @returns {string} Failure code
+ */
+function classifyFailure(error, sentAt) {
+  if (error.failureCode) return error.failureCode;
+  if (error.response) return FAILURE_CODES.BROKER_ERROR;
+  return sentAt ? FAILURE_CODES.NO_RESPONSE : FAILURE_CODES.SUBMISSION_FAILED;
+}
+
+/**
+ * Check whether an action reduces an existing position
+ * @param {string} action - Cloud signal action
+ * @returns {boolean} true for EXIT, EXIT_LONG and EXIT_SHORT
+ */
+function isExitAction(action) {
+  return action === 'EXIT' || action === 'EXIT_LONG' || action === 'EXIT_SHORT';
+}
+
 /**
  * Map cloud signal action to TopstepX order side
  * @param {string} action - Cloud signal action
@@ -115,7 +699,7 @@ function mapActionToSide(action) {
   const actionMap = {
     'ENTRY_LONG': 'BUY',
     'ENTRY_SHORT': 'SELL',
-    'EXIT': 'CLOSE', // Close position (TopstepX will determine direction)
+    'EXIT': 'CLOSE', // Side is taken from the live position (see planExit)
     'EXIT_LONG': 'SELL',
     'EXIT_SHORT': 'BUY'
   };
@@ -123,24 +707,21 @@ function mapActionToSide(action) {
   return actionMap[action] || null;
 }
 
-/**
- * Map symbol to TopstepX contract ID
- * @param {string} symbol - Instrument symbol (NQ, ES, etc.)
- * @returns {string|null} TopstepX contract ID or null if unknown
- */
-function mapSymbolToContractId(symbol) {
-  const symbolMap = {
-    'NQ': 'CON.F.US.ENQ.Z25', // NQ December 2025
-    'ES': 'CON.F.US.EP.Z25',  // ES December 2025
-    'YM': 'CON.F.US.YM.Z25',  // YM December 2025
-    'RTY': 'CON.F.US.RTY.Z25' // RTY December 2025
-  };
-
-  return symbolMap[symbol] || null;
-}
-
 module.exports = {
+  ORDER_TYPES,
+  FAILURE_CODES,
   submitOrder,
-  mapActionToSide,
-  mapSymbolToContractId
+  placeOrder,
+  validateOrder,
+  buildOrderPayload,
+  getOpenPositions,
+  closePosition,
+  flattenAccount,
+  cancelOrder,
+  modifyOrder,
+  cancelAllOrders,
+  getOpenOrders,
+  getTrades,
+  isExitAction,
+  mapActionToSide
 };
@@ -0,0 +1,337 @@
+// services/orderTracker.js
+// Order Lifecycle Tracking - Per-account order book fed by submissions and User Hub events
+
+// Lifecycle statuses an order moves through
+const ORDER_STATUS = {
+  PENDING: 'pending',
+  WORKING: 'working',
+  PARTIALLY_FILLED: 'partially_filled',
+  FILLED: 'filled',
+  CANCELLED: 'cancelled',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired'
+};
+
+// TopstepX OrderStatus enum -> lifecycle status
+const BROKER_STATUS_MAP = {
+  0: ORDER_STATUS.PENDING,   // None
+  1: ORDER_STATUS.WORKING,   // Open
+  2: ORDER_STATUS.FILLED,    // Filled
+  3: ORDER_STATUS.CANCELLED, // Cancelled
+  4: ORDER_STATUS.EXPIRED,   // Expired
+  5: ORDER_STATUS.REJECTED,  // Rejected
+  6: ORDER_STATUS.PENDING    // Pending
+};
+
+const TERMINAL_STATUSES = [
+  ORDER_STATUS.FILLED,
+  ORDER_STATUS.CANCELLED,
+  ORDER_STATUS.REJECTED,
+  ORDER_STATUS.EXPIRED
+];
+
+let orderBooks = new Map(); // accountId -> Map(orderId -> order)
+let eventHandlers = {
+  onOrderChanged: null
+};
+
+/**
+ * Initialize the tracker with change listeners
+ * @param {object} handlers - {onOrderChanged(order, previousStatus)}
+ */
+function initialize(handlers = {}) {
+  eventHandlers = { ...eventHandlers, ...handlers };
+  console.log('[OrderTracker] Initialized');
+}
+
+/**
+ * Start tracking an order we just placed
+ * @param {object} submission - Successful submitOrder result (orderId, accountId, contractId, side, ...)
+ * @param {object} [meta] - Extra linkage such as {directiveId}
+ * @returns {object|null} Tracked order
+ */
+function trackSubmittedOrder(submission, meta = {}) {
+  if (!submission || submission.orderId === undefined || submission.orderId === null) {
+    return null;
+  }
+
+  const order = getOrCreateOrder(submission.accountId, submission.orderId);
+  const previousStatus = order.status;
+
+  // The hub may already have reported on this order - never overwrite broker-reported state
+  Object.assign(order, {
+    contractId: order.contractId || submission.contractId,
+    symbol: submission.symbol,
+    side: order.side || submission.side,
+    orderType: submission.orderType,
+    quantity: order.quantity || submission.quantity,
+    limitPrice: order.limitPrice ?? submission.limitPrice ?? null,
+    stopPrice: order.stopPrice ?? submission.stopPrice ?? null,
+    submittedAt: submission.submittedAt,
+    ...meta
+  });
+
+  notifyChange(order, previousStatus);
+  return order;
+}
+
+/**
+ * Apply an OrderUpdate event from the User Hub
+ * @param {object} orderData - TopstepX order (id, accountId, status, size, fillVolume, filledPrice, ...)
+ * @returns {object|null} Tracked order
+ */
+function applyOrderUpdate(orderData) {
+  const orderId = orderData.id ?? orderData.orderId;
+
+  if (orderId === undefined || orderId === null || !orderData.accountId) {
+    console.warn('[OrderTracker] Ignoring order update without id/accountId');
+    return null;
+  }
+
+  const order = getOrCreateOrder(orderData.accountId, orderId);
+  const previousStatus = order.status;
+
+  Object.assign(order, {
+    contractId: orderData.contractId || order.contractId,
+    side: orderData.side !== undefined ? (orderData.side === 0 ? 'BUY' : 'SELL') : order.side,
+    quantity: orderData.size ?? order.quantity,
+    limitPrice: orderData.limitPrice ?? order.limitPrice,
+    stopPrice: orderData.stopPrice ?? order.stopPrice,
+    brokerStatus: orderData.status
+  });
+
+  // fillVolume is the broker's running total - it overlaps the trade events, never add the two
+  if (typeof orderData.fillVolume === 'number' && orderData.fillVolume > order.reportedFillVolume) {
+    order.reportedFillVolume = orderData.fillVolume;
+
+    // Trades carry exact prices; the order's price is only used while it is ahead of them
+    if (orderData.filledPrice && order.reportedFillVolume > order.tradeFillVolume) {
+      order.averageFillPrice = orderData.filledPrice;
+    }
+  }
+  syncFilledQuantity(order);
+
+  setStatus(order, resolveStatus(order, BROKER_STATUS_MAP[orderData.status]));
+  notifyChange(order, previousStatus);
+  return order;
+}
+
+/**
+ * Apply a Fill event from the User Hub
+ * @param {object} fillData - TopstepX trade (id, accountId, orderId, price, size, ...)
+ * @returns {object|null} Tracked order, or null if the fill has no order
+ */
+function applyFill(fillData) {
+  if (fillData.orderId === undefined || fillData.orderId === null || !fillData.accountId) {
+    return null;
+  }
+
+  const order = getOrCreateOrder(fillData.accountId, fillData.orderId);
+  const previousStatus = order.status;
+
+  // Ignore redelivered fills
+  const fillKey = fillData.id !== undefined ? String(fillData.id) : null;
+  if (fillKey && order.fillIds.includes(fillKey)) {
+    return order;
+  }
+  if (fillKey) {
+    order.fillIds.push(fillKey);
+  }
+
+  const fillSize = Math.abs(fillData.size || 0);
+
+  // Volume-weighted average over the trades themselves
+  if (fillSize > 0 && typeof fillData.price === 'number') {
+    order.tradeFillValue += fillData.price * fillSize;
+  }
+  order.tradeFillVolume += fillSize;
+
+  if (order.tradeFillVolume > 0 && order.tradeFillVolume >= order.reportedFillVolume) {
+    order.averageFillPrice = order.tradeFillValue / order.tradeFillVolume;
+  }
+
+  syncFilledQuantity(order);
+  order.lastFillAt = fillData.creationTimestamp || new Date().toISOString();
+  order.contractId = order.contractId || fillData.contractId;
+
+  const nextStatus = order.quantity && order.filledQuantity >= order.quantity
+    ? ORDER_STATUS.FILLED
+    : ORDER_STATUS.PARTIALLY_FILLED;
+
+  setStatus(order, resolveStatus(order, nextStatus));
+  notifyChange(order, previousStatus);
+  return order;
+}
+
+/**
+ * Filled quantity from whichever source is further along
+ * Order updates (fillVolume) and trade events report the same fills, in either order.
+ * @param {object} order - Tracked order
+ */
+function syncFilledQuantity(order) {
+  order.filledQuantity = Math.max(order.reportedFillVolume, order.tradeFillVolume);
+}
+
+/**
+ * Pick the status to apply, keeping terminal states sticky and deriving partial fills
+ * @param {object} order - Tracked order
+ * @param {string|undefined} candidate - Status implied by the event
+ * @returns {string} Status to apply
+ */
+function resolveStatus(order, candidate) {
+  if (isTerminal(order.status)) {
+    return order.status;
+  }
+
+  if (!candidate) {
+    return order.status;
+  }
+
+  if (candidate === ORDER_STATUS.WORKING && order.filledQuantity > 0) {
+    return ORDER_STATUS.PARTIALLY_FILLED;
+  }
+
+  return candidate;
+}
+
+/**
+ * Set an order status, stamping the transition time
+ * @param {object} order - Tracked order
+ * @param {string} status - New status
+ */
+function setStatus(order, status) {
+  if (order.status === status) return;
+
+  order.status = status;
+  order.statusHistory.push({ status, at: new Date().toISOString() });
+}
+
+/**
+ * Fire the change listener if the order's status moved
+ * @param {object} order - Tracked order
+ * @param {string} previousStatus - Status before the event
+ */
+function notifyChange(order, previousStatus) {
+  order.updatedAt = new Date().toISOString();
+
+  if (order.status !== previousStatus) {
+    console.log(`[OrderTracker] Order ${order.orderId} (account ${order.accountId}): ${previousStatus} → ${order.status}`);
+  }
+
+  if (eventHandlers.onOrderChanged) {
+    eventHandlers.onOrderChanged(order, previousStatus);
+  }
+}
+
+/**
+ * Get an order from the book, creating a pending entry if it's new
+ * @param {number} accountId - Account ID
+ * @param {number} orderId - TopstepX order ID
+ * @returns {object} Tracked order
+ */
+function getOrCreateOrder(accountId, orderId) {
+  const accountKey = Number(accountId);
+
+  if (!orderBooks.has(accountKey)) {
+    orderBooks.set(accountKey, new Map());
+  }
+
+  const book = orderBooks.get(accountKey);
+  const orderKey = String(orderId);
+
+  if (!book.has(orderKey)) {
+    book.set(orderKey, {
+      orderId,
+      accountId: accountKey,
+      status: ORDER_STATUS.PENDING,
+      quantity: null,
+      filledQuantity: 0,
+      reportedFillVolume: 0, // Broker's fillVolume from order updates
+      tradeFillVolume: 0, // Sum of trade event sizes
+      tradeFillValue: 0, // Sum of trade price * size
+      averageFillPrice: null,
+      fillIds: [],
+      statusHistory: [{ status: ORDER_STATUS.PENDING, at: new Date().toISOString() }],
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  return book.get(orderKey);
+}
+
+/**
+ * Check whether a status is final
+ * @param {string} status - Lifecycle status
+ * @returns {boolean} true for filled, cancelled, rejected and expired
+ */
+function isTerminal(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+/**
+ * Find an order by ID
+ * @param {number} orderId - TopstepX order ID
+ * @param {number} [accountId] - Account ID (searches all books when omitted)
+ * @returns {object|null} Tracked order or null
+ */
+function getOrder(orderId, accountId) {
+  const orderKey = String(orderId);
+
+  if (accountId !== undefined) {
+    const book = orderBooks.get(Number(accountId));
+    return (book && book.get(orderKey)) || null;
+  }
+
+  for (const book of orderBooks.values()) {
+    if (book.has(orderKey)) {
+      return book.get(orderKey);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get all tracked orders, optionally for one account
+ * @param {number} [accountId] - Account ID
+ * @returns {Array} Tracked orders, newest first
+ */
+function getOrders(accountId) {
+  const books = accountId !== undefined
+    ? [orderBooks.get(Number(accountId))].filter(Boolean)
+    : Array.from(orderBooks.values());
+
+  return books
+    .flatMap(book => Array.from(book.values()))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Get orders that are still live at the broker
+ * @param {number} [accountId] - Account ID
+ * @returns {Array} Pending, working and partially filled orders
+ */
+function getWorkingOrders(accountId) {
+  return getOrders(accountId).filter(order => !isTerminal(order.status));
+}
+
+/**
+ * Clear all order books
+ */
+function reset() {
+  orderBooks.clear();
+  console.log('[OrderTracker] State reset');
+}
+
+module.exports = {
+  ORDER_STATUS,
+  initialize,
+  trackSubmittedOrder,
+  applyOrderUpdate,
+  applyFill,
+  isTerminal,
+  getOrder,
+  getOrders,
+  getWorkingOrders,
+  reset
+};
@@ -0,0 +1,411 @@
+// services/paperBroker.js
+// Paper Broker - Local simulation of the TopstepX order endpoints for paper-trading accounts
+
+const config = require('../config');
+const contractResolver = require('./contractResolver');
+const accountManager = require('./accountManager');
+
+// TopstepX enums mirrored by the simulator
+const ORDER_TYPE = { LIMIT: 1, MARKET: 2, STOP_LIMIT: 3, STOP: 4 };
+const ORDER_STATUS = { OPEN: 1, FILLED: 2, CANCELLED: 3 };
+const SIDE = { BUY: 0, SELL: 1 };
+const POSITION_TYPE = { LONG: 1, SHORT: 2 };
+
+let eventHandlers = {
+  onOrderUpdate: null,
+  onFill: null,
+  onPositionUpdate: null,
+  onAccountUpdate: null
+};
+
+let workingOrders = new Map(); // orderId -> simulated order
+let lastPrices = new Map(); // contractId -> last known price
+let nextId = 1;
+
+/**
+ * Initialize the simulator with the same handlers the User Hub feeds
+ * @param {object} handlers - {onOrderUpdate, onFill, onPositionUpdate, onAccountUpdate}
+ */
+function initialize(handlers = {}) {
+  eventHandlers = { ...eventHandlers, ...handlers };
+  console.log('[PaperBroker] Initialized');
+}
+
+/**
+ * Handle a TopstepX API request for a paper account
+ * Responses have the same shape as the real endpoints.
+ * @param {string} apiPath - API path (e.g. /api/Order/place)
+ * @param {object} body - Request body
+ * @param {object} [options] - {referencePrice} price used to fill market orders
+ * @returns {object} Response data
+ */
+function request(apiPath, body, options = {}) {
+  switch (apiPath) {
+    case '/api/Order/place':
+      return placeOrder(body, options.referencePrice);
+    case '/api/Order/cancel':
+      return cancelOrder(body);
+    case '/api/Order/modify':
+      return modifyOrder(body);
+    case '/api/Order/searchOpen':
+      return { success: true, orders: getWorkingOrders(body.accountId) };
+    case '/api/Position/searchOpen':
+      return { success: true, positions: getPositions(body.accountId) };
+    case '/api/Position/closeContract':
+    case '/api/Position/partialCloseContract':
+      return closeContract(body);
+    default:
+      throw new Error(`Paper trading does not support ${apiPath}`);
+  }
+}
+
+/**
+ * Simulate /api/Order/place
+ * Marketable orders fill immediately; others rest until a later price reaches them.
+ * @param {object} payload - Order payload (accountId, contractId, type, side, size, limitPrice, stopPrice)
+ * @param {number} [referencePrice] - Current price, normally the directive price
+ * @returns {object} {success, orderId}
+ */
+function placeOrder(payload, referencePrice) {
+  // A fresh price may trigger orders already resting on this contract
+  if (referencePrice > 0) {
+    updatePrice(payload.contractId, referencePrice);
+  }
+
+  const price = referencePrice > 0 ? referencePrice : lastPrices.get(payload.contractId);
+
+  if (payload.type === ORDER_TYPE.MARKET && !(price > 0)) {
+    throw new Error('Paper market order needs a directive price to fill against');
+  }
+
+  const order = {
+    // Negative IDs can never collide with real TopstepX order IDs
+    id: -(nextId++),
+    accountId: Number(payload.accountId),
+    contractId: payload.contractId,
+    creationTimestamp: new Date().toISOString(),
+    updateTimestamp: new Date().toISOString(),
+    status: ORDER_STATUS.OPEN,
+    type: payload.type,
+    side: payload.side,
+    size: payload.size,
+    limitPrice: payload.limitPrice ?? null,
+    stopPrice: payload.stopPrice ?? null,
+    fillVolume: 0,
+    filledPrice: null
+  };
+
+  const fillPrice = price > 0 ? getFillPrice(order, price) : null;
+
+  if (fillPrice !== null) {
+    fillOrder(order, fillPrice);
+  } else {
+    workingOrders.set(order.id, order);
+    emit('onOrderUpdate', { ...order });
+    console.log(`[PaperBroker] Order ${order.id} resting on ${order.contractId} (account ${order.accountId})`);
+  }
+
+  return { success: true, orderId: order.id };
+}
+
+/**
+ * Simulate /api/Order/cancel
+ * @param {object} body - {accountId, orderId}
+ * @returns {object} {success}
+ */
+function cancelOrder({ orderId }) {
+  const order = workingOrders.get(Number(orderId));
+  if (!order) {
+    throw new Error(`Paper order ${orderId} is not working`);
+  }
+
+  workingOrders.delete(order.id);
+  order.status = ORDER_STATUS.CANCELLED;
+  order.updateTimestamp = new Date().toISOString();
+  emit('onOrderUpdate', { ...order });
+
+  return { success: true };
+}
+
+/**
+ * Simulate /api/Order/modify
+ * @param {object} body - {accountId, orderId, size, limitPrice, stopPrice}
+ * @returns {object} {success}
+ */
+function modifyOrder({ orderId, size, limitPrice, stopPrice }) {
+  const order = workingOrders.get(Number(orderId));
+  if (!order) {
+    throw new Error(`Paper order ${orderId} is not working`);
+  }
+
+  if (size !== undefined) order.size = size;
+  if (limitPrice !== undefined) order.limitPrice = limitPrice;
+  if (stopPrice !== undefined) order.stopPrice = stopPrice;
+  order.updateTimestamp = new Date().toISOString();
+  emit('onOrderUpdate', { ...order });
+
+  // The new levels may already be through the last known price
+  const price = lastPrices.get(order.contractId);
+  if (price > 0) {
+    updatePrice(order.contractId, price);
+  }
+
+  return { success: true };
+}
+
+/**
+ * Simulate /api/Position/closeContract and partialCloseContract at the last known price
+ * @param {object} body - {accountId, contractId, size}
+ * @returns {object} {success}
+ */
+function closeContract({ accountId, contractId, size }) {
+  const position = getPositions(accountId).find(p => p.contractId === contractId);
+  if (!position) {
+    throw new Error(`No paper position in ${contractId}`);
+  }
+
+  const price = lastPrices.get(contractId) || position.averagePrice;
+
+  placeOrder({
+    accountId,
+    contractId,
+    type: ORDER_TYPE.MARKET,
+    side: position.type === POSITION_TYPE.LONG ? SIDE.SELL : SIDE.BUY,
+    size: size ? Math.min(size, position.size) : position.size
+  }, price);
+
+  return { success: true };
+}
+
+/**
+ * Feed a new market price - fills any resting order it reaches
+ * @param {string} contractId - TopstepX contract ID
+ * @param {number} price - Current price
+ */
+function updatePrice(contractId, price) {
+  lastPrices.set(contractId, price);
+
+  Array.from(workingOrders.values())
+    .filter(order => order.contractId === contractId)
+    .forEach(order => {
+      const fillPrice = getFillPrice(order, price);
+      if (fillPrice !== null && workingOrders.has(order.id)) {
+        workingOrders.delete(order.id);
+        fillOrder(order, fillPrice);
+      }
+    });
+}
+
+/**
+ * Decide whether an order fills at a price, and where
+ * @param {object} order - Simulated order
+ * @param {number} price - Current price
+ * @returns {number|null} Fill price, or null if the order keeps resting
+ */
+function getFillPrice(order, price) {
+  const isBuy = order.side === SIDE.BUY;
+
+  switch (order.type) {
+    case ORDER_TYPE.MARKET:
+      return applySlippage(order, price);
+
+    case ORDER_TYPE.LIMIT:
+      return (isBuy ? price <= order.limitPrice : price >= order.limitPrice) ? price : null;
+
+    case ORDER_TYPE.STOP:
+      return (isBuy ? price >= order.stopPrice : price <= order.stopPrice) ? applySlippage(order, price) : null;
+
+    case ORDER_TYPE.STOP_LIMIT: {
+      const triggered = isBuy ? price >= order.stopPrice : price <= order.stopPrice;
+      const marketable = isBuy ? price <= order.limitPrice : price >= order.limitPrice;
+      return triggered && marketable ? price : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Move a fill price against the order by PAPER_SLIPPAGE_TICKS
+ * @param {object} order - Simulated order
+ * @param {number} price - Reference price
+ * @returns {number} Slipped price
+ */
+function applySlippage(order, price) {
+  const details = contractResolver.getContractDetailsById(order.contractId);
+  const tickSize = details && details.tickSize;
+
+  if (!tickSize || !config.PAPER_SLIPPAGE_TICKS) {
+    return price;
+  }
+
+  const direction = order.side === SIDE.BUY ? 1 : -1;
+  const decimals = (String(tickSize).split('.')[1] || '').length;
+  return Number((price + direction * config.PAPER_SLIPPAGE_TICKS * tickSize).toFixed(decimals));
+}
+
+/**
+ * Fill an order completely, update the simulated position and PnL, and emit hub-style events
+ * @param {object} order - Simulated order
+ * @param {number} price - Fill price
+ */
+function fillOrder(order, price) {
+  const now = new Date().toISOString();
+
+  order.status = ORDER_STATUS.FILLED;
+  order.fillVolume = order.size;
+  order.filledPrice = price;
+  order.updateTimestamp = now;
+
+  const { position, realizedPnl } = applyToPosition(order, price);
+
+  const trade = {
+    id: -(nextId++),
+    accountId: order.accountId,
+    contractId: order.contractId,
+    creationTimestamp: now,
+    price,
+    profitAndLoss: realizedPnl,
+    fees: 0,
+    side: order.side,
+    size: order.size,
+    voided: false,
+    orderId: order.id,
+    paper: true
+  };
+
+  console.log(`[PaperBroker] 📄 Filled order ${order.id}: ${order.side === SIDE.BUY ? 'BUY' : 'SELL'} ${order.size} ${order.contractId} @ ${price}`);
+
+  lastPrices.set(order.contractId, price);
+
+  const orderEvent = { ...order };
+  const account = accountManager.getAccount(order.accountId);
+  emit('onOrderUpdate', orderEvent);
+  emit('onFill', trade);
+  emit('onPositionUpdate', position);
+  emit('onAccountUpdate', { accountId: order.accountId, paperPnl: account ? account.paperPnl : 0, paper: true });
+}
+
+/**
+ * Apply a fill to the account's simulated position (accountManager's paper fields, never the live ones)
+ * @param {object} order - Filled order
+ * @param {number} price - Fill price
+ * @returns {object} {position, realizedPnl} - position has size 0 when flat; realizedPnl is null for opening fills
+ */
+function applyToPosition(order, price) {
+  const existing = getPositions(order.accountId).find(p => p.contractId === order.contractId);
+  const held = existing ? (existing.type === POSITION_TYPE.LONG ? existing.size : -existing.size) : 0;
+  const traded = order.side === SIDE.BUY ? order.size : -order.size;
+  const net = held + traded;
+
+  let averagePrice = existing ? existing.averagePrice : price;
+  let realizedPnl = null;
+
+  if (held === 0 || Math.sign(held) === Math.sign(traded)) {
+    // Opening or adding - blend the average price
+    averagePrice = (Math.abs(held) * averagePrice + order.size * price) / (Math.abs(held) + order.size);
+  } else {
+    // Reducing, closing or flipping - realize PnL on the closed part
+    const closed = Math.min(Math.abs(held), order.size);
+    realizedPnl = (price - averagePrice) * closed * Math.sign(held) * getPointValue(order.contractId);
+
+    const account = accountManager.getAccount(order.accountId);
+    accountManager.updatePaperPnl(order.accountId, ((account && account.paperPnl) || 0) + realizedPnl);
+
+    if (Math.sign(net) !== Math.sign(held)) {
+      averagePrice = price;
+    }
+  }
+
+  const position = {
+    id: existing ? existing.id : -(nextId++),
+    accountId: order.accountId,
+    contractId: order.contractId,
+    creationTimestamp: existing ? existing.creationTimestamp : new Date().toISOString(),
+    type: net >= 0 ? POSITION_TYPE.LONG : POSITION_TYPE.SHORT,
+    size: Math.abs(net),
+    averagePrice,
+    paper: true
+  };
+
+  accountManager.upsertPaperPosition(order.accountId, position);
+  return { position, realizedPnl };
+}
+
+/**
+ * Dollar value of a one-point move for a contract
+ * @param {string} contractId - TopstepX contract ID
+ * @returns {number} Point value (1 when contract details are unknown)
+ */
+function getPointValue(contractId) {
+  const details = contractResolver.getContractDetailsById(contractId);
+
+  if (details && details.tickSize && details.tickValue) {
+    return details.tickValue / details.tickSize;
+  }
+
+  console.warn(`[PaperBroker] No tick value for ${contractId} - PnL reported in points`);
+  return 1;
+}
+
+/**
+ * Get an account's simulated positions
+ * @param {number} accountId - Account ID
+ * @returns {Array} Positions in TopstepX shape
+ */
+function getPositions(accountId) {
+  const account = accountManager.getAccount(Number(accountId));
+  return account ? account.paperPositions.filter(p => p.size > 0) : [];
+}
+
+/**
+ * Get an account's resting simulated orders
+ * @param {number} accountId - Account ID
+ * @returns {Array} Orders in TopstepX shape
+ */
+function getWorkingOrders(accountId) {
+  return Array.from(workingOrders.values())
+    .filter(order => order.accountId === Number(accountId))
+    .map(order => ({ ...order }));
+}
+
+/**
+ * Cancel every resting simulated order on an account (used when paper mode is switched off)
+ * @param {number} accountId - Account ID
+ * @returns {number} Orders cancelled
+ */
+function cancelAccountOrders(accountId) {
+  const orders = getWorkingOrders(accountId);
+  orders.forEach(order => cancelOrder({ accountId, orderId: order.id }));
+  return orders.length;
+}
+
+/**
+ * Deliver an event on the next tick, like a hub message arriving after the HTTP response
+ * @param {string} handlerName - Event handler name
+ * @param {object} data - Event payload
+ */
+function emit(handlerName, data) {
+  const handler = eventHandlers[handlerName];
+  if (handler) {
+    setImmediate(() => handler(data));
+  }
+}
+
+/**
+ * Clear all simulated state
+ */
+function reset() {
+  workingOrders.clear();
+  lastPrices.clear();
+  console.log('[PaperBroker] State reset');
+}
+
+module.exports = {
+  initialize,
+  request,
+  updatePrice,
+  cancelAccountOrders,
+  reset
+};
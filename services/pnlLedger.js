@@ -0,0 +1,422 @@
+// services/pnlLedger.js
+// PnL Ledger - FIFO lot matching of fills into round trips for realized PnL per trade, symbol, account and strategy
+
+const config = require('../config');
+const accountManager = require('./accountManager');
+const directiveJournal = require('./directiveJournal');
+const instrumentRegistry = require('./instrumentRegistry');
+const orderExecutionService = require('./orderExecutionService');
+const sessionCalendar = require('./sessionCalendar');
+
+// A trading day can open two calendar days earlier (Sunday evening for Monday)
+const TRADE_LOOKBACK_MS = 3 * 24 * 60 * 60 * 1000;
+
+let lots = new Map(); // `[paper:]${accountId}:${contractId}` -> open lots, oldest first
+let roundTrips = []; // Round trips closed in the current trading day
+let discrepancies = []; // Computed vs broker PnL mismatches in the current trading day
+let processedTradeIds = new Set();
+let queues = new Map(); // accountId -> tail of the account's fill processing chain
+let accountChecks = new Map(); // accountId -> pending account-level comparison timer
+let tradingDay = null;
+let eventHandlers = {
+  onUpdate: null,
+  onDiscrepancy: null
+};
+
+/**
+ * Initialize the ledger
+ * Nothing is loaded from disk: the startup reconciliation replays today's broker trades through applyFill.
+ * @param {object} handlers - {onUpdate(accountId), onDiscrepancy(discrepancy)}
+ */
+function initialize(handlers = {}) {
+  eventHandlers = { ...eventHandlers, ...handlers };
+  tradingDay = sessionCalendar.getTradingDay();
+}
+
+/**
+ * Match a fill against the account's open lots (fills for one account are processed in order)
+ * Broker fills also schedule the account-level comparison.
+ * @param {object} fill - TopstepX trade {id, accountId, orderId, contractId, side, size, price, fees, profitAndLoss, creationTimestamp}
+ * @returns {Promise<void>}
+ */
+function applyFill(fill) {
+  const key = String(fill.accountId);
+  const previous = queues.get(key) || Promise.resolve();
+
+  const next = previous
+    .then(() => processFill(fill))
+    .catch(error => console.error(`[PnlLedger] Failed to process fill ${fill.id}:`, error.message));
+
+  queues.set(key, next);
+
+  if (!fill.paper) {
+    checkAccount(fill.accountId);
+  }
+
+  return next;
+}
+
+/**
+ * Close opposite lots first-in-first-out and open a lot with the remainder
+ * @param {object} fill - TopstepX trade
+ */
+async function processFill(fill) {
+  // Paper trade IDs restart with every run, so they get their own namespace
+  const tradeKey = fill.id !== undefined && fill.id !== null ? `${fill.paper ? 'paper' : 'broker'}:${fill.id}` : null;
+  if (tradeKey && processedTradeIds.has(tradeKey)) return;
+  if (tradeKey) processedTradeIds.add(tradeKey);
+
+  const size = Math.abs(fill.size || 0);
+  if (fill.voided || size === 0 || typeof fill.price !== 'number') return;
+
+  rollTradingDay();
+
+  const instrument = await instrumentRegistry.getInstrument(fill.contractId);
+  const pointValue = instrument ? instrument.pointValue : null;
+  const link = getDirectiveLink(fill.orderId);
+  const exit = {
+    tradeId: fill.id,
+    direction: fill.side === 0 ? 1 : -1,
+    price: fill.price,
+    at: fill.creationTimestamp || new Date().toISOString(),
+    feePerContract: (fill.fees || 0) / size + config.COMMISSION_PER_CONTRACT,
+    symbol: link.symbol || (instrument ? instrument.name : fill.contractId),
+    strategyConfigId: link.strategyConfigId
+  };
+
+  // Simulated fills never close live lots (a paper account can still hold broker positions)
+  const lotKey = `${fill.paper ? 'paper:' : ''}${fill.accountId}:${fill.contractId}`;
+  const open = lots.get(lotKey) || [];
+  const closed = [];
+  let remaining = size;
+
+  while (remaining > 0 && open.length > 0 && open[0].direction !== exit.direction) {
+    const lot = open[0];
+    const quantity = Math.min(lot.size, remaining);
+
+    closed.push(buildRoundTrip(fill, lot, exit, quantity, pointValue));
+    lot.size -= quantity;
+    remaining -= quantity;
+
+    if (lot.size === 0) open.shift();
+  }
+
+  if (remaining > 0 && closed.length === 0 && fill.profitAndLoss !== null && fill.profitAndLoss !== undefined) {
+    // The broker says this fill closed a position opened before the ledger's history (e.g. a previous session)
+    closed.push(buildUnmatchedRoundTrip(fill, exit, remaining));
+  } else if (remaining > 0) {
+    open.push({ ...exit, size: remaining });
+  }
+
+  if (open.length > 0) {
+    lots.set(lotKey, open);
+  } else {
+    lots.delete(lotKey);
+  }
+
+  if (closed.length === 0) return;
+
+  roundTrips.push(...closed);
+  checkFill(fill, closed);
+
+  if (eventHandlers.onUpdate) {
+    eventHandlers.onUpdate(fill.accountId);
+  }
+}
+
+/**
+ * Build a round trip from an open lot and the fill that closed (part of) it
+ * @param {object} fill - Closing fill
+ * @param {object} lot - Open lot
+ * @param {object} exit - Closing side details
+ * @param {number} quantity - Contracts matched
+ * @param {number|null} pointValue - Dollars per point (null when unknown)
+ * @returns {object} Round trip
+ */
+function buildRoundTrip(fill, lot, exit, quantity, pointValue) {
+  const grossPnl = pointValue !== null
+    ? roundCents((exit.price - lot.price) * quantity * pointValue * lot.direction)
+    : null;
+  const fees = roundCents(quantity * (lot.feePerContract + exit.feePerContract));
+
+  return {
+    id: `${fill.accountId}-${lot.tradeId}-${exit.tradeId}`,
+    accountId: fill.accountId,
+    contractId: fill.contractId,
+    symbol: lot.symbol || exit.symbol,
+    strategyConfigId: lot.strategyConfigId || exit.strategyConfigId,
+    side: lot.direction > 0 ? 'LONG' : 'SHORT',
+    size: quantity,
+    entryPrice: lot.price,
+    exitPrice: exit.price,
+    entryAt: lot.at,
+    exitAt: exit.at,
+    grossPnl,
+    fees,
+    netPnl: grossPnl !== null ? roundCents(grossPnl - fees) : null,
+    matched: true,
+    paper: !!fill.paper
+  };
+}
+
+/**
+ * Round trip for a closing fill whose entry the ledger never saw - the broker's PnL is used as is
+ * @param {object} fill - Closing fill
+ * @param {object} exit - Closing side details
+ * @param {number} quantity - Contracts closed
+ * @returns {object} Round trip
+ */
+function buildUnmatchedRoundTrip(fill, exit, quantity) {
+  const fees = roundCents(quantity * exit.feePerContract);
+
+  return {
+    id: `${fill.accountId}-unmatched-${exit.tradeId}`,
+    accountId: fill.accountId,
+    contractId: fill.contractId,
+    symbol: exit.symbol,
+    strategyConfigId: exit.strategyConfigId,
+    side: exit.direction > 0 ? 'SHORT' : 'LONG',
+    size: quantity,
+    entryPrice: null,
+    exitPrice: exit.price,
+    entryAt: null,
+    exitAt: exit.at,
+    grossPnl: fill.profitAndLoss,
+    fees,
+    netPnl: roundCents(fill.profitAndLoss - fees),
+    matched: false,
+    paper: !!fill.paper
+  };
+}
+
+/**
+ * Compare a closing fill's computed PnL with the PnL the broker reported on the trade
+ * @param {object} fill - Closing fill
+ * @param {Array} closed - Round trips the fill closed
+ */
+function checkFill(fill, closed) {
+  if (fill.profitAndLoss === null || fill.profitAndLoss === undefined) return;
+  if (closed.some(trip => !trip.matched || trip.grossPnl === null)) return;
+
+  const computed = roundCents(closed.reduce((sum, trip) => sum + trip.grossPnl, 0));
+  if (Math.abs(computed - fill.profitAndLoss) > config.PNL_DISCREPANCY_TOLERANCE) {
+    flag({
+      type: 'trade',
+      accountId: fill.accountId,
+      tradeId: fill.id,
+      computed,
+      broker: fill.profitAndLoss,
+      message: `Trade ${fill.id}: computed ${formatAmount(computed)}, broker ${formatAmount(fill.profitAndLoss)}`
+    });
+  }
+}
+
+/**
+ * Compare an account's computed realized PnL for the day with the broker's value once its updates settle
+ * Called after broker fills and balance updates. The balance update usually arrives before the trade that caused it,
+ * so the comparison runs PNL_ACCOUNT_CHECK_DELAY_MS after the last call, and a mismatch is only flagged if it is
+ * still there one delay later.
+ * @param {number} accountId - Account ID
+ */
+function checkAccount(accountId) {
+  scheduleAccountCheck(accountId, false);
+}
+
+/**
+ * (Re)start an account's comparison timer
+ * @param {number} accountId - Account ID
+ * @param {boolean} confirming - true when re-checking a mismatch before flagging it
+ */
+function scheduleAccountCheck(accountId, confirming) {
+  clearTimeout(accountChecks.get(accountId));
+
+  accountChecks.set(accountId, setTimeout(() => {
+    accountChecks.delete(accountId);
+    compareAccount(accountId, confirming)
+      .catch(error => console.error(`[PnlLedger] Failed to check account ${accountId}:`, error.message));
+  }, config.PNL_ACCOUNT_CHECK_DELAY_MS));
+}
+
+/**
+ * Compare an account's computed realized PnL for the day with the broker's value
+ * Waits for fills still being processed. Only one account-level discrepancy is kept per account.
+ * @param {number} accountId - Account ID
+ * @param {boolean} confirming - true to flag a mismatch, false to re-check it first
+ */
+async function compareAccount(accountId, confirming) {
+  await (queues.get(String(accountId)) || Promise.resolve());
+  rollTradingDay();
+
+  // Trade history for an account in paper mode comes from the simulator, not the broker
+  if (!accountManager.getAccount(accountId) || accountManager.isPaperTrading(accountId)) return;
+
+  // The broker's figure never includes simulated trades
+  const summary = summarize(roundTrips.filter(trip => trip.accountId === accountId && !trip.paper));
+  if (!summary.complete) return;
+
+  const brokerPnl = await getBrokerRealizedPnl(accountId);
+  const mismatch = Math.abs(summary.grossPnl - brokerPnl) > config.PNL_DISCREPANCY_TOLERANCE;
+
+  if (mismatch && !confirming) {
+    scheduleAccountCheck(accountId, true);
+    return;
+  }
+
+  discrepancies = discrepancies.filter(d => !(d.type === 'account' && d.accountId === accountId));
+  if (!mismatch) return;
+
+  flag({
+    type: 'account',
+    accountId,
+    computed: summary.grossPnl,
+    broker: brokerPnl,
+    message: `Account ${accountId}: computed ${formatAmount(summary.grossPnl)} realized today, broker ${formatAmount(brokerPnl)}`
+  });
+}
+
+/**
+ * Realized PnL the broker reports for the ledger's trading day (User Hub account events do not carry it)
+ * @param {number} accountId - Account ID
+ * @returns {Promise<number>} Sum of today's trade PnL before fees
+ */
+async function getBrokerRealizedPnl(accountId) {
+  const since = new Date(Date.now() - TRADE_LOOKBACK_MS).toISOString();
+  const trades = (await orderExecutionService.getTrades(accountId, since))
+    .filter(trade => !trade.voided && sessionCalendar.getTradingDay(new Date(trade.creationTimestamp)) === tradingDay);
+
+  return roundCents(trades.reduce((sum, trade) => sum + (trade.profitAndLoss || 0), 0));
+}
+
+/**
+ * Realized PnL for the current trading day
+ * @param {number} [accountId] - Account ID (all accounts when omitted)
+ * @returns {object} {tradingDay, accounts: [{accountId, ...totals, bySymbol, byStrategy}], roundTrips, discrepancies}
+ */
+function getBreakdown(accountId) {
+  rollTradingDay();
+
+  const trips = roundTrips.filter(trip => accountId === undefined || trip.accountId === accountId);
+  const accountIds = [...new Set(trips.map(trip => trip.accountId))];
+
+  return {
+    tradingDay,
+    accounts: accountIds.map(id => {
+      const accountTrips = trips.filter(trip => trip.accountId === id);
+      return {
+        accountId: id,
+        ...summarize(accountTrips),
+        bySymbol: groupBy(accountTrips, 'symbol'),
+        byStrategy: groupBy(accountTrips, 'strategyConfigId')
+      };
+    }),
+    roundTrips: trips.slice().reverse(),
+    discrepancies: discrepancies.filter(d => accountId === undefined || d.accountId === accountId)
+  };
+}
+
+/**
+ * Totals for a set of round trips grouped by one field
+ * @param {Array} trips - Round trips
+ * @param {string} field - Field to group by
+ * @returns {Array} [{key, ...totals}]
+ */
+function groupBy(trips, field) {
+  const groups = new Map();
+  trips.forEach(trip => {
+    const key = trip[field] || null;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(trip);
+  });
+
+  return Array.from(groups.entries()).map(([key, groupTrips]) => ({ key, ...summarize(groupTrips) }));
+}
+
+/**
+ * Totals for a set of round trips
+ * @param {Array} trips - Round trips
+ * @returns {object} {trades, grossPnl, fees, netPnl, complete} - complete is false when a trip could not be valued
+ */
+function summarize(trips) {
+  const valued = trips.filter(trip => trip.grossPnl !== null);
+  const grossPnl = roundCents(valued.reduce((sum, trip) => sum + trip.grossPnl, 0));
+  const fees = roundCents(trips.reduce((sum, trip) => sum + trip.fees, 0));
+
+  return {
+    trades: trips.length,
+    grossPnl,
+    fees,
+    netPnl: roundCents(grossPnl - fees),
+    complete: valued.length === trips.length
+  };
+}
+
+/**
+ * Start a new day's round trips and discrepancies when the trading day changes
+ * Open lots are kept - positions can be held across sessions.
+ */
+function rollTradingDay() {
+  const today = sessionCalendar.getTradingDay();
+  if (today === tradingDay) return;
+
+  tradingDay = today;
+  roundTrips = [];
+  discrepancies = [];
+}
+
+/**
+ * Directive, strategy and symbol an order was placed for
+ * @param {number|string} orderId - TopstepX order ID
+ * @returns {object} {strategyConfigId, symbol} (nulls when unlinked)
+ */
+function getDirectiveLink(orderId) {
+  const directiveId = directiveJournal.findByOrderId(orderId);
+  const entry = directiveId ? directiveJournal.getEntry(directiveId) : null;
+  const directive = (entry && entry.directive) || {};
+
+  return {
+    strategyConfigId: directive.strategyConfigId || null,
+    symbol: directive.symbol || null
+  };
+}
+
+/**
+ * Record and report a discrepancy
+ * @param {object} discrepancy - {type, accountId, computed, broker, message, ...}
+ * @returns {object} Recorded discrepancy
+ */
+function flag(discrepancy) {
+  const recorded = { ...discrepancy, difference: roundCents(discrepancy.computed - discrepancy.broker), at: new Date().toISOString() };
+  discrepancies.push(recorded);
+  console.warn(`[PnlLedger] ⚠️ PnL discrepancy - ${recorded.message}`);
+
+  if (eventHandlers.onDiscrepancy) {
+    eventHandlers.onDiscrepancy(recorded);
+  }
+
+  return recorded;
+}
+
+/**
+ * Round to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Format a dollar amount for log messages
+ * @param {number} value - Amount
+ * @returns {string} Formatted amount
+ */
+function formatAmount(value) {
+  return `$${value.toFixed(2)}`;
+}
+
+module.exports = {
+  initialize,
+  applyFill,
+  checkAccount,
+  getBreakdown
+};
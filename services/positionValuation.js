@@ -0,0 +1,104 @@
+// services/positionValuation.js
+// Position Valuation - Unrealized PnL per position, per account and in total from live quotes
+
+const accountManager = require('./accountManager');
+const instrumentRegistry = require('./instrumentRegistry');
+const marketDataService = require('./marketDataService');
+
+// TopstepX PositionType enum
+const POSITION_TYPE = {
+  LONG: 1,
+  SHORT: 2
+};
+
+/**
+ * Value one open position at the latest quote
+ * @param {object} position - {contractId, type, size, averagePrice}
+ * @returns {object} {marketPrice, unrealizedPnl} - both null when no quote or instrument is available
+ */
+function valuePosition(position) {
+  const quote = marketDataService.getQuote(position.contractId);
+  const instrument = instrumentRegistry.getCachedInstrument(position.contractId);
+
+  if (!quote || !(quote.last > 0) || !instrument || !(position.averagePrice > 0)) {
+    return { marketPrice: null, unrealizedPnl: null };
+  }
+
+  const direction = position.type === POSITION_TYPE.SHORT ? -1 : 1;
+  const unrealizedPnl = (quote.last - position.averagePrice) * position.size * instrument.pointValue * direction;
+
+  return {
+    marketPrice: quote.last,
+    unrealizedPnl: Math.round(unrealizedPnl * 100) / 100
+  };
+}
+
+/**
+ * Value a list of positions
+ * @param {Array} current - Positions as stored on the account
+ * @returns {object} {positions (with marketPrice/unrealizedPnl), unrealizedPnl, complete, changed (any mark moved)}
+ */
+function valuePositions(current) {
+  const positions = current.map(position => ({ ...position, ...valuePosition(position) }));
+  const valued = positions.filter(position => position.unrealizedPnl !== null);
+
+  return {
+    positions,
+    unrealizedPnl: Math.round(valued.reduce((sum, position) => sum + position.unrealizedPnl, 0) * 100) / 100,
+    complete: valued.length === positions.length,
+    changed: positions.some((position, i) => position.marketPrice !== current[i].marketPrice)
+  };
+}
+
+/**
+ * Recompute unrealized PnL on every account and store it on the account
+ * Broker and simulated (paper) positions are valued separately. Accounts are only updated when a value changed.
+ * @returns {Promise<object>} {changedAccountIds, totalUnrealizedPnl}
+ */
+async function revalueAccounts() {
+  const accounts = accountManager.getAllAccounts();
+  const held = accounts.flatMap(account => [...(account.openPositions || []), ...(account.paperPositions || [])]
+    .map(position => position.contractId));
+  await instrumentRegistry.ensureInstruments([...new Set(held)]);
+
+  const changedAccountIds = [];
+
+  accounts.forEach(account => {
+    const live = valuePositions(account.openPositions || []);
+    const paper = valuePositions(account.paperPositions || []);
+
+    const changed = live.changed || paper.changed ||
+      live.unrealizedPnl !== (account.unrealizedPnl || 0) ||
+      live.complete !== (account.unrealizedPnlComplete ?? true) ||
+      paper.unrealizedPnl !== (account.paperUnrealizedPnl || 0) ||
+      paper.complete !== (account.paperUnrealizedPnlComplete ?? true);
+
+    if (changed) {
+      accountManager.updateAccount(account.id, {
+        openPositions: live.positions,
+        unrealizedPnl: live.unrealizedPnl,
+        unrealizedPnlComplete: live.complete,
+        paperPositions: paper.positions,
+        paperUnrealizedPnl: paper.unrealizedPnl,
+        paperUnrealizedPnlComplete: paper.complete
+      });
+      changedAccountIds.push(account.id);
+    }
+  });
+
+  return { changedAccountIds, totalUnrealizedPnl: getTotalUnrealizedPnl() };
+}
+
+/**
+ * Unrealized PnL on broker positions across all accounts (simulated positions are not included)
+ * @returns {number} Total unrealized PnL
+ */
+function getTotalUnrealizedPnl() {
+  return accountManager.getAllAccounts().reduce((total, account) => total + (account.unrealizedPnl || 0), 0);
+}
+
+module.exports = {
+  valuePosition,
+  revalueAccounts,
+  getTotalUnrealizedPnl
+};
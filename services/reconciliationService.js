@@ -0,0 +1,334 @@
+// services/reconciliationService.js
+// Reconciliation - REST snapshot of positions, working orders, today's trades and balances diffed against local state
+
+const authService = require('./authService');
+const accountManager = require('./accountManager');
+const orderTracker = require('./orderTracker');
+const orderExecutionService = require('./orderExecutionService');
+const sessionCalendar = require('./sessionCalendar');
+
+const RECONCILE_REASONS = {
+  STARTUP: 'startup',
+  RECONNECT: 'reconnect'
+};
+
+// TopstepX OrderStatus values for orders the broker no longer lists as open
+const BROKER_ORDER_STATUS = {
+  FILLED: 2,
+  CANCELLED: 3
+};
+
+// A trading day can open two calendar days earlier (Sunday evening for Monday)
+const TRADE_LOOKBACK_MS = 3 * 24 * 60 * 60 * 1000;
+
+let inFlight = new Map(); // accountId -> running reconciliation
+let eventHandlers = {
+  onFill: null,
+  onOrderUpdate: null,
+  onPositionUpdate: null,
+  onAccountUpdate: null
+};
+
+/**
+ * Initialize with the handlers corrections are applied through
+ * Corrections go through the same handlers as User Hub events, so every consumer sees them.
+ * @param {object} handlers - {onFill, onOrderUpdate, onPositionUpdate, onAccountUpdate}
+ */
+function initialize(handlers = {}) {
+  eventHandlers = { ...eventHandlers, ...handlers };
+}
+
+/**
+ * Reconcile every account of a login
+ * @param {string} loginId - Login ID
+ * @param {string} reason - RECONCILE_REASONS value
+ * @returns {Promise<Array>} Per-account results
+ */
+async function reconcileLogin(loginId, reason) {
+  const accountIds = accountManager.getAllAccounts()
+    .filter(account => account.loginId === loginId)
+    .map(account => account.id);
+
+  // Balances come from one account search per login
+  let brokerAccounts = null;
+  try {
+    const token = await authService.getAccessToken(loginId);
+    brokerAccounts = await authService.getActiveAccounts(token, loginId);
+  } catch (error) {
+    console.error('[Reconciliation] Balance snapshot failed:', error.message);
+  }
+
+  const results = [];
+  for (const accountId of accountIds) {
+    results.push(await reconcileAccount(accountId, reason, brokerAccounts));
+  }
+
+  return results;
+}
+
+/**
+ * Reconcile one account (concurrent calls share the running reconciliation)
+ * @param {number} accountId - Account ID
+ * @param {string} reason - RECONCILE_REASONS value
+ * @param {Array|null} [brokerAccounts] - Account search result for the balance check
+ * @returns {Promise<object>} {accountId, reason, discrepancies, skipped, error, reconciledAt}
+ */
+function reconcileAccount(accountId, reason, brokerAccounts = null) {
+  if (!inFlight.has(accountId)) {
+    inFlight.set(accountId, runReconciliation(accountId, reason, brokerAccounts).finally(() => inFlight.delete(accountId)));
+  }
+
+  return inFlight.get(accountId);
+}
+
+/**
+ * Fetch the broker snapshot and correct local state
+ * Trades are applied first so orders and positions see their fills.
+ * @param {number} accountId - Account ID
+ * @param {string} reason - RECONCILE_REASONS value
+ * @param {Array|null} brokerAccounts - Account search result
+ * @returns {Promise<object>} Result
+ */
+async function runReconciliation(accountId, reason, brokerAccounts) {
+  const result = {
+    accountId,
+    reason,
+    discrepancies: [],
+    skipped: null,
+    error: null,
+    reconciledAt: new Date().toISOString()
+  };
+
+  // Paper accounts live in the simulator - there is nothing at the broker to compare with
+  if (accountManager.isPaperTrading(accountId)) {
+    result.skipped = 'paper';
+    return result;
+  }
+
+  try {
+    const [positions, orders, trades] = await Promise.all([
+      orderExecutionService.getOpenPositions(accountId),
+      orderExecutionService.getOpenOrders(accountId),
+      orderExecutionService.getTrades(accountId, new Date(Date.now() - TRADE_LOOKBACK_MS).toISOString())
+    ]);
+
+    const tradingDay = sessionCalendar.getTradingDay();
+    const todaysTrades = trades
+      .filter(trade => !trade.voided && sessionCalendar.getTradingDay(new Date(trade.creationTimestamp)) === tradingDay)
+      .sort((a, b) => new Date(a.creationTimestamp) - new Date(b.creationTimestamp));
+
+    const replayedOrderIds = reconcileTrades(accountId, todaysTrades, result.discrepancies);
+    reconcileOrders(accountId, orders, replayedOrderIds, result.discrepancies);
+    reconcilePositions(accountId, positions, result.discrepancies);
+    reconcileBalance(accountId, brokerAccounts, todaysTrades, result.discrepancies);
+  } catch (error) {
+    result.error = error.message;
+    console.error(`[Reconciliation] Account ${accountId} snapshot failed:`, error.message);
+    return result;
+  }
+
+  if (result.discrepancies.length > 0) {
+    // At startup there is no earlier local state, so differences are expected rather than alarming
+    const log = reason === RECONCILE_REASONS.STARTUP ? console.log : console.warn;
+    log(`[Reconciliation] Account ${accountId} (${reason}): ${result.discrepancies.length} discrepancy(ies) corrected`);
+    result.discrepancies.forEach(d => log(`[Reconciliation]   ${d.type}: ${d.message}`));
+  } else {
+    console.log(`[Reconciliation] Account ${accountId} (${reason}): in sync`);
+  }
+
+  return result;
+}
+
+/**
+ * Replay trades the hub never delivered
+ * A trade is known if its order already counted it - the tracker keeps every fill ID of the session, so after
+ * a restart all of today's trades are replayed (the journal and PnL ledger skip the ones they already have).
+ * @param {number} accountId - Account ID
+ * @param {Array} trades - Today's trades, oldest first
+ * @param {Array} discrepancies - Collected discrepancies
+ * @returns {Set<string>} IDs of orders whose fills were replayed
+ */
+function reconcileTrades(accountId, trades, discrepancies) {
+  const replayedOrderIds = new Set();
+
+  trades.forEach(trade => {
+    const order = orderTracker.getOrder(trade.orderId, accountId);
+    if (order && order.fillIds.includes(String(trade.id))) return;
+
+    replayedOrderIds.add(String(trade.orderId));
+
+    discrepancies.push({
+      type: 'fill',
+      message: `Missed trade ${trade.id}: ${trade.side === 0 ? 'BUY' : 'SELL'} ${trade.size} ${trade.contractId} @ ${trade.price}`,
+      broker: trade
+    });
+    emit('onFill', { ...trade, accountId });
+  });
+
+  return replayedOrderIds;
+}
+
+/**
+ * Bring the order book in line with the broker's working orders
+ * @param {number} accountId - Account ID
+ * @param {Array} brokerOrders - Open orders at the broker
+ * @param {Set<string>} replayedOrderIds - Orders whose missed trades were just replayed
+ * @param {Array} discrepancies - Collected discrepancies
+ */
+function reconcileOrders(accountId, brokerOrders, replayedOrderIds, discrepancies) {
+  const openIds = new Set(brokerOrders.map(order => String(order.id)));
+
+  brokerOrders.forEach(brokerOrder => {
+    const local = orderTracker.getOrder(brokerOrder.id, accountId);
+
+    if (!local || orderTracker.isTerminal(local.status)) {
+      discrepancies.push({
+        type: 'order',
+        message: `Order ${brokerOrder.id} is working at the broker but ${local ? `was ${local.status}` : 'was not tracked'} locally`,
+        local: local ? local.status : null,
+        broker: brokerOrder
+      });
+    }
+
+    // The replayed trades already carry this order's fills - only its status and size are corrected
+    if (local && replayedOrderIds.has(String(brokerOrder.id))) {
+      if (local.brokerStatus !== brokerOrder.status || local.quantity !== brokerOrder.size) {
+        const { fillVolume, filledPrice, ...orderWithoutFills } = brokerOrder;
+        emit('onOrderUpdate', { ...orderWithoutFills, accountId });
+      }
+      return;
+    }
+
+    if (!local || local.brokerStatus !== brokerOrder.status || local.quantity !== brokerOrder.size) {
+      emit('onOrderUpdate', { ...brokerOrder, accountId });
+    }
+  });
+
+  // Orders that left the book during the gap were either filled (trades replayed above) or cancelled
+  orderTracker.getWorkingOrders(accountId)
+    .filter(order => !openIds.has(String(order.orderId)))
+    .forEach(order => {
+      const filled = order.filledQuantity > 0 && (!order.quantity || order.filledQuantity >= order.quantity);
+      const status = filled ? BROKER_ORDER_STATUS.FILLED : BROKER_ORDER_STATUS.CANCELLED;
+
+      discrepancies.push({
+        type: 'order',
+        message: `Order ${order.orderId} is no longer open at the broker - marked ${filled ? 'filled' : 'cancelled'}`,
+        local: order.status,
+        broker: null
+      });
+      emit('onOrderUpdate', { id: order.orderId, accountId, status });
+    });
+}
+
+/**
+ * Replace local positions with the broker's when they differ
+ * @param {number} accountId - Account ID
+ * @param {Array} brokerPositions - Open positions at the broker
+ * @param {Array} discrepancies - Collected discrepancies
+ */
+function reconcilePositions(accountId, brokerPositions, discrepancies) {
+  const account = accountManager.getAccount(accountId);
+  const localPositions = account ? account.openPositions : [];
+  const contractIds = new Set([...localPositions, ...brokerPositions].map(position => position.contractId));
+  let changed = false;
+
+  contractIds.forEach(contractId => {
+    const local = localPositions.find(position => position.contractId === contractId);
+    const broker = brokerPositions.find(position => position.contractId === contractId);
+
+    if (local && broker && local.type === broker.type && local.size === broker.size && local.averagePrice === broker.averagePrice) {
+      return;
+    }
+
+    changed = true;
+    discrepancies.push({
+      type: 'position',
+      message: `${contractId}: local ${describePosition(local)}, broker ${describePosition(broker)}`,
+      local: local || null,
+      broker: broker || null
+    });
+  });
+
+  if (changed) {
+    emit('onPositionUpdate', { accountId, positions: brokerPositions });
+  }
+}
+
+/**
+ * Correct balance and realized PnL
+ * Realized PnL is today's trade PnL, since account events carry no PnL of their own.
+ * @param {number} accountId - Account ID
+ * @param {Array|null} brokerAccounts - Account search result (balance check skipped when null)
+ * @param {Array} trades - Today's trades
+ * @param {Array} discrepancies - Collected discrepancies
+ */
+function reconcileBalance(accountId, brokerAccounts, trades, discrepancies) {
+  const account = accountManager.getAccount(accountId);
+  if (!account) return;
+
+  const update = {};
+  const brokerAccount = (brokerAccounts || []).find(a => a.id === accountId);
+
+  if (brokerAccount && brokerAccount.balance !== account.balance) {
+    discrepancies.push({
+      type: 'balance',
+      message: `Balance: local ${formatAmount(account.balance)}, broker ${formatAmount(brokerAccount.balance)}`,
+      local: account.balance ?? null,
+      broker: brokerAccount.balance
+    });
+    Object.assign(update, brokerAccount);
+  }
+
+  const realizedPnl = Math.round(trades.reduce((sum, trade) => sum + (trade.profitAndLoss || 0), 0) * 100) / 100;
+  if (realizedPnl !== (account.pnl || 0)) {
+    discrepancies.push({
+      type: 'pnl',
+      message: `Realized PnL: local ${formatAmount(account.pnl || 0)}, broker ${formatAmount(realizedPnl)}`,
+      local: account.pnl || 0,
+      broker: realizedPnl
+    });
+    update.realizedPnl = realizedPnl;
+  }
+
+  if (Object.keys(update).length > 0) {
+    emit('onAccountUpdate', { ...update, accountId });
+  }
+}
+
+/**
+ * Describe a position for the discrepancy log
+ * @param {object|undefined} position - {type, size, averagePrice}
+ * @returns {string} e.g. "long 2 @ 20000" or "flat"
+ */
+function describePosition(position) {
+  if (!position || !position.size) return 'flat';
+  return `${position.type === 2 ? 'short' : 'long'} ${position.size} @ ${position.averagePrice}`;
+}
+
+/**
+ * Format a dollar amount for the discrepancy log
+ * @param {number|undefined} value - Amount
+ * @returns {string} Formatted amount
+ */
+function formatAmount(value) {
+  return typeof value === 'number' ? `$${value.toFixed(2)}` : 'unknown';
+}
+
+/**
+ * Apply a correction through its handler
+ * @param {string} handlerName - Handler name
+ * @param {object} data - Event data
+ */
+function emit(handlerName, data) {
+  if (eventHandlers[handlerName]) {
+    eventHandlers[handlerName](data);
+  }
+}
+
+module.exports = {
+  RECONCILE_REASONS,
+  initialize,
+  reconcileLogin,
+  reconcileAccount
+};
@@ -0,0 +1,487 @@
+// services/riskEngine.js
+// Pre-Trade Risk Engine - Per-account limits checked before any order reaches the broker
+
+const fs = require('fs');
+const config = require('../config');
+const accountManager = require('./accountManager');
+const contractResolver = require('./contractResolver');
+const orderExecutionService = require('./orderExecutionService');
+const orderTracker = require('./orderTracker');
+const sessionCalendar = require('./sessionCalendar');
+
+// Reason codes for risk rejections
+const RISK_CODES = {
+  SYMBOL_NOT_ALLOWED: 'SYMBOL_NOT_ALLOWED',
+  OUTSIDE_TRADING_HOURS: 'OUTSIDE_TRADING_HOURS',
+  ORDER_RATE_EXCEEDED: 'ORDER_RATE_EXCEEDED',
+  MAX_POSITION_SIZE: 'MAX_POSITION_SIZE',
+  MAX_OPEN_CONTRACTS: 'MAX_OPEN_CONTRACTS'
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+let limitsFile = null;
+let accountLimits = new Map(); // accountId -> limit overrides
+let orderTimes = new Map(); // accountId -> [epoch ms of recent orders]
+
+/**
+ * Load per-account limit overrides from disk
+ * @param {string} filePath - Path to the limits file (in userData)
+ */
+function initialize(filePath) {
+  limitsFile = filePath;
+  accountLimits.clear();
+
+  try {
+    if (fs.existsSync(limitsFile)) {
+      const saved = JSON.parse(fs.readFileSync(limitsFile, 'utf8'));
+      Object.entries(saved).forEach(([accountId, limits]) => {
+        accountLimits.set(Number(accountId), limits);
+      });
+    }
+  } catch (error) {
+    console.error('[RiskEngine] Failed to load risk limits:', error);
+  }
+
+  console.log(`[RiskEngine] Loaded risk limits for ${accountLimits.size} account(s)`);
+}
+
+/**
+ * Get the effective limits for an account (defaults, then the account size's loss limits, then overrides)
+ * @param {number} accountId - Account ID
+ * @returns {object} {maxPositionPerSymbol, maxOpenContracts, maxOrdersPerMinute, allowedSymbols, tradingHours, dailyLossLimit, ...}
+ */
+function getLimits(accountId) {
+  return {
+    ...config.RISK_DEFAULTS,
+    ...getAccountSizeLimits(accountId),
+    ...(accountLimits.get(Number(accountId)) || {})
+  };
+}
+
+/**
+ * Loss limits for the account's size, taken from its name (e.g. "150KTC-V2-..." -> 150K)
+ * @param {number} accountId - Account ID
+ * @returns {object} {dailyLossLimit, maxTrailingDrawdown} or {} if the size is unknown
+ */
+function getAccountSizeLimits(accountId) {
+  const account = accountManager.getAccount(Number(accountId));
+  const match = account && /(\d+)K/i.exec(account.name || '');
+
+  return (match && config.ACCOUNT_SIZE_LOSS_LIMITS[`${match[1]}K`]) || {};
+}
+
+/**
+ * Set limit overrides for an account
+ * Numeric limits of 0 or null disable the rule; an empty allowlist allows every symbol.
+ * @param {number} accountId - Account ID
+ * @param {object} limits - Partial limits to override
+ * @returns {object} {success, limits} or {success: false, error}
+ */
+function setLimits(accountId, limits) {
+  const errors = validateLimits(limits);
+  if (errors.length > 0) {
+    return { success: false, error: `Invalid risk limits: ${errors.join('; ')}` };
+  }
+
+  const key = Number(accountId);
+  accountLimits.set(key, { ...(accountLimits.get(key) || {}), ...limits });
+  save();
+
+  console.log(`[RiskEngine] Limits updated for account ${accountId}:`, getLimits(key));
+  return { success: true, limits: getLimits(key) };
+}
+
+/**
+ * Check a directive's order against the account's limits
+ * Exits are never blocked - reducing risk must always be possible.
+ * @param {object} order - {accountId, symbol, action, lots}
+ * @param {Date} [now] - Time to evaluate trading hours against
+ * @returns {Promise<object>} {passed: true} or {passed: false, code, reason, details}
+ */
+async function checkOrder({ accountId, symbol, action, lots }, now = new Date()) {
+  if (orderExecutionService.isExitAction(action)) {
+    return { passed: true };
+  }
+
+  let contractId = null;
+  try {
+    contractId = await contractResolver.resolveContractId(symbol);
+  } catch (error) {
+    // Unknown symbols fail at submission; the allowlist rule still applies
+    console.warn(`[RiskEngine] Could not resolve ${symbol}: ${error.message}`);
+  }
+
+  const side = orderExecutionService.mapActionToSide(action);
+  const limits = getLimits(accountId);
+  const rules = [
+    () => checkSession(now),
+    () => checkSymbol(limits, symbol),
+    () => checkTradingHours(limits, now),
+    () => checkOrderRate(limits, accountId, now),
+    () => checkPositionSize(limits, accountId, contractId, side, lots)
+  ];
+
+  for (const rule of rules) {
+    const result = rule();
+    if (!result.passed) {
+      console.warn(`[RiskEngine] Account ${accountId} ${result.code}: ${result.reason}`);
+      return result;
+    }
+  }
+
+  return { passed: true };
+}
+
+/**
+ * Check an order modification that may add size
+ * Only the added contracts are new exposure; the order's current size is already counted as working.
+ * @param {object} modify - {accountId, orderId, size}
+ * @returns {object} {passed: true} or {passed: false, code, reason, details}
+ */
+function checkOrderModify({ accountId, orderId, size }) {
+  const order = orderTracker.getOrder(orderId, accountId);
+  const newSize = size === undefined || size === null ? null : Number(size);
+  const added = order && newSize !== null ? newSize - (order.quantity || 0) : 0;
+
+  if (added <= 0) {
+    return { passed: true };
+  }
+
+  const result = checkPositionSize(getLimits(accountId), accountId, order.contractId, order.side, added);
+  if (!result.passed) {
+    console.warn(`[RiskEngine] Account ${accountId} ${result.code} (modify ${orderId}): ${result.reason}`);
+  }
+
+  return result;
+}
+
+/**
+ * Count an order towards the per-minute rate limit
+ * @param {number} accountId - Account ID
+ * @param {number} [at] - Epoch ms the order was sent
+ */
+function recordOrder(accountId, at = Date.now()) {
+  const key = Number(accountId);
+  const recent = (orderTimes.get(key) || []).filter(time => at - time < 60 * 1000);
+  recent.push(at);
+  orderTimes.set(key, recent);
+}
+
+/**
+ * CME session rule - no entries while the market is closed or past the daily cutoff
+ * @param {Date} now - Current time
+ * @returns {object} Rule result
+ */
+function checkSession(now) {
+  if (!config.SESSION_BLOCK_ENTRIES_OUTSIDE_HOURS) {
+    return { passed: true };
+  }
+
+  const session = sessionCalendar.getSessionStatus(now);
+
+  if (!session.entriesAllowed) {
+    return reject(session.code, session.reason, {
+      tradingDay: session.tradingDay,
+      localTime: session.localTime
+    });
+  }
+
+  return { passed: true };
+}
+
+/**
+ * Symbol allowlist rule
+ * @param {object} limits - Effective limits
+ * @param {string} symbol - Root symbol
+ * @returns {object} Rule result
+ */
+function checkSymbol(limits, symbol) {
+  const allowed = (limits.allowedSymbols || []).map(s => s.toUpperCase());
+
+  if (allowed.length > 0 && !allowed.includes((symbol || '').toUpperCase())) {
+    return reject(RISK_CODES.SYMBOL_NOT_ALLOWED, `${symbol} is not in the account's symbol allowlist`, {
+      symbol,
+      allowedSymbols: allowed
+    });
+  }
+
+  return { passed: true };
+}
+
+/**
+ * Allowed trading hours rule
+ * @param {object} limits - Effective limits (tradingHours: {timezone, start, end, days})
+ * @param {Date} now - Current time
+ * @returns {object} Rule result
+ */
+function checkTradingHours(limits, now) {
+  const hours = limits.tradingHours;
+  if (!hours) {
+    return { passed: true };
+  }
+
+  const { weekday, minutes } = getLocalTime(now, hours.timezone);
+  const start = parseTime(hours.start);
+  const end = parseTime(hours.end);
+
+  // Windows that cross midnight (e.g. 17:00-16:00) wrap around
+  const inWindow = start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+  const onAllowedDay = !hours.days || hours.days.includes(weekday);
+
+  if (!inWindow || !onAllowedDay) {
+    return reject(RISK_CODES.OUTSIDE_TRADING_HOURS,
+      `Outside allowed trading hours ${hours.start}-${hours.end} ${hours.timezone}`, {
+        tradingHours: hours,
+        localTime: `${WEEKDAYS[weekday]} ${formatMinutes(minutes)}`
+      });
+  }
+
+  return { passed: true };
+}
+
+/**
+ * Orders-per-minute rule
+ * @param {object} limits - Effective limits
+ * @param {number} accountId - Account ID
+ * @param {Date} now - Current time
+ * @returns {object} Rule result
+ */
+function checkOrderRate(limits, accountId, now) {
+  if (!limits.maxOrdersPerMinute) {
+    return { passed: true };
+  }
+
+  const recent = (orderTimes.get(Number(accountId)) || []).filter(time => now.getTime() - time < 60 * 1000);
+
+  if (recent.length >= limits.maxOrdersPerMinute) {
+    return reject(RISK_CODES.ORDER_RATE_EXCEEDED,
+      `${recent.length} orders in the last minute (max ${limits.maxOrdersPerMinute})`, {
+        ordersLastMinute: recent.length,
+        maxOrdersPerMinute: limits.maxOrdersPerMinute
+      });
+  }
+
+  return { passed: true };
+}
+
+/**
+ * Max position per symbol and max open contracts rules
+ * Working orders count as if they fill: each contract is measured at its largest possible position.
+ * @param {object} limits - Effective limits
+ * @param {number} accountId - Account ID
+ * @param {string} contractId - TopstepX contract ID
+ * @param {string} side - BUY or SELL
+ * @param {number} lots - Order size
+ * @returns {object} Rule result
+ */
+function checkPositionSize(limits, accountId, contractId, side, lots) {
+  const exposures = getExposures(accountId);
+  const size = Number(lots) || 0;
+
+  const current = exposures.get(contractId) || { held: 0, workingBuy: 0, workingSell: 0 };
+  const withOrder = {
+    ...current,
+    workingBuy: current.workingBuy + (side === 'SELL' ? 0 : size),
+    workingSell: current.workingSell + (side === 'SELL' ? size : 0)
+  };
+  const resulting = worstCasePosition(withOrder);
+
+  if (limits.maxPositionPerSymbol && resulting > limits.maxPositionPerSymbol) {
+    return reject(RISK_CODES.MAX_POSITION_SIZE,
+      `Position in ${contractId} could reach ${resulting} contracts (max ${limits.maxPositionPerSymbol})`, {
+        contractId,
+        currentPosition: current.held,
+        workingBuy: current.workingBuy,
+        workingSell: current.workingSell,
+        resultingPosition: resulting,
+        maxPositionPerSymbol: limits.maxPositionPerSymbol
+      });
+  }
+
+  let otherContracts = 0;
+  exposures.forEach((exposure, id) => {
+    if (id !== contractId) {
+      otherContracts += worstCasePosition(exposure);
+    }
+  });
+  const totalOpen = otherContracts + resulting;
+
+  if (limits.maxOpenContracts && totalOpen > limits.maxOpenContracts) {
+    return reject(RISK_CODES.MAX_OPEN_CONTRACTS,
+      `Account could hold ${totalOpen} open contracts (max ${limits.maxOpenContracts})`, {
+        openContracts: otherContracts + worstCasePosition(current),
+        resultingOpenContracts: totalOpen,
+        maxOpenContracts: limits.maxOpenContracts
+      });
+  }
+
+  return { passed: true };
+}
+
+/**
+ * Held position and unfilled working size per contract, for the venue the account trades on
+ * @param {number} accountId - Account ID
+ * @returns {Map<string, object>} contractId -> {held (signed), workingBuy, workingSell}
+ */
+function getExposures(accountId) {
+  const exposures = new Map();
+  const exposure = (contractId) => {
+    if (!exposures.has(contractId)) {
+      exposures.set(contractId, { held: 0, workingBuy: 0, workingSell: 0 });
+    }
+    return exposures.get(contractId);
+  };
+
+  accountManager.getActivePositions(accountId).forEach(position => {
+    exposure(position.contractId).held += position.type === 2 ? -position.size : position.size;
+  });
+
+  // Simulator orders have negative IDs - only orders on the active venue can fill into its positions
+  const paper = accountManager.isPaperTrading(accountId);
+  orderTracker.getWorkingOrders(accountId)
+    .filter(order => order.contractId && (Number(order.orderId) < 0) === paper)
+    .forEach(order => {
+      const remaining = Math.max(0, (order.quantity || 0) - (order.filledQuantity || 0));
+      if (order.side === 'SELL') {
+        exposure(order.contractId).workingSell += remaining;
+      } else if (order.side === 'BUY') {
+        exposure(order.contractId).workingBuy += remaining;
+      }
+    });
+
+  return exposures;
+}
+
+/**
+ * Largest absolute position a contract can reach if its working orders on one side all fill
+ * @param {object} exposure - {held, workingBuy, workingSell}
+ * @returns {number} Contracts
+ */
+function worstCasePosition({ held, workingBuy, workingSell }) {
+  return Math.max(Math.abs(held + workingBuy), Math.abs(held - workingSell));
+}
+
+/**
+ * Validate a partial limits object
+ * @param {object} limits - Limits to validate
+ * @returns {Array<string>} Validation errors
+ */
+function validateLimits(limits) {
+  const errors = [];
+
+  if (!limits || typeof limits !== 'object') {
+    return ['limits must be an object'];
+  }
+
+  ['maxPositionPerSymbol', 'maxOpenContracts', 'maxOrdersPerMinute'].forEach(field => {
+    const value = limits[field];
+    if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 0)) {
+      errors.push(`${field} must be a non-negative integer`);
+    }
+  });
+
+  ['dailyLossLimit', 'maxTrailingDrawdown', 'drawdownWarningBuffer', 'drawdownTripBuffer'].forEach(field => {
+    const value = limits[field];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || !(value >= 0))) {
+      errors.push(`${field} must be a non-negative dollar amount`);
+    }
+  });
+
+  if (limits.allowedSymbols !== undefined && !Array.isArray(limits.allowedSymbols)) {
+    errors.push('allowedSymbols must be an array');
+  }
+
+  const hours = limits.tradingHours;
+  if (hours) {
+    if (parseTime(hours.start) === null || parseTime(hours.end) === null) {
+      errors.push('tradingHours.start and tradingHours.end must be HH:MM');
+    }
+    if (!hours.timezone) {
+      errors.push('tradingHours.timezone is required');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Get weekday and minutes-past-midnight in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone (e.g. America/Chicago)
+ * @returns {object} {weekday (0=Sun), minutes}
+ */
+function getLocalTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const part = (type) => parts.find(p => p.type === type).value;
+
+  return {
+    weekday: WEEKDAYS.indexOf(part('weekday')),
+    minutes: Number(part('hour')) * 60 + Number(part('minute'))
+  };
+}
+
+/**
+ * Parse HH:MM into minutes past midnight
+ * @param {string} value - Time string
+ * @returns {number|null} Minutes or null if malformed
+ */
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return null;
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Format minutes past midnight as HH:MM
+ * @param {number} minutes - Minutes past midnight
+ * @returns {string} HH:MM
+ */
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Build a failed rule result
+ * @param {string} code - One of RISK_CODES
+ * @param {string} reason - Human-readable reason
+ * @param {object} details - Values behind the decision
+ * @returns {object} Rule result
+ */
+function reject(code, reason, details) {
+  return { passed: false, code, reason, details };
+}
+
+/**
+ * Persist limit overrides
+ */
+function save() {
+  if (!limitsFile) return;
+
+  try {
+    fs.writeFileSync(limitsFile, JSON.stringify(Object.fromEntries(accountLimits), null, 2));
+  } catch (error) {
+    console.error('[RiskEngine] Failed to save risk limits:', error);
+  }
+}
+
+module.exports = {
+  RISK_CODES,
+  initialize,
+  getLimits,
+  setLimits,
+  checkOrder,
+  checkOrderModify,
+  recordOrder
+};
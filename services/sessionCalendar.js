@@ -0,0 +1,236 @@
+// services/sessionCalendar.js
+// Session Calendar - CME Globex trading hours, holidays and the daily prop-firm cutoff (America/Chicago)
+
+const config = require('../config');
+
+const TIMEZONE = 'America/Chicago';
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Globex session boundaries in Chicago minutes past midnight
+const SESSION_OPEN = 17 * 60; // Sunday-Thursday 17:00 - opens the next trading day
+const SESSION_CLOSE = 16 * 60; // Monday-Friday 16:00 - daily close / maintenance break
+
+// Reason codes when entries are not allowed
+const SESSION_CODES = {
+  WEEKEND: 'MARKET_CLOSED_WEEKEND',
+  MAINTENANCE: 'MARKET_MAINTENANCE_BREAK',
+  HOLIDAY: 'MARKET_CLOSED_HOLIDAY',
+  EARLY_CLOSE: 'MARKET_CLOSED_EARLY',
+  AFTER_CUTOFF: 'SESSION_CUTOFF'
+};
+
+let flattenTimer = null;
+let lastFlattenedDay = null;
+
+/**
+ * Describe the session at an instant
+ * @param {Date} [now] - Instant to evaluate
+ * @returns {object} {open, entriesAllowed, code, reason, tradingDay, localTime, cutoff}
+ */
+function getSessionStatus(now = new Date()) {
+  const local = getLocalParts(now);
+  const tradingDay = getTradingDay(now);
+  const holiday = getHoliday(tradingDay);
+  const localTime = `${WEEKDAYS[local.weekday]} ${formatMinutes(local.minutes)} CT`;
+
+  const closed = (code, reason) => ({
+    open: false,
+    entriesAllowed: false,
+    code,
+    reason,
+    tradingDay,
+    localTime,
+    cutoff: null
+  });
+
+  // Friday 16:00 through Sunday 17:00
+  if (local.weekday === 6 || (local.weekday === 0 && local.minutes < SESSION_OPEN) ||
+      (local.weekday === 5 && local.minutes >= SESSION_CLOSE)) {
+    return closed(SESSION_CODES.WEEKEND, 'CME closed for the weekend');
+  }
+
+  // Daily maintenance break Monday-Thursday
+  if (local.minutes >= SESSION_CLOSE && local.minutes < SESSION_OPEN) {
+    return closed(SESSION_CODES.MAINTENANCE, 'CME daily maintenance break (16:00-17:00 CT)');
+  }
+
+  if (holiday && holiday.type === 'closed') {
+    return closed(SESSION_CODES.HOLIDAY, `CME closed for ${holiday.name}`);
+  }
+
+  const isCloseDay = tradingDay === local.date;
+  const earlyClose = holiday && holiday.type === 'early' ? parseTime(holiday.closeTime) : null;
+
+  if (isCloseDay && earlyClose !== null && local.minutes >= earlyClose) {
+    return closed(SESSION_CODES.EARLY_CLOSE, `CME closed early at ${holiday.closeTime} CT for ${holiday.name}`);
+  }
+
+  const cutoff = getCutoffMinutes(tradingDay);
+
+  if (isCloseDay && cutoff !== null && local.minutes >= cutoff) {
+    return {
+      open: true,
+      entriesAllowed: false,
+      code: SESSION_CODES.AFTER_CUTOFF,
+      reason: `Past the ${formatMinutes(cutoff)} CT entry cutoff`,
+      tradingDay,
+      localTime,
+      cutoff: formatMinutes(cutoff)
+    };
+  }
+
+  return {
+    open: true,
+    entriesAllowed: true,
+    code: null,
+    reason: null,
+    tradingDay,
+    localTime,
+    cutoff: cutoff !== null ? formatMinutes(cutoff) : null
+  };
+}
+
+/**
+ * Trading day an instant belongs to - sessions opening at 17:00 CT count towards the next weekday
+ * Used as the key for daily resets (loss limits, journals).
+ * @param {Date} [now] - Instant
+ * @returns {string} YYYY-MM-DD
+ */
+function getTradingDay(now = new Date()) {
+  const local = getLocalParts(now);
+  const date = new Date(`${local.date}T00:00:00Z`);
+
+  if (local.minutes >= SESSION_OPEN) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+
+  // Weekend sessions belong to Monday
+  while (date.getUTCDay() === 0 || date.getUTCDay() === 6) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Flatten/entry cutoff for a trading day in Chicago minutes
+ * Early-close days move the cutoff ahead of the early close.
+ * @param {string} tradingDay - YYYY-MM-DD
+ * @returns {number|null} Minutes past midnight, or null when no cutoff is configured
+ */
+function getCutoffMinutes(tradingDay) {
+  const configured = parseTime(config.SESSION_FLATTEN_TIME);
+  const holiday = getHoliday(tradingDay);
+
+  if (holiday && holiday.type === 'early') {
+    const earlyCutoff = parseTime(holiday.closeTime) - config.SESSION_EARLY_CLOSE_FLATTEN_LEAD_MINUTES;
+    return configured === null ? earlyCutoff : Math.min(configured, earlyCutoff);
+  }
+
+  return configured;
+}
+
+/**
+ * Look up a holiday entry for a trading day
+ * @param {string} tradingDay - YYYY-MM-DD
+ * @returns {object|null} {date, name, type: 'closed'|'early', closeTime}
+ */
+function getHoliday(tradingDay) {
+  return (config.CME_HOLIDAYS || []).find(holiday => holiday.date === tradingDay) || null;
+}
+
+/**
+ * Start checking for the daily flatten time
+ * The callback runs once per trading day, at or after the cutoff.
+ * @param {Function} onFlatten - async (tradingDay) => void
+ */
+function startAutoFlatten(onFlatten) {
+  stopAutoFlatten();
+
+  if (!config.SESSION_AUTO_FLATTEN_ENABLED) {
+    console.log('[SessionCalendar] Auto-flatten disabled');
+    return;
+  }
+
+  flattenTimer = setInterval(async () => {
+    const status = getSessionStatus();
+
+    if (status.code !== SESSION_CODES.AFTER_CUTOFF || lastFlattenedDay === status.tradingDay) {
+      return;
+    }
+
+    lastFlattenedDay = status.tradingDay;
+    console.log(`[SessionCalendar] ⏰ ${status.cutoff} CT cutoff reached for ${status.tradingDay} - flattening all accounts`);
+
+    try {
+      await onFlatten(status.tradingDay);
+    } catch (error) {
+      console.error('[SessionCalendar] Auto-flatten failed:', error);
+    }
+  }, config.SESSION_CHECK_INTERVAL_MS);
+
+  console.log(`[SessionCalendar] Auto-flatten armed for ${config.SESSION_FLATTEN_TIME} CT`);
+}
+
+/**
+ * Stop the auto-flatten timer
+ */
+function stopAutoFlatten() {
+  if (flattenTimer) {
+    clearInterval(flattenTimer);
+    flattenTimer = null;
+  }
+}
+
+/**
+ * Get Chicago local date, weekday and minutes past midnight
+ * @param {Date} date - Instant
+ * @returns {object} {date: YYYY-MM-DD, weekday (0=Sun), minutes}
+ */
+function getLocalParts(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const part = (type) => parts.find(p => p.type === type).value;
+
+  return {
+    date: `${part('year')}-${part('month')}-${part('day')}`,
+    weekday: WEEKDAYS.indexOf(part('weekday')),
+    minutes: Number(part('hour')) * 60 + Number(part('minute'))
+  };
+}
+
+/**
+ * Parse HH:MM into minutes past midnight
+ * @param {string} value - Time string
+ * @returns {number|null} Minutes or null if unset/malformed
+ */
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Format minutes past midnight as HH:MM
+ * @param {number} minutes - Minutes past midnight
+ * @returns {string} HH:MM
+ */
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+module.exports = {
+  SESSION_CODES,
+  getSessionStatus,
+  getTradingDay,
+  startAutoFlatten,
+  stopAutoFlatten
+};
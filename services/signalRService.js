@@ -1,57 +1,158 @@
 // services/signalRService.js
-// TopstepX User Hub SignalR Service - Real-time Account Updates
+// TopstepX User Hub SignalR Service - Real-time Account Updates (one connection per login)
 
 const signalR = require('@microsoft/signalr');
 const config = require('../config');
+const authService = require('./authService');
+const brokerProfiles = require('./brokerProfiles');
 
-let userHubConnection = null;
+// Gateway User Hub events -> handler names
+const USER_HUB_EVENTS = {
+  GatewayUserAccount: 'onAccountUpdate',
+  GatewayUserOrder: 'onOrderUpdate',
+  GatewayUserPosition: 'onPositionUpdate',
+  GatewayUserTrade: 'onFill'
+};
+
+const userHubConnections = new Map(); // loginId -> SignalR HubConnection
+const subscribedAccounts = new Map(); // loginId -> Set of account IDs to (re)subscribe
 let eventHandlers = {
   onFill: null,
   onAccountUpdate: null,
   onPositionUpdate: null,
-  onOrderUpdate: null
+  onOrderUpdate: null,
+  onReconnected: null
+};
+
+/**
+ * SignalR client logger that keeps access tokens out of logged URLs
+ */
+const hubLogger = {
+  log(logLevel, message) {
+    if (logLevel < signalR.LogLevel.Information) return;
+
+    const safeMessage = String(message).replace(/access_token=[^&\s]+/gi, 'access_token=***');
+    if (logLevel >= signalR.LogLevel.Error) {
+      console.error(`[SignalR] ${safeMessage}`);
+    } else if (logLevel === signalR.LogLevel.Warning) {
+      console.warn(`[SignalR] ${safeMessage}`);
+    } else {
+      console.log(`[SignalR] ${safeMessage}`);
+    }
+  }
 };
 
 /**
- * Builds the User Hub SignalR connection
- * @param {string} authToken - JWT authentication token
+ * Check whether a connection error was caused by a rejected token
+ * @param {Error} error - Connection error
+ * @returns {boolean} true for 401/Unauthorized failures
+ */
+function isAuthError(error) {
+  return !!error && /\b401\b|unauthorized/i.test(error.message || String(error));
+}
+
+/**
+ * Builds the User Hub SignalR connection for a login
+ * The token is fetched from authService on every (re)connect, so it is refreshed before it expires.
+ * @param {string} loginId - Login whose token and hub URL are used
  * @returns {object} SignalR HubConnection
  */
-function buildUserHubConnection(authToken) {
-  if (!authToken) {
-    throw new Error('Auth token required to build User Hub connection');
+function buildUserHubConnection(loginId) {
+  if (!loginId) {
+    throw new Error('Login ID required to build User Hub connection');
   }
 
-  const hubUrlWithToken = `${config.USER_HUB_URL}?access_token=${authToken}`;
-  console.log('[SignalR] Building User Hub connection...');
+  console.log(`[SignalR] Building User Hub connection for ${brokerProfiles.getLoginProfile(loginId).name}...`);
 
-  userHubConnection = new signalR.HubConnectionBuilder()
-    .withUrl(hubUrlWithToken, {
+  const userHubConnection = new signalR.HubConnectionBuilder()
+    .withUrl(brokerProfiles.getUserHubUrl(loginId), {
       skipNegotiation: true,
       transport: signalR.HttpTransportType.WebSockets,
+      accessTokenFactory: () => authService.getAccessToken(loginId)
     })
     .withAutomaticReconnect({
-      nextRetryDelayInMilliseconds: () => config.RECONNECT_INTERVAL_MS
+      // A rejected token fails every retry - stop and let onclose rebuild with a new login
+      nextRetryDelayInMilliseconds: (retryContext) => (
+        isAuthError(retryContext.retryReason) ? null : config.RECONNECT_INTERVAL_MS
+      )
     })
-    .configureLogging(signalR.LogLevel.Information)
+    .configureLogging(hubLogger)
     .build();
 
   // Setup connection event handlers
   userHubConnection.onclose(async (error) => {
     console.warn('[SignalR] User Hub connection closed.', error ? `Error: ${error}` : '');
+
+    // Closed on purpose (stopConnection) or replaced - nothing to recover
+    if (!error || userHubConnections.get(loginId) !== userHubConnection) return;
+
+    if (isAuthError(error)) {
+      await rebuildConnection(loginId);
+    }
   });
 
   userHubConnection.onreconnecting((error) => {
     console.warn('[SignalR] User Hub reconnecting...', error ? `Error: ${error}` : '');
   });
 
-  userHubConnection.onreconnected((connectionId) => {
+  // The gateway drops subscriptions with the old connection - restore them before anything else
+  userHubConnection.onreconnected(async (connectionId) => {
     console.log(`[SignalR] User Hub reconnected. Connection ID: ${connectionId}`);
+    await subscribe(loginId);
+
+    if (eventHandlers.onReconnected) {
+      eventHandlers.onReconnected(loginId);
+    }
   });
 
+  userHubConnections.set(loginId, userHubConnection);
   return userHubConnection;
 }
 
+/**
+ * Replace a login's connection after its token was rejected (or its first start failed)
+ * The cached token is dropped so the new connection authenticates from scratch;
+ * handlers and account subscriptions carry over. Retries until it connects or the login is removed.
+ * @param {string} loginId - Login ID
+ */
+async function rebuildConnection(loginId) {
+  console.warn('[SignalR] Re-authenticating and rebuilding User Hub connection');
+
+  authService.clearToken(loginId);
+
+  const userHubConnection = buildUserHubConnection(loginId);
+  registerEventHandlers(userHubConnection, eventHandlers);
+
+  if (!await startConnection(userHubConnection)) {
+    retryFailedStart(loginId, userHubConnection);
+    return;
+  }
+
+  await subscribe(loginId);
+
+  if (eventHandlers.onReconnected) {
+    eventHandlers.onReconnected(loginId);
+  }
+}
+
+/**
+ * Rebuild a connection whose start failed after RECONNECT_INTERVAL_MS
+ * Automatic reconnect only covers connections that were up once, and a rejected token fails every retry
+ * of the same connection, so each attempt goes through rebuildConnection with a fresh token.
+ * Stops once the connection is replaced or the login is removed.
+ * @param {string} loginId - Login ID
+ * @param {object} hubConnection - Connection whose start failed
+ */
+function retryFailedStart(loginId, hubConnection) {
+  console.warn(`[SignalR] Retrying User Hub connection in ${config.RECONNECT_INTERVAL_MS}ms`);
+
+  setTimeout(() => {
+    if (userHubConnections.get(loginId) === hubConnection) {
+      rebuildConnection(loginId);
+    }
+  }, config.RECONNECT_INTERVAL_MS);
+}
+
 /**
  * Starts the SignalR connection
  * @param {object} hubConnection - SignalR HubConnection object
@@ -92,7 +193,7 @@ async function stopConnection(hubConnection) {
 /**
  * Registers event handlers for SignalR messages
  * @param {object} hubConnection - SignalR HubConnection object
- * @param {object} handlers - Object with handler functions
+ * @param {object} handlers - {onFill, onAccountUpdate, onPositionUpdate, onOrderUpdate, onReconnected}
  */
 function registerEventHandlers(hubConnection, handlers) {
   if (!hubConnection) {
@@ -102,61 +203,139 @@ function registerEventHandlers(hubConnection, handlers) {
 
   eventHandlers = { ...eventHandlers, ...handlers };
 
-  // Register SignalR server method handlers
-  // These method names should match what TopstepX User Hub sends
+  Object.entries(USER_HUB_EVENTS).forEach(([eventName, handlerName]) => {
+    if (!handlers[handlerName]) return;
 
-  if (handlers.onFill) {
-    hubConnection.on('Fill', (fillData) => {
-      console.log('[SignalR] Fill received:', fillData);
-      handlers.onFill(fillData);
+    hubConnection.on(eventName, (message) => {
+      const data = unwrapEvent(eventName, message);
+      if (!data) return;
+
+      console.log(`[SignalR] ${eventName} received:`, data);
+      handlers[handlerName](data);
     });
+  });
+
+  console.log('[SignalR] Event handlers registered');
+}
+
+/**
+ * Normalize a User Hub event payload
+ * Events may arrive bare or wrapped as {action, data}; account events carry the ID as `id`.
+ * @param {string} eventName - Gateway event name
+ * @param {object} message - Raw payload
+ * @returns {object|null} Event data
+ */
+function unwrapEvent(eventName, message) {
+  const data = message && message.data && typeof message.data === 'object' ? message.data : message;
+  if (!data) return null;
+
+  if (eventName === 'GatewayUserAccount') {
+    return { ...data, accountId: data.accountId ?? data.id };
   }
 
-  if (handlers.onAccountUpdate) {
-    hubConnection.on('AccountUpdate', (accountData) => {
-      console.log('[SignalR] Account update received:', accountData);
-      handlers.onAccountUpdate(accountData);
-    });
+  return data;
+}
+
+/**
+ * Subscribe a login's User Hub to account, order, position and trade updates
+ * The accounts are remembered so every reconnect subscribes them again.
+ * @param {string} loginId - Login ID
+ * @param {Array<number>} [accountIds] - Accounts to add (re-subscribes the remembered set when omitted)
+ * @returns {Promise<boolean>} true if every subscription succeeded
+ */
+async function subscribe(loginId, accountIds = []) {
+  if (!subscribedAccounts.has(loginId)) {
+    subscribedAccounts.set(loginId, new Set());
   }
+  const accounts = subscribedAccounts.get(loginId);
+  accountIds.forEach(accountId => accounts.add(accountId));
 
-  if (handlers.onPositionUpdate) {
-    hubConnection.on('PositionUpdate', (positionData) => {
-      console.log('[SignalR] Position update received:', positionData);
-      handlers.onPositionUpdate(positionData);
-    });
+  const hubConnection = userHubConnections.get(loginId);
+  if (!isConnected(loginId)) {
+    console.warn('[SignalR] Not connected - subscriptions will be sent on reconnect');
+    return false;
   }
 
-  if (handlers.onOrderUpdate) {
-    hubConnection.on('OrderUpdate', (orderData) => {
-      console.log('[SignalR] Order update received:', orderData);
-      handlers.onOrderUpdate(orderData);
-    });
+  try {
+    await hubConnection.invoke('SubscribeAccounts');
+
+    for (const accountId of accounts) {
+      await hubConnection.invoke('SubscribeOrders', accountId);
+      await hubConnection.invoke('SubscribePositions', accountId);
+      await hubConnection.invoke('SubscribeTrades', accountId);
+    }
+
+    console.log(`[SignalR] Subscribed to ${accounts.size} account(s)`);
+    return true;
+  } catch (error) {
+    console.error('[SignalR] Subscription failed:', error);
+    return false;
   }
+}
 
-  console.log('[SignalR] Event handlers registered');
+/**
+ * Stop receiving updates for a login's accounts
+ * @param {string} loginId - Login ID
+ */
+async function unsubscribe(loginId) {
+  const accounts = subscribedAccounts.get(loginId) || new Set();
+  subscribedAccounts.delete(loginId);
+
+  if (!isConnected(loginId)) return;
+
+  const hubConnection = userHubConnections.get(loginId);
+
+  try {
+    for (const accountId of accounts) {
+      await hubConnection.invoke('UnsubscribeOrders', accountId);
+      await hubConnection.invoke('UnsubscribePositions', accountId);
+      await hubConnection.invoke('UnsubscribeTrades', accountId);
+    }
+    await hubConnection.invoke('UnsubscribeAccounts');
+    console.log(`[SignalR] Unsubscribed from ${accounts.size} account(s)`);
+  } catch (error) {
+    console.error('[SignalR] Unsubscribe failed:', error);
+  }
 }
 
 /**
- * Gets the current User Hub connection
+ * Gets a login's User Hub connection
+ * @param {string} loginId - Login ID
  * @returns {object|null} SignalR HubConnection or null
  */
-function getUserHubConnection() {
-  return userHubConnection;
+function getUserHubConnection(loginId) {
+  return userHubConnections.get(loginId) || null;
+}
+
+/**
+ * Forget a login's User Hub connection (stop it first)
+ * @param {string} loginId - Login ID
+ */
+function removeUserHubConnection(loginId) {
+  userHubConnections.delete(loginId);
+  subscribedAccounts.delete(loginId);
 }
 
 /**
- * Checks if User Hub is connected
+ * Checks if a login's User Hub is connected
+ * @param {string} loginId - Login ID
  * @returns {boolean} Connection status
  */
-function isConnected() {
-  return userHubConnection && userHubConnection.state === signalR.HubConnectionState.Connected;
+function isConnected(loginId) {
+  const userHubConnection = userHubConnections.get(loginId);
+  return !!userHubConnection && userHubConnection.state === signalR.HubConnectionState.Connected;
 }
 
 module.exports = {
+  hubLogger,
   buildUserHubConnection,
   startConnection,
+  retryFailedStart,
   stopConnection,
   registerEventHandlers,
+  subscribe,
+  unsubscribe,
   getUserHubConnection,
+  removeUserHubConnection,
   isConnected
 };
@@ -4,97 +4,270 @@
 const authService = require('./authService');
 const signalRService = require('./signalRService');
 const accountManager = require('./accountManager');
+const orderTracker = require('./orderTracker');
+const bracketManager = require('./bracketManager');
+const paperBroker = require('./paperBroker');
+const brokerProfiles = require('./brokerProfiles');
+const reconciliationService = require('./reconciliationService');
+const tradingState = require('./tradingState');
 
 let isInitialized = false;
+const loginStates = new Map(); // loginId -> 'connected' | 'disconnected' | 'error'
 let eventCallbacks = {
   onAccountsLoaded: null,
   onFill: null,
   onAccountUpdate: null,
-  onConnectionStateChanged: null
+  onOrderUpdate: null,
+  onPositionUpdate: null,
+  onConnectionStateChanged: null,
+  onReconciled: null
 };
 
 /**
  * Initialize TopstepX client
- * @param {object} credentials - {username, apiKey}
+ * Each login gets its own auth session, User Hub connection and account set.
+ * @param {Array} logins - [{loginId, username, apiKey, brokerProfile}]
  * @param {object} callbacks - Event callback functions
  */
-async function initialize(credentials, callbacks = {}) {
+async function initialize(logins, callbacks = {}) {
   if (isInitialized) {
     console.warn('[TopstepClient] Already initialized');
     return;
   }
 
-  console.log('[TopstepClient] Initializing...');
+  console.log(`[TopstepClient] Initializing ${logins.length} login(s)...`);
 
   // Store callbacks
   eventCallbacks = { ...eventCallbacks, ...callbacks };
 
-  try {
-    // Initialize auth service with credentials
-    authService.initialize(credentials);
+  // Forward order lifecycle changes to the main process
+  orderTracker.initialize({
+    onOrderChanged: (order, previousStatus) => {
+      // Entry fills place protective legs; leg fills cancel their OCO partner
+      bracketManager.handleOrderUpdate(order);
 
-    // Authenticate and get token
-    console.log('[TopstepClient] Authenticating...');
-    const token = await authService.getAccessToken();
+      if (eventCallbacks.onOrderUpdate) {
+        eventCallbacks.onOrderUpdate(order, previousStatus);
+      }
+    }
+  });
+
+  // Paper accounts get simulated events through the same handlers as the User Hub
+  paperBroker.initialize({
+    onOrderUpdate: handleOrderUpdate,
+    onFill: handleFill,
+    onPositionUpdate: handlePositionUpdate,
+    onAccountUpdate: handleAccountUpdate
+  });
+
+  // Snapshot corrections are applied like hub events
+  reconciliationService.initialize({
+    onFill: handleFill,
+    onOrderUpdate: handleOrderUpdate,
+    onPositionUpdate: handlePositionUpdate,
+    onAccountUpdate: handleAccountUpdate
+  });
+
+  // The master switch is left alone - main applies the startup arming policy
+
+  // One login failing (bad key, firm outage) must not keep the others offline
+  for (const login of logins) {
+    try {
+      await connectLogin(login);
+    } catch (error) {
+      handleLoginFailure(login, error);
+    }
+  }
 
-    // Fetch active accounts
-    console.log('[TopstepClient] Fetching accounts...');
-    const accounts = await authService.getActiveAccounts(token);
+  if (accountManager.getAllAccounts().length === 0) {
+    console.error('[TopstepClient] Initialization failed: no active accounts on any login');
+    throw new Error('No active accounts found');
+  }
 
-    if (!accounts || accounts.length === 0) {
-      throw new Error('No active accounts found');
-    }
+  isInitialized = true;
+  console.log('[TopstepClient] Initialization complete');
+}
 
-    // Initialize account manager with fetched accounts
-    accountManager.initializeAccounts(accounts);
+/**
+ * Authenticate a login, load its accounts and connect its User Hub
+ * @param {object} login - {loginId, username, apiKey, brokerProfile}
+ */
+async function connectLogin(login) {
+  const loginLabel = getLoginLabel(login);
 
-    // Enable master kill switch by default
-    accountManager.setMasterKillSwitch(true);
+  // Point this login's gateway calls at the firm its credentials belong to
+  brokerProfiles.setLoginProfile(login.loginId, login.brokerProfile);
 
-    // Notify main process that accounts are loaded
-    if (eventCallbacks.onAccountsLoaded) {
-      eventCallbacks.onAccountsLoaded(accountManager.getAllAccounts());
-    }
+  // Initialize auth service with credentials
+  authService.initialize(login);
 
-    // Build and start User Hub connection
-    console.log('[TopstepClient] Connecting to User Hub...');
-    const userHub = signalRService.buildUserHubConnection(token);
-
-    // Register SignalR event handlers
-    signalRService.registerEventHandlers(userHub, {
-      onFill: handleFill,
-      onAccountUpdate: handleAccountUpdate,
-      onPositionUpdate: handlePositionUpdate,
-      onOrderUpdate: handleOrderUpdate
-    });
-
-    // Start connection
-    const connected = await signalRService.startConnection(userHub);
-
-    if (connected) {
-      console.log('[TopstepClient] Successfully connected to TopstepX User Hub');
-      if (eventCallbacks.onConnectionStateChanged) {
-        eventCallbacks.onConnectionStateChanged('connected');
-      }
-    } else {
-      console.warn('[TopstepClient] Failed to connect to User Hub, but will auto-retry');
-      if (eventCallbacks.onConnectionStateChanged) {
-        eventCallbacks.onConnectionStateChanged('disconnected');
-      }
-    }
+  // Authenticate and get token
+  console.log(`[TopstepClient] Authenticating ${loginLabel}...`);
+  const token = await authService.getAccessToken(login.loginId);
 
-    isInitialized = true;
-    console.log('[TopstepClient] Initialization complete');
+  // Fetch active accounts
+  console.log(`[TopstepClient] Fetching accounts for ${loginLabel}...`);
+  const accounts = await authService.getActiveAccounts(token, login.loginId);
+
+  if (!accounts || accounts.length === 0) {
+    throw new Error(`No active accounts found for ${loginLabel}`);
+  }
+
+  // Merge this login's accounts into the account manager
+  accountManager.initializeAccounts(accounts, { loginId: login.loginId, loginLabel });
+  tradingState.restoreAccountToggles(accounts.map(account => account.id));
+
+  // Notify main process that accounts are loaded
+  if (eventCallbacks.onAccountsLoaded) {
+    eventCallbacks.onAccountsLoaded(accountManager.getAllAccounts());
+  }
+
+  // Build and start User Hub connection
+  console.log(`[TopstepClient] Connecting ${loginLabel} to User Hub...`);
+  const userHub = signalRService.buildUserHubConnection(login.loginId);
+
+  // Register SignalR event handlers
+  signalRService.registerEventHandlers(userHub, {
+    onFill: handleFill,
+    onAccountUpdate: handleAccountUpdate,
+    onPositionUpdate: handlePositionUpdate,
+    onOrderUpdate: handleOrderUpdate,
+    onReconnected: handleReconnected
+  });
+
+  // Start connection
+  const connected = await signalRService.startConnection(userHub);
+
+  // The account list is kept by signalRService and sent again after every reconnect
+  await signalRService.subscribe(login.loginId, accounts.map(account => account.id));
+
+  if (connected) {
+    console.log(`[TopstepClient] Successfully connected ${loginLabel} to User Hub`);
+  } else {
+    // Automatic reconnect never engages on a first start - rebuild (fresh token) until it connects
+    console.warn(`[TopstepClient] Failed to connect ${loginLabel} to User Hub - retrying`);
+    signalRService.retryFailedStart(login.loginId, userHub);
+  }
+
+  setLoginState(login.loginId, connected ? 'connected' : 'disconnected');
+
+  // Positions, orders and trades from before this run (or before the login was added)
+  await reconcileLogin(login.loginId, reconciliationService.RECONCILE_REASONS.STARTUP);
+}
 
+/**
+ * Connect a login added after startup (or reconnect one whose credentials changed)
+ * @param {object} login - {loginId, username, apiKey, brokerProfile}
+ */
+async function addLogin(login) {
+  if (loginStates.has(login.loginId)) {
+    await removeLogin(login.loginId);
+  }
+
+  try {
+    await connectLogin(login);
+    isInitialized = true;
   } catch (error) {
-    console.error('[TopstepClient] Initialization failed:', error);
-    if (eventCallbacks.onConnectionStateChanged) {
-      eventCallbacks.onConnectionStateChanged('error');
-    }
+    handleLoginFailure(login, error);
     throw error;
   }
 }
 
+/**
+ * Mark a login as failed and drop its session so no request is routed through it
+ * @param {object} login - Login that failed to connect
+ * @param {Error} error - Failure
+ */
+function handleLoginFailure(login, error) {
+  console.error(`[TopstepClient] Login ${getLoginLabel(login)} failed:`, error.message);
+
+  const userHub = signalRService.getUserHubConnection(login.loginId);
+  if (userHub) {
+    signalRService.stopConnection(userHub);
+    signalRService.removeUserHubConnection(login.loginId);
+  }
+
+  authService.removeLogin(login.loginId);
+  brokerProfiles.removeLogin(login.loginId);
+  setLoginState(login.loginId, 'error');
+}
+
+/**
+ * Disconnect a login and drop its accounts
+ * @param {string} loginId - Login ID
+ * @returns {Promise<Array<number>>} Removed account IDs
+ */
+async function removeLogin(loginId) {
+  const userHub = signalRService.getUserHubConnection(loginId);
+  if (userHub) {
+    await signalRService.unsubscribe(loginId);
+    await signalRService.stopConnection(userHub);
+    signalRService.removeUserHubConnection(loginId);
+  }
+
+  const removed = accountManager.removeLoginAccounts(loginId);
+  removed.forEach(accountId => paperBroker.cancelAccountOrders(accountId));
+
+  authService.removeLogin(loginId);
+  brokerProfiles.removeLogin(loginId);
+  loginStates.delete(loginId);
+  notifyConnectionState(loginId);
+
+  if (eventCallbacks.onAccountsLoaded) {
+    eventCallbacks.onAccountsLoaded(accountManager.getAllAccounts());
+  }
+
+  return removed;
+}
+
+/**
+ * Display name for a login (firm and masked username)
+ * @param {object} login - {username, brokerProfile}
+ * @returns {string} Label
+ */
+function getLoginLabel(login) {
+  const profileId = login.brokerProfile || brokerProfiles.DEFAULT_PROFILE_ID;
+  const profile = brokerProfiles.getProfiles().find(p => p.id === profileId);
+  return `${profile ? profile.name : profileId} - ${login.username.substring(0, 3)}***`;
+}
+
+/**
+ * Record a login's connection state and report the combined state
+ * @param {string} loginId - Login ID
+ * @param {string} state - 'connected', 'disconnected' or 'error'
+ */
+function setLoginState(loginId, state) {
+  loginStates.set(loginId, state);
+  notifyConnectionState(loginId);
+}
+
+/**
+ * Report the combined connection state of all logins
+ * Failed logins are reported separately (getLoginStates), so they only count when no login is up.
+ * @param {string} loginId - Login whose state changed
+ */
+function notifyConnectionState(loginId) {
+  if (!eventCallbacks.onConnectionStateChanged || loginStates.size === 0) return;
+
+  const activeStates = Array.from(loginStates.values()).filter(state => state !== 'error');
+  let combined = 'connected';
+  if (activeStates.length === 0) {
+    combined = 'error';
+  } else if (activeStates.includes('disconnected')) {
+    combined = 'disconnected';
+  }
+
+  eventCallbacks.onConnectionStateChanged(combined, loginId);
+}
+
+/**
+ * Get connection state of each login
+ * @returns {object} loginId -> state
+ */
+function getLoginStates() {
+  return Object.fromEntries(loginStates);
+}
+
 /**
  * Handle fill event from SignalR
  * @param {object} fillData - Fill data from User Hub
@@ -107,6 +280,9 @@ function handleFill(fillData) {
     accountManager.addFill(fillData.accountId, fillData);
   }
 
+  // Advance the order this fill belongs to
+  orderTracker.applyFill(fillData);
+
   // Notify main process
   if (eventCallbacks.onFill) {
     eventCallbacks.onFill(fillData);
@@ -120,8 +296,8 @@ function handleFill(fillData) {
 function handleAccountUpdate(accountData) {
   console.log('[TopstepClient] Account update received:', accountData);
 
-  // Update account in manager
-  if (accountData.accountId) {
+  // Update account in manager (the paper broker has already applied its own simulated PnL)
+  if (accountData.accountId && !accountData.paper) {
     // Extract PNL if available
     if (accountData.realizedPnl !== undefined) {
       accountManager.updatePnl(accountData.accountId, accountData.realizedPnl);
@@ -143,15 +319,62 @@ function handleAccountUpdate(accountData) {
 function handlePositionUpdate(positionData) {
   console.log('[TopstepClient] Position update:', positionData);
 
-  if (positionData.accountId) {
+  // Simulated positions are applied by the paper broker - only broker positions land here
+  if (positionData.accountId && !positionData.paper) {
     const account = accountManager.getAccount(positionData.accountId);
     if (account) {
-      // Update account positions
-      accountManager.updateAccount(positionData.accountId, {
-        openPositions: positionData.positions || account.openPositions
-      });
+      if (Array.isArray(positionData.positions)) {
+        // Full position snapshot
+        accountManager.updateAccount(positionData.accountId, {
+          openPositions: positionData.positions
+        });
+      } else if (positionData.contractId) {
+        // Single position event - size 0 means the position was closed
+        accountManager.upsertPosition(positionData.accountId, positionData);
+      }
     }
   }
+
+  // Exits that filled (fully or partly) pull or shrink the protective legs
+  bracketManager.handlePositionUpdate(positionData);
+
+  // Notify main process
+  if (eventCallbacks.onPositionUpdate) {
+    eventCallbacks.onPositionUpdate(positionData);
+  }
+}
+
+/**
+ * Handle a User Hub reconnect - events sent during the gap are lost, so resync from REST
+ * @param {string} loginId - Login whose hub reconnected
+ */
+function handleReconnected(loginId) {
+  setLoginState(loginId, 'connected');
+  reconcileLogin(loginId, reconciliationService.RECONCILE_REASONS.RECONNECT);
+}
+
+/**
+ * Reconcile a login's accounts against a broker snapshot and report the result
+ * @param {string} loginId - Login ID
+ * @param {string} reason - RECONCILE_REASONS value
+ */
+async function reconcileLogin(loginId, reason) {
+  try {
+    const results = await reconciliationService.reconcileLogin(loginId, reason);
+
+    // Entries left pending by the last session get their legs once the account's fills are known
+    for (const result of results) {
+      if (!result.error) {
+        await bracketManager.reconcilePendingEntries(result.accountId);
+      }
+    }
+
+    if (eventCallbacks.onReconciled) {
+      eventCallbacks.onReconciled(results, reason);
+    }
+  } catch (error) {
+    console.error('[TopstepClient] Reconciliation failed:', error.message);
+  }
 }
 
 /**
@@ -160,7 +383,7 @@ function handlePositionUpdate(positionData) {
  */
 function handleOrderUpdate(orderData) {
   console.log('[TopstepClient] Order update:', orderData);
-  // Could track working orders if needed
+  orderTracker.applyOrderUpdate(orderData);
 }
 
 /**
@@ -171,6 +394,15 @@ function getAccounts() {
   return accountManager.getAllAccounts();
 }
 
+/**
+ * Get tracked orders
+ * @param {number} [accountId] - Account ID (all accounts when omitted)
+ * @returns {Array} Tracked orders, newest first
+ */
+function getOrders(accountId) {
+  return orderTracker.getOrders(accountId);
+}
+
 /**
  * Get cumulative PNL across all accounts
  * @returns {number} Total PNL
@@ -205,6 +437,30 @@ function setAccountTrading(accountId, enabled) {
   return accountManager.setAccountTrading(accountId, enabled);
 }
 
+/**
+ * Switch an account between live and paper execution
+ * @param {number} accountId - Account ID
+ * @param {boolean} enabled - true = paper trading
+ * @returns {boolean} true if the account exists
+ */
+function setPaperTrading(accountId, enabled) {
+  // Resting simulated orders would never be seen by the live broker
+  if (!enabled && accountManager.isPaperTrading(accountId)) {
+    paperBroker.cancelAccountOrders(accountId);
+  }
+
+  return accountManager.setPaperTrading(accountId, enabled);
+}
+
+/**
+ * Feed a live market price to the paper trading simulator
+ * @param {string} contractId - TopstepX contract ID
+ * @param {number} price - Last traded price
+ */
+function updateMarketPrice(contractId, price) {
+  paperBroker.updatePrice(contractId, price);
+}
+
 /**
  * Check if trading is allowed for an account
  * @param {number} accountId - Account ID
@@ -228,13 +484,21 @@ function getTradingStatus() {
 async function shutdown() {
   console.log('[TopstepClient] Shutting down...');
 
-  const userHub = signalRService.getUserHubConnection();
-  if (userHub) {
-    await signalRService.stopConnection(userHub);
+  for (const loginId of authService.getLoginIds()) {
+    const userHub = signalRService.getUserHubConnection(loginId);
+    if (userHub) {
+      await signalRService.unsubscribe(loginId);
+      await signalRService.stopConnection(userHub);
+      signalRService.removeUserHubConnection(loginId);
+    }
+    authService.removeLogin(loginId);
+    brokerProfiles.removeLogin(loginId);
   }
 
+  loginStates.clear();
   accountManager.reset();
-  authService.clearToken();
+  orderTracker.reset();
+  paperBroker.reset();
   isInitialized = false;
 
   console.log('[TopstepClient] Shutdown complete');
@@ -242,11 +506,17 @@ async function shutdown() {
 
 module.exports = {
   initialize,
+  addLogin,
+  removeLogin,
+  getLoginStates,
   getAccounts,
+  getOrders,
   getCumulativePnl,
   setMasterKillSwitch,
   getMasterKillSwitch,
   setAccountTrading,
+  setPaperTrading,
+  updateMarketPrice,
   canTrade,
   getTradingStatus,
   shutdown
@@ -0,0 +1,274 @@
+// services/tradeJournal.js
+// Trade Journal - Permanent on-disk history of fills, order transitions and directives, queryable by the dashboard
+
+const fs = require('fs');
+const path = require('path');
+const directiveJournal = require('./directiveJournal');
+const instrumentRegistry = require('./instrumentRegistry');
+const sessionCalendar = require('./sessionCalendar');
+
+const RECORD_TYPES = {
+  FILL: 'fill',
+  ORDER: 'order',
+  DIRECTIVE: 'directive'
+};
+
+// Queries return at most this many records (newest first)
+const MAX_QUERY_RESULTS = 1000;
+
+let journalDir = null;
+let recordedFillIds = new Set(); // Trade IDs already journaled (current and previous trading day)
+
+/**
+ * Open the journal directory
+ * One append-only JSON-lines file per trading day: <dir>/YYYY-MM-DD.jsonl
+ * @param {string} dirPath - Journal directory (in userData)
+ */
+function initialize(dirPath) {
+  journalDir = dirPath;
+  recordedFillIds.clear();
+
+  try {
+    fs.mkdirSync(journalDir, { recursive: true });
+  } catch (error) {
+    console.error('[TradeJournal] Failed to create journal directory:', error);
+    journalDir = null;
+    return;
+  }
+
+  // Reconciliation replays today's trades after a restart - remember which are already on disk
+  const days = listDays().slice(-2);
+  days.forEach(day => {
+    readDay(day)
+      .filter(record => record.type === RECORD_TYPES.FILL && !record.paper)
+      .forEach(record => recordedFillIds.add(String(record.tradeId)));
+  });
+
+  console.log(`[TradeJournal] Journal ready (${listDays().length} day(s) on disk)`);
+}
+
+/**
+ * Record a fill (User Hub trade, reconciliation replay or paper fill)
+ * Redelivered trades are ignored.
+ * @param {object} fill - TopstepX trade {id, accountId, orderId, contractId, side, size, price, profitAndLoss, fees, creationTimestamp}
+ */
+function recordFill(fill) {
+  const tradeId = fill.id !== undefined && fill.id !== null ? String(fill.id) : null;
+  // Broker trades on a paper account (e.g. placed on the firm's platform) are still live fills
+  const paper = !!fill.paper;
+
+  // Paper trade IDs restart with every run, so only broker trades are de-duplicated
+  const dedupKey = paper ? null : tradeId;
+  if (dedupKey && recordedFillIds.has(dedupKey)) return;
+
+  const link = getDirectiveLink(fill.orderId);
+
+  append({
+    type: RECORD_TYPES.FILL,
+    at: fill.creationTimestamp || new Date().toISOString(),
+    accountId: fill.accountId,
+    tradeId,
+    orderId: fill.orderId ?? null,
+    contractId: fill.contractId || null,
+    symbol: link.symbol || getSymbol(fill.contractId),
+    side: fill.side === 0 ? 'BUY' : 'SELL',
+    size: Math.abs(fill.size || 0),
+    price: fill.price ?? null,
+    profitAndLoss: fill.profitAndLoss ?? null,
+    fees: fill.fees ?? null,
+    paper,
+    directiveId: link.directiveId,
+    strategyConfigId: link.strategyConfigId,
+    virtualBotId: link.virtualBotId
+  });
+
+  if (dedupKey) {
+    recordedFillIds.add(dedupKey);
+  }
+}
+
+/**
+ * Record an order status transition
+ * @param {object} order - Tracked order (orderTracker)
+ * @param {string} previousStatus - Status before the transition
+ */
+function recordOrder(order, previousStatus) {
+  const link = getDirectiveLink(order.orderId, order.directiveId);
+
+  append({
+    type: RECORD_TYPES.ORDER,
+    at: order.updatedAt || new Date().toISOString(),
+    accountId: order.accountId,
+    orderId: order.orderId,
+    contractId: order.contractId || null,
+    symbol: link.symbol || order.symbol || getSymbol(order.contractId),
+    side: order.side || null,
+    orderType: order.orderType || null,
+    status: order.status,
+    previousStatus: previousStatus || null,
+    quantity: order.quantity ?? null,
+    filledQuantity: order.filledQuantity,
+    averageFillPrice: order.averageFillPrice ?? null,
+    limitPrice: order.limitPrice ?? null,
+    stopPrice: order.stopPrice ?? null,
+    paper: Number(order.orderId) < 0, // The paper broker hands out negative order IDs
+    directiveId: link.directiveId,
+    strategyConfigId: link.strategyConfigId,
+    virtualBotId: link.virtualBotId
+  });
+}
+
+/**
+ * Record a directive state transition (directiveJournal listener)
+ * @param {object} entry - Directive journal entry
+ * @param {object} record - The transition just written {directiveId, state, at, ...details}
+ */
+function recordDirective(entry, record) {
+  const directive = entry.directive || {};
+  const { directiveId, state, at, directive: _directive, ...details } = record;
+
+  append({
+    type: RECORD_TYPES.DIRECTIVE,
+    at,
+    accountId: directive.accountId !== undefined ? Number(directive.accountId) : null,
+    directiveId,
+    state,
+    symbol: directive.symbol || null,
+    action: directive.action || null,
+    contracts: directive.contracts ?? null,
+    price: directive.price ?? null,
+    strategyConfigId: directive.strategyConfigId || null,
+    virtualBotId: directive.virtualBotId || null,
+    details
+  });
+}
+
+/**
+ * Query the journal
+ * @param {object} [filters] - {from, to (YYYY-MM-DD trading days, default today), accountId, symbol, strategyId, types}
+ * @returns {object} {records (newest first), truncated}
+ */
+function query(filters = {}) {
+  const today = sessionCalendar.getTradingDay();
+  const from = filters.from || today;
+  const to = filters.to || today;
+  const symbol = filters.symbol ? filters.symbol.toUpperCase() : null;
+  const accountId = filters.accountId !== undefined && filters.accountId !== null && filters.accountId !== ''
+    ? Number(filters.accountId)
+    : null;
+
+  const matches = listDays()
+    .filter(day => day >= from && day <= to)
+    .flatMap(readDay)
+    .filter(record => !filters.types || filters.types.includes(record.type))
+    .filter(record => accountId === null || record.accountId === accountId)
+    .filter(record => !symbol ||
+      (record.symbol && record.symbol.toUpperCase().startsWith(symbol)) ||
+      record.contractId === filters.symbol)
+    .filter(record => !filters.strategyId ||
+      record.strategyConfigId === filters.strategyId ||
+      record.virtualBotId === filters.strategyId)
+    .sort((a, b) => new Date(b.at) - new Date(a.at));
+
+  return {
+    records: matches.slice(0, MAX_QUERY_RESULTS),
+    truncated: matches.length > MAX_QUERY_RESULTS
+  };
+}
+
+/**
+ * Directive, strategy and symbol an order was placed for
+ * @param {number|string} orderId - TopstepX order ID
+ * @param {string} [directiveId] - Directive ID when already known
+ * @returns {object} {directiveId, strategyConfigId, virtualBotId, symbol} (nulls when unlinked)
+ */
+function getDirectiveLink(orderId, directiveId) {
+  const id = directiveId || directiveJournal.findByOrderId(orderId);
+  const entry = id ? directiveJournal.getEntry(id) : null;
+  const directive = (entry && entry.directive) || {};
+
+  return {
+    directiveId: id || null,
+    strategyConfigId: directive.strategyConfigId || null,
+    virtualBotId: directive.virtualBotId || null,
+    symbol: directive.symbol || null
+  };
+}
+
+/**
+ * Symbol for a contract without a directive (e.g. manual trades) - the instrument name when known
+ * @param {string} contractId - TopstepX contract ID
+ * @returns {string|null} Symbol
+ */
+function getSymbol(contractId) {
+  const instrument = contractId ? instrumentRegistry.getCachedInstrument(contractId) : null;
+  return instrument ? instrument.name : null;
+}
+
+/**
+ * Append a record to its trading day's file
+ * @param {object} record - Journal record (must carry `at`)
+ */
+function append(record) {
+  if (!journalDir) return;
+
+  const day = sessionCalendar.getTradingDay(new Date(record.at));
+
+  try {
+    fs.appendFileSync(path.join(journalDir, `${day}.jsonl`), JSON.stringify(record) + '\n');
+  } catch (error) {
+    console.error('[TradeJournal] Failed to write journal:', error);
+  }
+}
+
+/**
+ * Trading days with a journal file, oldest first
+ * @returns {Array<string>} YYYY-MM-DD
+ */
+function listDays() {
+  if (!journalDir) return [];
+
+  try {
+    return fs.readdirSync(journalDir)
+      .filter(name => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name))
+      .map(name => name.slice(0, 10))
+      .sort();
+  } catch (error) {
+    console.error('[TradeJournal] Failed to list journal files:', error);
+    return [];
+  }
+}
+
+/**
+ * Read one trading day's records
+ * @param {string} day - YYYY-MM-DD
+ * @returns {Array} Records
+ */
+function readDay(day) {
+  try {
+    return fs.readFileSync(path.join(journalDir, `${day}.jsonl`), 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          // A torn final line after a crash is expected - skip it
+          return null;
+        }
+      })
+      .filter(Boolean);
+  } catch (error) {
+    console.error(`[TradeJournal] Failed to read ${day}:`, error);
+    return [];
+  }
+}
+
+module.exports = {
+  RECORD_TYPES,
+  initialize,
+  recordFill,
+  recordOrder,
+  recordDirective,
+  query
+};
@@ -0,0 +1,236 @@
+// services/tradingState.js
+// Trading State - Persisted master/per-account trading and paper toggles, startup arming policy and crash detection
+
+const fs = require('fs');
+const config = require('../config');
+const accountManager = require('./accountManager');
+
+// What the master switch does when the app starts
+const STARTUP_POLICIES = {
+  RESTORE: 'restore', // Same state as when the app last closed (disarmed after a crash)
+  DISARMED: 'disarmed', // Always start disarmed
+  MANUAL: 'manual' // Start disarmed and ask the user to arm
+};
+
+let stateFile = null;
+let markerFile = null;
+let state = {
+  startupPolicy: config.TRADING_STARTUP_POLICY,
+  masterEnabled: false,
+  accounts: {} // accountId -> {tradingEnabled, paperTrading}
+};
+let stateUnknown = false; // State file exists but could not be read - nobody knows which accounts were paper
+let crashedLastRun = false;
+let confirmationRequired = false;
+
+/**
+ * Load persisted toggles and check whether the previous run exited cleanly
+ * The session marker is written now and removed by markCleanShutdown() - finding it at startup means a crash.
+ * @param {string} filePath - Path to the state file (in userData)
+ * @param {string} markerPath - Path to the session marker file (in userData)
+ */
+function initialize(filePath, markerPath) {
+  stateFile = filePath;
+  markerFile = markerPath;
+
+  try {
+    if (fs.existsSync(stateFile)) {
+      const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+      state = {
+        ...state,
+        ...saved,
+        accounts: saved.accounts || {}
+      };
+    }
+  } catch (error) {
+    console.error('[TradingState] Failed to load trading state - every account starts disarmed:', error);
+    stateUnknown = true;
+  }
+
+  if (!Object.values(STARTUP_POLICIES).includes(state.startupPolicy)) {
+    console.warn(`[TradingState] Unknown startup policy "${state.startupPolicy}" - using ${STARTUP_POLICIES.DISARMED}`);
+    state.startupPolicy = STARTUP_POLICIES.DISARMED;
+  }
+
+  crashedLastRun = fs.existsSync(markerFile);
+  confirmationRequired = crashedLastRun;
+
+  try {
+    fs.writeFileSync(markerFile, JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() }));
+  } catch (error) {
+    console.error('[TradingState] Failed to write session marker:', error);
+  }
+
+  console.log(`[TradingState] Startup policy: ${state.startupPolicy}${crashedLastRun ? ' (previous session ended unexpectedly)' : ''}`);
+}
+
+/**
+ * Decide the master switch state for this launch
+ * @returns {object} {armed, prompt (ask the user to arm), reason}
+ */
+function getStartupArming() {
+  if (stateUnknown) {
+    return { armed: false, prompt: true, reason: 'The saved trading state could not be read' };
+  }
+
+  if (state.startupPolicy === STARTUP_POLICIES.DISARMED) {
+    return { armed: false, prompt: false, reason: 'Startup policy: always start disarmed' };
+  }
+
+  if (state.startupPolicy === STARTUP_POLICIES.MANUAL) {
+    return {
+      armed: false,
+      prompt: true,
+      reason: crashedLastRun ? 'The previous session ended unexpectedly' : 'Startup policy: arm manually'
+    };
+  }
+
+  if (!state.masterEnabled) {
+    return { armed: false, prompt: false, reason: 'Trading was disarmed when the app last closed' };
+  }
+
+  // Never resume live trading unattended after a crash
+  if (crashedLastRun) {
+    return { armed: false, prompt: true, reason: 'The previous session ended unexpectedly' };
+  }
+
+  return { armed: true, prompt: false, reason: 'Restored from the last session' };
+}
+
+/**
+ * Re-apply saved per-account toggles after a login's accounts are loaded
+ * Accounts without a saved toggle keep the account manager's default (live, enabled).
+ * If the saved state could not be read, a paper account might otherwise be routed live, so every account is disarmed.
+ * @param {Array<number>} accountIds - Account IDs just loaded
+ */
+function restoreAccountToggles(accountIds) {
+  accountIds.forEach(accountId => {
+    if (stateUnknown) {
+      console.warn(`[TradingState] Account ${accountId} disarmed - saved execution mode unknown`);
+      accountManager.setAccountTrading(accountId, false);
+      return;
+    }
+
+    const saved = state.accounts[accountId];
+    if (saved && typeof saved.paperTrading === 'boolean') {
+      accountManager.setPaperTrading(accountId, saved.paperTrading);
+    }
+    if (saved && typeof saved.tradingEnabled === 'boolean') {
+      accountManager.setAccountTrading(accountId, saved.tradingEnabled);
+    }
+  });
+}
+
+/**
+ * Remember the master switch state
+ * @param {boolean} enabled - true = trading enabled
+ */
+function setMasterEnabled(enabled) {
+  state.masterEnabled = !!enabled;
+
+  // The first confirmed arm clears the post-crash confirmation
+  if (enabled) {
+    confirmationRequired = false;
+  }
+
+  save();
+}
+
+/**
+ * Remember an account's trading toggle
+ * @param {number} accountId - Account ID
+ * @param {boolean} enabled - Trading enabled/disabled
+ */
+function setAccountEnabled(accountId, enabled) {
+  state.accounts[accountId] = { ...state.accounts[accountId], tradingEnabled: !!enabled };
+  save();
+}
+
+/**
+ * Remember an account's execution mode
+ * @param {number} accountId - Account ID
+ * @param {boolean} enabled - true = paper trading
+ */
+function setAccountPaperTrading(accountId, enabled) {
+  state.accounts[accountId] = { ...state.accounts[accountId], paperTrading: !!enabled };
+  save();
+}
+
+/**
+ * Change the startup policy
+ * @param {string} policy - One of STARTUP_POLICIES
+ * @returns {object} {success, startupPolicy} or {success: false, error}
+ */
+function setStartupPolicy(policy) {
+  if (!Object.values(STARTUP_POLICIES).includes(policy)) {
+    return { success: false, error: `Unknown startup policy: ${policy}` };
+  }
+
+  state.startupPolicy = policy;
+  save();
+
+  console.log(`[TradingState] Startup policy set to: ${policy}`);
+  return { success: true, startupPolicy: policy };
+}
+
+/**
+ * Startup settings for the dashboard
+ * @returns {object} {startupPolicy, crashedLastRun, confirmationRequired}
+ */
+function getSettings() {
+  return {
+    startupPolicy: state.startupPolicy,
+    crashedLastRun,
+    confirmationRequired
+  };
+}
+
+/**
+ * Whether arming still needs explicit confirmation (previous run crashed and nobody has armed since)
+ * @returns {boolean} True if confirmation is required
+ */
+function isConfirmationRequired() {
+  return confirmationRequired;
+}
+
+/**
+ * Remove the session marker so the next launch knows this one exited cleanly
+ */
+function markCleanShutdown() {
+  if (!markerFile) return;
+
+  try {
+    if (fs.existsSync(markerFile)) {
+      fs.unlinkSync(markerFile);
+    }
+  } catch (error) {
+    console.error('[TradingState] Failed to remove session marker:', error);
+  }
+}
+
+/**
+ * Persist toggles and policy to disk
+ */
+function save() {
+  if (!stateFile) return;
+
+  try {
+    fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+  } catch (error) {
+    console.error('[TradingState] Failed to save trading state:', error);
+  }
+}
+
+module.exports = {
+  STARTUP_POLICIES,
+  initialize,
+  getStartupArming,
+  restoreAccountToggles,
+  setMasterEnabled,
+  setAccountEnabled,
+  setAccountPaperTrading,
+  setStartupPolicy,
+  getSettings,
+  isConfirmationRequired,
+  markCleanShutdown
+};
@@ -1,6 +1,33 @@
 // src/App.js - Main React Component (Dashboard UI)
 const { useState, useEffect } = React;
 
+// Per-account limits editable from the account card (empty disables the rule)
+const RISK_LIMIT_FIELDS = [
+  { key: 'maxPositionPerSymbol', label: 'Max Contracts per Symbol', type: 'integer' },
+  { key: 'maxOpenContracts', label: 'Max Open Contracts', type: 'integer' },
+  { key: 'maxOrdersPerMinute', label: 'Max Orders per Minute', type: 'integer' },
+  { key: 'allowedSymbols', label: 'Allowed Symbols (e.g. ES, NQ)', type: 'symbols' },
+  { key: 'dailyLossLimit', label: 'Daily Loss Limit ($)', type: 'amount' },
+  { key: 'maxTrailingDrawdown', label: 'Trailing Drawdown ($)', type: 'amount' },
+  { key: 'drawdownWarningBuffer', label: 'Warn Within ($)', type: 'amount' },
+  { key: 'drawdownTripBuffer', label: 'Flatten Within ($)', type: 'amount' }
+];
+
+// Editor text -> limit value ('' disables the rule, or allows every symbol)
+const parseLimitValue = (field, text) => {
+  const value = text.trim();
+  if (field.type === 'symbols') {
+    return value.split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean);
+  }
+  return value === '' ? null : Number(value);
+};
+
+// Limit value -> editor text
+const formatLimitValue = (field, value) => {
+  if (field.type === 'symbols') return (value || []).join(', ');
+  return value === null || value === undefined ? '' : String(value);
+};
+
 function App() {
   const [pnl, setPnl] = useState(0);
   const [pnlChange, setPnlChange] = useState(0);
@@ -13,7 +40,19 @@ function App() {
   // TopstepX state
   const [accounts, setAccounts] = useState([]);
   const [masterKillSwitch, setMasterKillSwitch] = useState(false);
-  const [fills, setFills] = useState([]);
+  const [tradingSettings, setTradingSettings] = useState(null);
+  const [flattenNotice, setFlattenNotice] = useState(null);
+  const [reconcileNotice, setReconcileNotice] = useState(null);
+  const [bracketNotice, setBracketNotice] = useState(null);
+  const [limitsEditor, setLimitsEditor] = useState(null); // {accountId, values, error}
+  const [history, setHistory] = useState({ records: [], truncated: false });
+  const [historyFilters, setHistoryFilters] = useState({ from: '', to: '', accountId: '', symbol: '', strategyId: '' });
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [pnlBreakdown, setPnlBreakdown] = useState(null);
+  const [pnlGroupBy, setPnlGroupBy] = useState('bySymbol');
+  const [pnlVersion, setPnlVersion] = useState(0);
+  const [orders, setOrders] = useState([]);
+  const [quotes, setQuotes] = useState({});
 
   // Cloud connection state
   const [cloudConnectionStatus, setCloudConnectionStatus] = useState('disconnected');
@@ -54,6 +93,22 @@ function App() {
         setLastDirective(data);
       });
 
+      // Listen for directives rejected before execution
+      window.electronAPI.onSignalRejected((data) => {
+        console.warn('Directive rejected:', data.reasonCode, data.reason);
+        setLastDirective(prev => ({
+          ...(prev && prev.directiveId === data.directiveId ? prev : {
+            directiveId: data.directiveId,
+            action: data.action,
+            instrument: data.symbol,
+            lots: data.contracts,
+            price: data.price,
+            timestamp: data.timestamp
+          }),
+          rejection: { code: data.reasonCode, reason: data.reason }
+        }));
+      });
+
       // Listen for application state changes
       window.electronAPI.onAppStateChanged((data) => {
         setAppState(data.state);
@@ -72,16 +127,121 @@ function App() {
         setAccounts(accountsData);
       });
 
-      // Listen for fill updates
+      // Listen for fill updates - the journal has recorded them, so reload the history
       window.electronAPI.onFillUpdate((fillData) => {
         console.log('Fill received:', fillData);
-        setFills(prevFills => [fillData, ...prevFills].slice(0, 10)); // Keep last 10 fills
+        setHistoryVersion(version => version + 1);
+      });
+
+      // Listen for new round trips and PnL discrepancies from the FIFO ledger
+      window.electronAPI.onPnlLedgerUpdate(() => {
+        setPnlVersion(version => version + 1);
+      });
+
+      window.electronAPI.onPnlDiscrepancy((discrepancy) => {
+        console.warn('PnL discrepancy:', discrepancy.message);
+        setPnlVersion(version => version + 1);
+      });
+
+      // Listen for order lifecycle updates
+      window.electronAPI.onOrderUpdate((order) => {
+        setOrders(prevOrders => [order, ...prevOrders.filter(o => o.orderId !== order.orderId)]);
       });
 
-      // Listen for trading status changes from cloud
+      // Listen for live quotes (throttled by the main process)
+      window.electronAPI.onQuoteUpdate((quote) => {
+        setQuotes(prevQuotes => ({ ...prevQuotes, [quote.contractId]: quote }));
+      });
+
+      // Listen for unrealized PnL from marked-to-market positions
+      window.electronAPI.onValuationUpdate((data) => {
+        setAccounts(prevAccounts =>
+          prevAccounts.map(a => {
+            const valuation = data.accounts.find(v => v.accountId === a.id);
+            return valuation
+              ? {
+                ...a,
+                unrealizedPnl: valuation.unrealizedPnl,
+                unrealizedPnlComplete: valuation.unrealizedPnlComplete,
+                openPositions: valuation.openPositions,
+                paperUnrealizedPnl: valuation.paperUnrealizedPnl,
+                paperUnrealizedPnlComplete: valuation.paperUnrealizedPnlComplete,
+                paperPositions: valuation.paperPositions
+              }
+              : a;
+          })
+        );
+      });
+
+      // Listen for loss-limit warnings and trips
+      window.electronAPI.onRiskStatusChanged((status) => {
+        setAccounts(prevAccounts =>
+          prevAccounts.map(a =>
+            a.id === status.accountId
+              ? {
+                ...a,
+                riskStatus: status.status,
+                riskStatusReason: status.reason,
+                tradingEnabled: status.tradingEnabled ?? a.tradingEnabled
+              }
+              : a
+          )
+        );
+      });
+
+      // Listen for flattens (dashboard, tray, cloud or session cutoff)
+      window.electronAPI.onFlattenCompleted((data) => {
+        const failed = data.results.filter(r => !r.success);
+        setFlattenNotice({
+          success: failed.length === 0,
+          message: failed.length === 0
+            ? `${data.reason}: ${data.results.length} account(s) flat`
+            : `${data.reason}: failed on account(s) ${failed.map(r => r.accountId).join(', ')} - check the broker`,
+          timestamp: data.timestamp
+        });
+      });
+
+      // Listen for bracket legs the broker would not take
+      window.electronAPI.onBracketAlert((alert) => {
+        const leg = alert.leg === 'stopLoss' ? 'Stop-loss' : 'Take-profit';
+        let outcome = 'position kept';
+        if (alert.leg === 'stopLoss') {
+          outcome = alert.flattened ? 'position closed' : 'closing the position also failed - check the broker';
+        }
+
+        setBracketNotice({
+          message: `${leg} failed for ${alert.symbol || alert.contractId} on account ${alert.accountId} (${alert.reason}) - ${outcome}`,
+          timestamp: alert.at
+        });
+      });
+
+      // Listen for broker resyncs - only corrections and failures are worth showing
+      // (a startup snapshot loads state rather than correcting it)
+      window.electronAPI.onReconciliationCompleted((data) => {
+        const discrepancies = data.reason === 'startup'
+          ? []
+          : data.results.flatMap(r => r.discrepancies.map(d => `Account ${r.accountId}: ${d.message}`));
+        const failed = data.results.filter(r => r.error);
+        if (discrepancies.length === 0 && failed.length === 0) return;
+
+        setReconcileNotice({
+          message: failed.length > 0
+            ? `Broker resync (${data.reason}) failed on account(s) ${failed.map(r => r.accountId).join(', ')} - check the broker`
+            : `Broker resync (${data.reason}): ${discrepancies.length} correction(s) applied`,
+          details: discrepancies,
+          timestamp: data.timestamp
+        });
+      });
+
+      // Listen for trading status changes (cloud, startup policy)
       window.electronAPI.onTradingStatusChanged((data) => {
-        console.log('Trading status changed from cloud:', data);
+        console.log(`Trading status changed (${data.source}):`, data);
         setMasterKillSwitch(data.enabled);
+
+        // Arming once clears the post-crash confirmation
+        if (data.enabled) {
+          setTradingSettings(prev => prev && { ...prev, confirmationRequired: false });
+        }
       });
 
       // Listen for cloud connection status changes
@@ -97,10 +257,24 @@ function App() {
         }
       });
 
+      window.electronAPI.getOrders().then((ordersData) => {
+        if (ordersData && ordersData.length > 0) {
+          setOrders(ordersData);
+        }
+      });
+
+      window.electronAPI.getQuotes().then((quotesData) => {
+        setQuotes(Object.fromEntries((quotesData || []).map(q => [q.contractId, q])));
+      });
+
       window.electronAPI.getMasterKillSwitch().then((enabled) => {
         setMasterKillSwitch(enabled);
       });
 
+      window.electronAPI.getTradingSettings().then((settings) => {
+        setTradingSettings(settings);
+      });
+
       // Get app version
       window.electronAPI.getAppVersion().then((version) => {
         setAppVersion(version);
@@ -108,6 +282,39 @@ function App() {
     }
   }, []);
 
+  // Trade history from the journal (empty dates mean the current trading day)
+  useEffect(() => {
+    if (!window.electronAPI) return;
+
+    window.electronAPI.queryTradeJournal({
+      from: historyFilters.from || undefined,
+      to: historyFilters.to || undefined,
+      accountId: historyFilters.accountId,
+      symbol: historyFilters.symbol.trim(),
+      strategyId: historyFilters.strategyId.trim(),
+      types: ['fill']
+    }).then((result) => {
+      if (result.success) {
+        setHistory({ records: result.records, truncated: result.truncated });
+      } else {
+        console.error('Trade history query failed:', result.error);
+      }
+    });
+  }, [historyFilters, historyVersion]);
+
+  // Realized PnL breakdown (reloaded whenever the ledger closes a round trip)
+  useEffect(() => {
+    if (!window.electronAPI) return;
+
+    window.electronAPI.getPnlBreakdown().then((breakdown) => {
+      setPnlBreakdown(breakdown);
+    });
+  }, [pnlVersion]);
+
+  const updateHistoryFilter = (field, value) => {
+    setHistoryFilters(prev => ({ ...prev, [field]: value }));
+  };
+
   const getStatusLabel = (state) => {
     const labels = {
       'connecting': 'Connecting...',
@@ -160,6 +367,17 @@ function App() {
     const result = await window.electronAPI.setMasterKillSwitch(newValue);
     if (result.success) {
       setMasterKillSwitch(newValue);
+    } else {
+      console.warn('Master kill switch change refused:', result.error);
+    }
+  };
+
+  const handleStartupPolicyChange = async (policy) => {
+    const result = await window.electronAPI.setTradingStartupPolicy(policy);
+    if (result.success) {
+      setTradingSettings(prev => ({ ...prev, startupPolicy: result.startupPolicy }));
+    } else {
+      console.error('Failed to set startup policy:', result.error);
     }
   };
 
@@ -180,6 +398,88 @@ function App() {
     }
   };
 
+  const handlePaperTradingToggle = async (accountId) => {
+    const account = accounts.find(a => a.id === accountId);
+    if (!account) return;
+
+    const newValue = !account.paperTrading;
+    const result = await window.electronAPI.setAccountPaperTrading(accountId, newValue);
+
+    if (result.success) {
+      setAccounts(prevAccounts =>
+        prevAccounts.map(a =>
+          a.id === accountId ? { ...a, paperTrading: newValue } : a
+        )
+      );
+    } else {
+      console.error('Paper trading toggle failed:', result.error);
+    }
+  };
+
+  // Risk limit handlers
+  const handleEditLimits = async (accountId) => {
+    if (limitsEditor && limitsEditor.accountId === accountId) {
+      setLimitsEditor(null);
+      return;
+    }
+
+    const limits = await window.electronAPI.getRiskLimits(accountId);
+    const values = {};
+    RISK_LIMIT_FIELDS.forEach(field => {
+      values[field.key] = formatLimitValue(field, limits[field.key]);
+    });
+    setLimitsEditor({ accountId, values, error: null });
+  };
+
+  const handleSaveLimits = async () => {
+    const limits = {};
+    RISK_LIMIT_FIELDS.forEach(field => {
+      limits[field.key] = parseLimitValue(field, limitsEditor.values[field.key]);
+    });
+
+    const result = await window.electronAPI.setRiskLimits(limitsEditor.accountId, limits);
+    if (result.success) {
+      setLimitsEditor(null);
+    } else {
+      setLimitsEditor(prev => ({ ...prev, error: result.error }));
+    }
+  };
+
+  // Order management handlers
+  const handleCancelOrder = async (order) => {
+    const result = await window.electronAPI.cancelOrder(order.accountId, order.orderId);
+    if (!result.success) {
+      console.error('Cancel failed:', result.error);
+    }
+  };
+
+  const handleCancelAllOrders = async (accountId) => {
+    const result = await window.electronAPI.cancelAllOrders(accountId);
+    if (!result.success) {
+      console.error('Cancel all failed:', result.error || result.failed);
+    }
+  };
+
+  const handleFlattenAll = async (accountId) => {
+    const target = accountId ? `account ${accountId}` : 'every account';
+    if (!window.confirm(`Disable trading, cancel all working orders and close all positions on ${target}?`)) return;
+
+    const result = await window.electronAPI.flattenAll(accountId);
+    if (!result.success) {
+      console.error('Flatten failed:', result.error || result.results);
+    }
+  };
+
+  const totalUnrealizedPnl = accounts.reduce((total, a) => total + (a.unrealizedPnl || 0), 0);
+
+  const workingStatuses = ['pending', 'working', 'partially_filled'];
+  const workingOrders = orders.filter(o => workingStatuses.includes(o.status));
+
+  const formatOrderPrice = (order) => {
+    if (order.limitPrice && order.stopPrice) return `${order.stopPrice} / ${order.limitPrice}`;
+    return order.limitPrice || order.stopPrice || 'MKT';
+  };
+
   return (
     <div className={`dashboard ${theme}`}>
       <header className="dashboard-header">
@@ -188,10 +488,34 @@ function App() {
           <button
             className={`kill-switch-header ${masterKillSwitch ? 'enabled' : 'disabled'}`}
             onClick={handleMasterKillSwitchToggle}
-            title={masterKillSwitch ? 'Click to disable all trading' : 'Click to enable all trading'}
+            title={masterKillSwitch
+              ? 'Click to disable all trading'
+              : tradingSettings && tradingSettings.confirmationRequired
+                ? 'Previous session ended unexpectedly - enabling asks for confirmation'
+                : 'Click to enable all trading'}
           >
             Trading: {masterKillSwitch ? 'ENABLED' : 'DISABLED'}
           </button>
+          {tradingSettings && (
+            <select
+              className="startup-policy-select"
+              value={tradingSettings.startupPolicy}
+              onChange={(e) => handleStartupPolicyChange(e.target.value)}
+              title="Trading state when the app starts"
+            >
+              <option value="restore">On launch: restore last state</option>
+              <option value="disarmed">On launch: start disabled</option>
+              <option value="manual">On launch: ask to enable</option>
+            </select>
+          )}
+          <button
+            className="flatten-all-header"
+            onClick={() => handleFlattenAll()}
+            disabled={accounts.length === 0}
+            title="Cancel all working orders and close all positions"
+          >
+            Flatten All
+          </button>
           <div className="status-indicator">
             <span className={`status-dot ${cloudConnectionStatus === 'connected' ? 'connected' : cloudConnectionStatus === 'reconnecting' ? 'warning' : 'disconnected'}`}></span>
             <span>Cloud: {cloudConnectionStatus === 'connected' ? 'Connected' : cloudConnectionStatus === 'reconnecting' ? 'Reconnecting...' : cloudConnectionStatus === 'error' ? 'Disconnected' : 'Disconnected'}</span>
@@ -201,19 +525,54 @@ function App() {
 
       <div className="dashboard-content">
 
+        {flattenNotice && (
+          <div className={`flatten-notice ${flattenNotice.success ? 'success' : 'failed'}`}>
+            <span>{flattenNotice.message}</span>
+            <button className="flatten-notice-dismiss" onClick={() => setFlattenNotice(null)}>×</button>
+          </div>
+        )}
+
+        {bracketNotice && (
+          <div className="flatten-notice failed">
+            <span>{bracketNotice.message}</span>
+            <button className="flatten-notice-dismiss" onClick={() => setBracketNotice(null)}>×</button>
+          </div>
+        )}
+
+        {reconcileNotice && (
+          <div className="reconcile-notice">
+            <div className="reconcile-notice-header">
+              <span>{reconcileNotice.message}</span>
+              <button className="flatten-notice-dismiss" onClick={() => setReconcileNotice(null)}>×</button>
+            </div>
+            {reconcileNotice.details.length > 0 && (
+              <ul className="reconcile-notice-details">
+                {reconcileNotice.details.map((detail, i) => <li key={i}>{detail}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+
         {/* TopstepX Accounts */}
         {accounts.length > 0 && (
           <section className="accounts-section">
             <div className="section-header">
               <h2>TopstepX Accounts ({accounts.length})</h2>
+              <span className={`unrealized-total ${totalUnrealizedPnl >= 0 ? 'positive' : 'negative'}`}>
+                Unrealized: {formatCurrency(totalUnrealizedPnl)}
+              </span>
             </div>
             <div className="accounts-grid">
               {accounts.map((account) => (
                 <div key={account.id} className="account-card">
                   <div className="account-header">
                     <div className="account-info">
-                      <h3>{account.name || `Account ${account.id}`}</h3>
+                      <h3>
+                        {account.name || `Account ${account.id}`}
+                        {account.paperTrading && <span className="paper-badge">PAPER</span>}
+                      </h3>
                       <span className="account-id">ID: {account.id}</span>
+                      {account.loginLabel && <span className="account-login">{account.loginLabel}</span>}
                     </div>
                     <button
                       className={`account-toggle ${account.tradingEnabled ? 'enabled' : 'disabled'}`}
@@ -223,6 +582,12 @@ function App() {
                       {account.tradingEnabled ? 'Trading ON' : 'Trading OFF'}
                     </button>
                   </div>
+                  {account.riskStatus && account.riskStatus !== 'ok' && (
+                    <div className={`risk-banner ${account.riskStatus}`}>
+                      {account.riskStatus === 'tripped' ? 'Locked: ' : 'Warning: '}
+                      {account.riskStatusReason}
+                    </div>
+                  )}
                   <div className="account-stats">
                     <div className="stat">
                       <label>Balance</label>
@@ -234,17 +599,294 @@ function App() {
                         {formatCurrency(account.pnl || 0)}
                       </span>
                     </div>
+                    <div className="stat">
+                      <label>Unrealized</label>
+                      <span
+                        className={(account.unrealizedPnl || 0) >= 0 ? 'positive' : 'negative'}
+                        title={account.unrealizedPnlComplete === false ? 'Some positions have no quote yet' : undefined}
+                      >
+                        {formatCurrency(account.unrealizedPnl || 0)}
+                        {account.unrealizedPnlComplete === false && '*'}
+                      </span>
+                    </div>
                     <div className="stat">
                       <label>Positions</label>
                       <span>{(account.openPositions || []).length}</span>
                     </div>
                   </div>
+                  {account.paperTrading && (
+                    <div className="account-stats paper-stats">
+                      <div className="stat">
+                        <label>Paper PNL</label>
+                        <span className={(account.paperPnl || 0) >= 0 ? 'positive' : 'negative'}>
+                          {formatCurrency(account.paperPnl || 0)}
+                        </span>
+                      </div>
+                      <div className="stat">
+                        <label>Paper Unrealized</label>
+                        <span className={(account.paperUnrealizedPnl || 0) >= 0 ? 'positive' : 'negative'}>
+                          {formatCurrency(account.paperUnrealizedPnl || 0)}
+                          {account.paperUnrealizedPnlComplete === false && '*'}
+                        </span>
+                      </div>
+                      <div className="stat">
+                        <label>Paper Positions</label>
+                        <span>{(account.paperPositions || []).length}</span>
+                      </div>
+                    </div>
+                  )}
+                  {limitsEditor && limitsEditor.accountId === account.id && (
+                    <div className="limits-editor">
+                      <div className="limits-editor-fields">
+                        {RISK_LIMIT_FIELDS.map(({ key, label, type }) => (
+                          <label key={key}>
+                            <span>{label}</span>
+                            <input
+                              type={type === 'symbols' ? 'text' : 'number'}
+                              min="0"
+                              step={type === 'integer' ? '1' : 'any'}
+                              value={limitsEditor.values[key]}
+                              placeholder={type === 'symbols' ? 'All' : 'Off'}
+                              onChange={(e) => {
+                                const value = e.target.value;
+                                setLimitsEditor(prev => ({ ...prev, values: { ...prev.values, [key]: value } }));
+                              }}
+                            />
+                          </label>
+                        ))}
+                      </div>
+                      {limitsEditor.error && <div className="limits-editor-error">{limitsEditor.error}</div>}
+                      <div className="limits-editor-actions">
+                        <button className="paper-toggle-button" onClick={() => setLimitsEditor(null)}>Cancel</button>
+                        <button className="paper-toggle-button" onClick={handleSaveLimits}>Save Limits</button>
+                      </div>
+                    </div>
+                  )}
+                  <div className="account-actions">
+                    <button
+                      className="paper-toggle-button"
+                      onClick={() => handleEditLimits(account.id)}
+                    >
+                      Limits
+                    </button>
+                    <button
+                      className="paper-toggle-button"
+                      onClick={() => handlePaperTradingToggle(account.id)}
+                    >
+                      {account.paperTrading ? 'Switch to Live' : 'Switch to Paper'}
+                    </button>
+                    {workingOrders.some(o => o.accountId === account.id) && (
+                      <button
+                        className="order-cancel-button"
+                        onClick={() => handleCancelAllOrders(account.id)}
+                      >
+                        Cancel All Orders
+                      </button>
+                    )}
+                    <button
+                      className="flatten-button"
+                      onClick={() => handleFlattenAll(account.id)}
+                    >
+                      Flatten
+                    </button>
+                  </div>
                 </div>
               ))}
             </div>
           </section>
         )}
 
+        {/* Market Quotes */}
+        {Object.keys(quotes).length > 0 && (
+          <section className="quotes-section">
+            <div className="section-header">
+              <h2>Market</h2>
+            </div>
+            <table className="orders-table">
+              <thead>
+                <tr>
+                  <th>Contract</th>
+                  <th>Last</th>
+                  <th>Bid</th>
+                  <th>Ask</th>
+                  <th>Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.values(quotes).map((quote) => (
+                  <tr key={quote.contractId}>
+                    <td className="instrument">{quote.contractId}</td>
+                    <td>{quote.last ?? '-'}</td>
+                    <td>{quote.bid ?? '-'}</td>
+                    <td>{quote.ask ?? '-'}</td>
+                    <td className={quote.change >= 0 ? 'positive' : 'negative'}>{quote.change ?? '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        )}
+
+        {/* Working Orders */}
+        {workingOrders.length > 0 && (
+          <section className="orders-section">
+            <div className="section-header">
+              <h2>Working Orders ({workingOrders.length})</h2>
+            </div>
+            <table className="orders-table">
+              <thead>
+                <tr>
+                  <th>Account</th>
+                  <th>Contract</th>
+                  <th>Side</th>
+                  <th>Type</th>
+                  <th>Filled</th>
+                  <th>Price</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {workingOrders.map((order) => (
+                  <tr key={order.orderId}>
+                    <td>{order.accountId}</td>
+                    <td className="instrument">{order.contractId}</td>
+                    <td className={order.side === 'BUY' ? 'positive' : 'negative'}>{order.side}</td>
+                    <td>{order.orderType || '-'}</td>
+                    <td>{order.filledQuantity}/{order.quantity || '-'}</td>
+                    <td>{formatOrderPrice(order)}</td>
+                    <td>{order.status.replace('_', ' ')}</td>
+                    <td>
+                      <button className="order-cancel-button" onClick={() => handleCancelOrder(order)}>
+                        Cancel
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        )}
+
+        {/* Realized PnL (FIFO round trips) */}
+        {pnlBreakdown && pnlBreakdown.accounts.length > 0 && (
+          <section className="orders-section">
+            <div className="section-header">
+              <h2>Realized PnL ({pnlBreakdown.tradingDay})</h2>
+              <select value={pnlGroupBy} onChange={(e) => setPnlGroupBy(e.target.value)}>
+                <option value="bySymbol">By symbol</option>
+                <option value="byStrategy">By strategy</option>
+              </select>
+            </div>
+            {pnlBreakdown.discrepancies.length > 0 && (
+              <div className="reconcile-notice">
+                <div className="reconcile-notice-header">
+                  <span>Computed PnL differs from the broker</span>
+                </div>
+                <ul className="reconcile-notice-details">
+                  {pnlBreakdown.discrepancies.map((d, i) => <li key={i}>{d.message}</li>)}
+                </ul>
+              </div>
+            )}
+            <table className="orders-table">
+              <thead>
+                <tr>
+                  <th>Account</th>
+                  <th>{pnlGroupBy === 'bySymbol' ? 'Symbol' : 'Strategy'}</th>
+                  <th>Trades</th>
+                  <th>Gross</th>
+                  <th>Fees</th>
+                  <th>Net</th>
+                </tr>
+              </thead>
+              <tbody>
+                {pnlBreakdown.accounts.flatMap((account) => [
+                  ...account[pnlGroupBy].map((group) => (
+                    <tr key={`${account.accountId}-${group.key}`}>
+                      <td>{account.accountId}</td>
+                      <td className="instrument">{group.key || '-'}</td>
+                      <td>{group.trades}</td>
+                      <td className={group.grossPnl >= 0 ? 'positive' : 'negative'} title={group.complete ? undefined : 'Some trades have no point value yet'}>
+                        {formatCurrency(group.grossPnl)}{group.complete ? '' : '*'}
+                      </td>
+                      <td>{formatCurrency(group.fees)}</td>
+                      <td className={group.netPnl >= 0 ? 'positive' : 'negative'}>{formatCurrency(group.netPnl)}</td>
+                    </tr>
+                  )),
+                  <tr key={`${account.accountId}-total`} className="pnl-total-row">
+                    <td>{account.accountId}</td>
+                    <td>Total</td>
+                    <td>{account.trades}</td>
+                    <td className={account.grossPnl >= 0 ? 'positive' : 'negative'} title={account.complete ? undefined : 'Some trades have no point value yet'}>
+                      {formatCurrency(account.grossPnl)}{account.complete ? '' : '*'}
+                    </td>
+                    <td>{formatCurrency(account.fees)}</td>
+                    <td className={account.netPnl >= 0 ? 'positive' : 'negative'}>{formatCurrency(account.netPnl)}</td>
+                  </tr>
+                ])}
+              </tbody>
+            </table>
+          </section>
+        )}
+
+        {/* Trade History */}
+        <section className="orders-section">
+          <div className="section-header">
+            <h2>Trade History ({history.records.length}{history.truncated ? '+' : ''})</h2>
+          </div>
+          <div className="history-filters">
+            <input type="date" value={historyFilters.from} onChange={(e) => updateHistoryFilter('from', e.target.value)} title="From trading day" />
+            <input type="date" value={historyFilters.to} onChange={(e) => updateHistoryFilter('to', e.target.value)} title="To trading day" />
+            <select value={historyFilters.accountId} onChange={(e) => updateHistoryFilter('accountId', e.target.value)}>
+              <option value="">All accounts</option>
+              {accounts.map((account) => (
+                <option key={account.id} value={account.id}>{account.name}</option>
+              ))}
+            </select>
+            <input type="text" placeholder="Symbol" value={historyFilters.symbol} onChange={(e) => updateHistoryFilter('symbol', e.target.value)} />
+            <input type="text" placeholder="Strategy ID" value={historyFilters.strategyId} onChange={(e) => updateHistoryFilter('strategyId', e.target.value)} />
+          </div>
+          {history.records.length === 0 ? (
+            <div className="history-empty">No fills for this selection</div>
+          ) : (
+            <table className="orders-table">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Account</th>
+                  <th>Symbol</th>
+                  <th>Side</th>
+                  <th>Qty</th>
+                  <th>Price</th>
+                  <th>PnL</th>
+                  <th>Fees</th>
+                  <th>Strategy</th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.records.map((fill, i) => (
+                  <tr key={`${fill.tradeId}-${i}`}>
+                    <td>{new Date(fill.at).toLocaleString('en-US')}</td>
+                    <td>
+                      {fill.accountId}
+                      {fill.paper && <span className="paper-badge">PAPER</span>}
+                    </td>
+                    <td className="instrument">{fill.symbol || fill.contractId}</td>
+                    <td className={fill.side === 'BUY' ? 'positive' : 'negative'}>{fill.side}</td>
+                    <td>{fill.size}</td>
+                    <td>{fill.price ?? '-'}</td>
+                    <td className={fill.profitAndLoss >= 0 ? 'positive' : 'negative'}>
+                      {fill.profitAndLoss !== null ? formatCurrency(fill.profitAndLoss) : '-'}
+                    </td>
+                    <td>{fill.fees !== null ? formatCurrency(fill.fees) : '-'}</td>
+                    <td>{fill.strategyConfigId || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+
         {/* MOCK SECTIONS - Commented out until Phase 3 (Cloud WebSocket) */}
         {/*
         <section className="pnl-section">
@@ -307,6 +949,14 @@ function App() {
                   <label>Reason</label>
                   <span>{lastDirective.reason}</span>
                 </div>
+                {lastDirective.rejection && (
+                  <div className="detail-item full-width">
+                    <label>Rejected</label>
+                    <span className="directive-rejected">
+                      {lastDirective.rejection.code}: {lastDirective.rejection.reason}
+                    </span>
+                  </div>
+                )}
               </div>
             </div>
           ) : (